@@ -8,20 +8,78 @@
  *           data-force-light="true"></script>
  *
  * Attributes:
- * - data-md-url    : URL to the markdown file (optional). If omitted, boot derives it from the current page URL:
+ * - data-md-url    : URL to the markdown file (optional). If omitted (and no data-md-source), boot derives it from the current page URL:
  *                    - index.html/.htm -> index.md
  *                    - /path/ -> /path/index.md
  *                    - otherwise -> append ".md"
  *                    Alternatively set window.MHE_MD_URL.
+ * - data-md-source : CSS selector of an inline markdown element (optional), e.g. <script type="text/markdown" id="doc">
+ *                    or <template id="doc">. Renders that source instead of fetching a file (renderMarkdownString()).
+ * - data-md-base   : Base URL for the inline source (optional; defaults to the page URL). Relative links and the
+ *                    front matter bibliography resolve against it.
  * - data-output-id : ID of the container element to render into (required). Alternatively set window.MHE_OUTPUT_ID.
  * - data-base      : Base URL for local modules (optional; defaults to directory of boot.js). Typically omit when boot.js and modules share the same base.
  * - data-use-min   : Prefer minified local modules (1|true|yes|on). Optional; defaults to window.MHE_MODULE_USE_MINIFIED or inferred from this script filename (boot.min.js => true; boot.js => false).
  * - data-force-light : Force light theme (1|true|yes|on). Optional; defaults to window.MHE_FORCE_LIGHT_THEME or false.
  * - data-two-col-min-width : Minimum viewport width in px to enable auto two-column slides (optional; defaults to 1000 unless overridden by window.MHE_TWO_COL_MIN_WIDTH or this attribute).
+ * - data-site      : URL to a site manifest (optional), e.g. SUMMARY.md, or a markdown file whose front matter has `nav:`.
+ *                    Enables multi-page mode: the page to render is selected by the ?md=path query parameter
+ *                    (falling back to data-md-url, then to the first page of the manifest), the sidebar shows the
+ *                    site navigation above the ToC and every document gets previous/next page links.
+ *                    ?md= only selects pages of the manifest or same-origin documents under its directory (without
+ *                    a site, with the router alone: same-origin documents); other values render the default page.
+ * - data-router    : Render relative .md links in place via the History API instead of opening the raw file (1|true|yes|on).
+ *                    Optional; defaults to true in site mode, false otherwise. The page URL tracks the document via ?md=path.
+ * - data-prefetch  : With the router, prefetch linked markdown on hover/focus (1|true|yes|on). Optional; defaults to false.
+ * - data-watch     : Live-reload while authoring (1|true|yes|on). Polls the markdown and bibliography files and re-renders
+ *                    in place when they change, keeping scroll offset, active slide, ToC groups and unchanged diagrams.
+ * - data-watch-interval : Polling interval in ms for data-watch (optional; defaults to 1000).
+ * - data-plugins   : Comma-separated URLs of plugin modules (optional). Each module's default export (or `plugin`/`plugins`
+ *                    export) is registered with lib/plugins.js before the first render; URLs resolve against the page.
+ * - data-disable-plugins : Comma-separated plugin names to skip on this page (optional), e.g. "mermaid,light-tables".
+ *                    Built-ins: sanitize, urls, title-block, mermaid, graphviz, diagram-viewer, highlight, code-toolbar,
+ *                    alerts, math, anchors, task-lists, citations, icons, emoji, light-tables.
+ *                    Documents can also use front matter `disable-plugins: [name, ...]` (except sanitize).
+ * - data-sanitize  : HTML sanitizing of rendered markdown: on (default) | strict | off (lib/sanitize.js).
+ *                    strict also restricts classes, refuses data: URLs and renders Mermaid with securityLevel 'strict';
+ *                    off only removes <script> elements (legacy behavior).
+ * - data-sanitize-allow : JSON allowlist overrides (optional), e.g.
+ *                    '{"tags":["iframe"],"attributes":{"iframe":["src","allow"]},"protocols":["ftp"]}'.
+ * - data-title-block : Render a title block (title, subtitle, authors, date, abstract) from the front matter of
+ *                    documents that have a `title` (1|true|yes|on; optional, defaults to false). Documents can
+ *                    override it with front matter `title-block: true|false` (lib/title-block.js).
+ * - data-emoji     : GitHub emoji shortcodes (`:rocket:`): native (default; Unicode characters) | image (the image
+ *                    set of config.js EMOJI_IMAGE_URL) | off. Documents can override it with front matter `emoji:`.
+ * - data-icon-aliases : JSON map of icon prefixes used in Mermaid diagrams to Iconify collections (optional),
+ *                    e.g. '{"brand":"simple-icons"}'. Packs of known collections are detected from the diagrams.
+ * - data-icon-packs : JSON map of custom icon pack prefixes to npm packages with an icons.json (optional), e.g.
+ *                    '{"acme":"@acme/iconify-json"}' or '{"acme":{"pkg":"@acme/iconify-json","versions":["2",""]}}',
+ *                    or to an Iconify JSON file / folder of SVG files relative to the page: '{"acme":"./icons/acme/"}'.
+ *                    Documents can add their own packs with front matter `icon-packs:` (relative to the markdown file).
+ * - data-icon-base : Self-hosted icon packs for offline use (optional): packs load from <base>/<package>/icons.json
+ *                    (e.g. a served node_modules/ directory) instead of the CDN.
+ * - data-rewrite-links : Map relative links to .md files in rendered documents (optional): html => name.html
+ *                    (for exported wrapper pages). Relative images and links always resolve against the markdown file.
+ *
+ * Mounted documents (several independent documents on one page):
+ *   <div id="intro" data-mhe-src="./intro.md" data-mhe-toc="true"></div>
+ *   <div id="notes" data-mhe-src="./notes.md"></div>
+ * - data-mhe-src   : URL of the markdown rendered into this element. Each mount gets its own scope (the element id,
+ *                    or mhe-N when it has none): footnote/citation numbering and anchors, heading ids, slide hash
+ *                    (#<scope>-slide-N) and ToC sidebar do not collide with other documents.
+ * - data-mhe-toc   : Give this mount its own sidebar ToC with a stacked toggle button (1|true|yes|on; default false).
+ * When the page has mounts and the boot script names no document of its own (data-md-url, data-md-source,
+ * data-site, data-output-id), only the mounts are rendered and the page body is left untouched.
+ * data-watch applies to mounts too; the router does not.
  *
  * Global configuration (optional):
  * - window.MHE_MD_URL, window.MHE_OUTPUT_ID, window.MHE_MODULE_BASE, window.MHE_MODULE_USE_MINIFIED,
- *   window.MHE_FORCE_LIGHT_THEME, window.MHE_TWO_COL_MIN_WIDTH can be used instead of data-*.
+ *   window.MHE_FORCE_LIGHT_THEME, window.MHE_TWO_COL_MIN_WIDTH, window.MHE_SITE_URL,
+ *   window.MHE_ROUTER, window.MHE_PREFETCH, window.MHE_WATCH, window.MHE_WATCH_INTERVAL,
+ *   window.MHE_MD_SOURCE (selector or element), window.MHE_MD_BASE, window.MHE_PLUGINS, window.MHE_DISABLE_PLUGINS,
+ *   window.MHE_SANITIZE, window.MHE_SANITIZE_ALLOW (object or JSON), window.MHE_REWRITE_LINKS, window.MHE_TITLE_BLOCK,
+ *   window.MHE_EMOJI, window.MHE_ICON_ALIASES, window.MHE_ICON_PACKS (objects or JSON), window.MHE_ICON_BASE can be
+ *   used instead of data-*.
  *
  * Notes:
  * - Derives module base from import.meta.url directory when data-base is omitted, and assigns window.MHE_MODULE_BASE.
@@ -29,6 +87,21 @@
  * - Sets window.MHE_FORCE_LIGHT_THEME from data-force-light if provided; renderer checks it to enforce light styles and tables.
  * - Sets window.MHE_TWO_COL_MIN_WIDTH from data-two-col-min-width when provided (or uses the global if already set). The deck reads this to gate auto two-column layout.
  * - Sets window.MHE_CONFIG_URL to config.js or config.min.js based on the minified toggle.
+ * - Sets window.MHE_PLUGINS / window.MHE_DISABLE_PLUGINS from data-plugins / data-disable-plugins; markdown.js reads them.
+ * - Sets window.MHE_SANITIZE / window.MHE_SANITIZE_ALLOW from data-sanitize / data-sanitize-allow before icon.js loads,
+ *   so the initial Mermaid setup already uses the strict security level when requested.
+ * - Sets window.MHE_REWRITE_LINKS / window.MHE_TITLE_BLOCK / window.MHE_EMOJI from data-rewrite-links /
+ *   data-title-block / data-emoji; markdown.js reads them.
+ * - Sets window.MHE_ICON_ALIASES / window.MHE_ICON_PACKS / window.MHE_ICON_BASE from data-icon-aliases /
+ *   data-icon-packs / data-icon-base; icon.js reads them (over config.js ICON_PACK_ALIASES / ICON_PACKS /
+ *   ICON_PACK_BASE) when registering the icon packs of a document's diagrams.
+ * - With an inline source, renders it via renderMarkdownString(); watch mode then only polls the bibliography.
+ * - In site mode, loads the manifest via lib/site.js before rendering and passes it to renderMarkdown().
+ * - With the router enabled, wires lib/router.js so linked documents re-render in place (title updated when derived).
+ * - Derives the page title (when the HTML has no <title>) from the front matter `title` or the first heading,
+ *   and sets <html lang> and the description/author meta tags from the front matter (lib/front-matter.js) unless
+ *   the HTML declares them; mounted documents leave the page metadata alone.
+ * - With watch enabled, polls the dependencies reported by renderMarkdown() via lib/watch.js.
  * - Imports icon.js and markdown.js via config.moduleUrl(), then calls renderMarkdown().
  */
 
@@ -53,9 +126,31 @@
     }) || null;
 
   const ds = (scriptEl && scriptEl.dataset) || {};
+  // Elements rendering their own document (<div data-mhe-src="...">)
+  const mounts = Array.from(document.querySelectorAll('[data-mhe-src]'));
 
   let mdUrl = ds.mdUrl || (typeof window !== 'undefined' ? window.MHE_MD_URL : '');
   let outputId = ds.outputId || (typeof window !== 'undefined' ? window.MHE_OUTPUT_ID : '');
+  const siteUrl = ds.site || (typeof window !== 'undefined' ? window.MHE_SITE_URL : '');
+  const mdSource = ds.mdSource || (typeof window !== 'undefined' ? window.MHE_MD_SOURCE : '');
+  const mdBase = ds.mdBase || (typeof window !== 'undefined' ? window.MHE_MD_BASE : '');
+  // Router: explicit data-router/MHE_ROUTER wins; otherwise enabled in site mode only
+  const routerEnabled = (ds.router !== undefined)
+    ? parseTruthy(ds.router)
+    : (typeof window !== 'undefined' && 'MHE_ROUTER' in window)
+      ? parseTruthy(window.MHE_ROUTER)
+      : !!siteUrl;
+  const prefetch = (ds.prefetch !== undefined)
+    ? parseTruthy(ds.prefetch)
+    : (typeof window !== 'undefined' && parseTruthy(window.MHE_PREFETCH));
+  const watch = (ds.watch !== undefined)
+    ? parseTruthy(ds.watch)
+    : (typeof window !== 'undefined' && parseTruthy(window.MHE_WATCH));
+  const watchInterval = (() => {
+    const v = ds.watchInterval !== undefined ? ds.watchInterval : (typeof window !== 'undefined' ? window.MHE_WATCH_INTERVAL : undefined);
+    const n = parseInt(String(v), 10);
+    return isFinite(n) && n > 0 ? n : 1000;
+  })();
   const base =
     ds.base ||
     (typeof window !== 'undefined' && window.MHE_MODULE_BASE) ||
@@ -93,8 +188,26 @@
     return undefined;
   })();
 
+  // With mounts and no document of its own, the boot script renders the mounts only
+  const mountsOnly = mounts.length > 0 && !mdUrl && !outputId && !siteUrl && !mdSource;
+
+  // Site/router mode: the ?md= query parameter selects the page; the manifest provides the default page later.
+  // Anyone can craft the parameter: without a site it must name a same-origin document, with one a page of the
+  // site (checked once the manifest is loaded); otherwise the default page is rendered.
+  const defaultMdUrl = mdUrl;
+  let pageParam = '';
+  if (!mountsOnly && (siteUrl || routerEnabled)) {
+    try {
+      const value = new URL(document.location.href).searchParams.get('md');
+      const target = value ? new URL(value, document.baseURI) : null;
+      if (target && (siteUrl || target.origin === document.location.origin)) pageParam = target.href;
+      else if (target) console.error('boot.js: Ignoring a ?md= page from another origin', value);
+    } catch (_) {}
+    if (pageParam) mdUrl = pageParam;
+  }
+
   // Derive mdUrl from the current page when not provided
-  if (!mdUrl) {
+  if (!mdUrl && !siteUrl && !mdSource && !mountsOnly) {
     try {
       const pageUrl = new URL(document.location.href);
       pageUrl.search = '';
@@ -112,13 +225,13 @@
     } catch (_) {}
   }
 
-  if (!outputId) {
+  if (!outputId && !mountsOnly) {
     // Replace all body content with a single container div
     document.body.innerHTML = '<div id="mhe-output"></div>';
     outputId = 'mhe-output';
   }
-  if (!mdUrl) {
-    console.error('boot.js: Unable to determine markdown URL. Provide data-md-url or ensure the page URL ends with .html/.htm or a directory.');
+  if (!mdUrl && !siteUrl && !mdSource && !mountsOnly) {
+    console.error('boot.js: Unable to determine markdown URL. Provide data-md-url, data-md-source or ensure the page URL ends with .html/.htm or a directory.');
     return;
   }
 
@@ -127,6 +240,16 @@
   try { window.MHE_MODULE_USE_MINIFIED = useMin; } catch (_) {}
   try { window.MHE_FORCE_LIGHT_THEME = forceLight; } catch (_) {}
   try { if (twoColMinWidth !== undefined) window.MHE_TWO_COL_MIN_WIDTH = twoColMinWidth; } catch (_) {}
+  try { if (ds.plugins !== undefined) window.MHE_PLUGINS = ds.plugins; } catch (_) {}
+  try { if (ds.disablePlugins !== undefined) window.MHE_DISABLE_PLUGINS = ds.disablePlugins; } catch (_) {}
+  try { if (ds.sanitize !== undefined) window.MHE_SANITIZE = ds.sanitize; } catch (_) {}
+  try { if (ds.sanitizeAllow !== undefined) window.MHE_SANITIZE_ALLOW = ds.sanitizeAllow; } catch (_) {}
+  try { if (ds.rewriteLinks !== undefined) window.MHE_REWRITE_LINKS = ds.rewriteLinks; } catch (_) {}
+  try { if (ds.titleBlock !== undefined) window.MHE_TITLE_BLOCK = ds.titleBlock; } catch (_) {}
+  try { if (ds.emoji !== undefined) window.MHE_EMOJI = ds.emoji; } catch (_) {}
+  try { if (ds.iconAliases !== undefined) window.MHE_ICON_ALIASES = ds.iconAliases; } catch (_) {}
+  try { if (ds.iconPacks !== undefined) window.MHE_ICON_PACKS = ds.iconPacks; } catch (_) {}
+  try { if (ds.iconBase !== undefined) window.MHE_ICON_BASE = ds.iconBase; } catch (_) {}
 
   // Resolve config URL based on base + min toggle and expose it for markdown.js
   let configUrl = '';
@@ -141,40 +264,119 @@
   // Async boot
   (async () => {
     try {
-      // If the HTML has no <title>, derive it from the first Markdown heading (ignoring YAML front matter)
-      const hasTitleEl = !!document.querySelector('head > title');
-      if (!hasTitleEl) {
+      const { moduleUrl } = await import(configUrl);
+      const { renderMarkdown, renderMarkdownString, markdownFromElement } = await import(moduleUrl('markdown.js'));
+      // Front matter title (else the first heading), lang, description and author describe the page
+      const { documentTitle, applyPageMetadata } = await import(moduleUrl('lib/front-matter.js'));
+
+      // Render every data-mhe-src mount in its own scope (sequentially: Mermaid renders one batch at a time)
+      const renderMounts = async () => {
+        const states = [];
+        for (let i = 0; i < mounts.length; i++) {
+          const el = mounts[i];
+          if (!el.id) el.id = `mhe-${i + 1}`;
+          const opts = {
+            mdUrl: new URL(el.dataset.mheSrc, document.baseURI).href,
+            outputId: el.id,
+            scope: el.id,
+            toc: parseTruthy(el.dataset.mheToc),
+          };
+          const state = { opts, dependencies: [opts.mdUrl] };
+          states.push(state);
+          try {
+            const res = await renderMarkdown(opts);
+            if (res) state.dependencies = res.dependencies;
+          } catch (e) {
+            console.error('boot.js: Failed to render mounted document', el.dataset.mheSrc, e);
+          }
+        }
+        if (!watch) return;
+        const { quietFetch } = await import(moduleUrl('lib/loader.js'));
+        const { startWatch } = await import(moduleUrl('lib/watch.js'));
+        startWatch({
+          urls: () => states.reduce((all, st) => all.concat(st.dependencies), []),
+          fetchImpl: quietFetch,
+          interval: watchInterval,
+          onChange: async (changed) => {
+            for (const st of states) {
+              if (!st.dependencies.some((u) => changed.includes(u))) continue;
+              let text;
+              try {
+                const resp = await quietFetch(st.opts.mdUrl, { cache: 'no-store' });
+                if (resp.ok) text = await resp.text();
+              } catch (_) {}
+              const res = await renderMarkdown(Object.assign({}, st.opts, { mdText: text, preserve: true }));
+              if (res) st.dependencies = res.dependencies;
+            }
+          },
+        });
+      };
+
+      if (mountsOnly) {
+        await import(moduleUrl('icon.js'));
+        await renderMounts();
+        return;
+      }
+
+      // Inline source: the embedded markdown is the document at its base URL
+      let inlineBase = '';
+      let inlineText = null;
+      if (mdSource) {
+        inlineBase = new URL(mdBase || document.location.href, document.baseURI);
+        inlineBase.hash = '';
+        // The page selector (?md=) is not part of the inline document's identity
+        if (!mdBase) inlineBase.searchParams.delete('md');
+        inlineBase = inlineBase.href;
+        inlineText = markdownFromElement(mdSource);
+        if (inlineText === null) {
+          console.error('boot.js: Inline markdown source not found', mdSource);
+          const out = document.getElementById(outputId);
+          if (out) out.textContent = 'Error loading markdown.';
+          return;
+        }
+        if (!mdUrl) mdUrl = inlineBase;
+      }
+      const isInline = (url) => !!mdSource && url === inlineBase;
+
+      // Site mode: load the manifest and default to its first page
+      let site;
+      if (siteUrl) {
+        try {
+          const { loadSiteManifest, flattenSite, sitePageAllowed } = await import(moduleUrl('lib/site.js'));
+          site = await loadSiteManifest(siteUrl);
+          if (pageParam && !sitePageAllowed(site, pageParam)) {
+            console.error('boot.js: Ignoring a ?md= page outside the site', pageParam);
+            mdUrl = defaultMdUrl;
+          }
+          if (!mdUrl) {
+            const first = flattenSite(site)[0];
+            if (first) mdUrl = first.url;
+          }
+        } catch (e) {
+          console.error('boot.js: Failed to load site manifest', e);
+          // Without the manifest the ?md= page cannot be checked
+          if (pageParam) mdUrl = defaultMdUrl;
+        }
+        if (!mdUrl) {
+          console.error('boot.js: Site manifest has no pages and no markdown URL was provided.');
+          const out = document.getElementById(outputId);
+          if (out) out.textContent = 'Error loading site manifest.';
+          return;
+        }
+      }
+
+      // If the HTML has no <title>, derive it from the document (also on in-place navigation)
+      const deriveTitle = !document.querySelector('head > title');
+      let mdText = isInline(mdUrl) ? inlineText : undefined;
+      if (deriveTitle && mdText !== undefined) {
+        const titleText = documentTitle(mdText);
+        if (titleText) document.title = titleText;
+      } else if (deriveTitle) {
         try {
           const resp = await fetch(mdUrl);
           if (resp.ok) {
-            const mdText = await resp.text();
-
-            const extractFirstHeading = (text) => {
-              // Strip leading YAML front matter delimited by --- ... ---
-              let body = text;
-              const lines = body.split(/\r?\n/);
-              if (lines.length > 0 && /^\s*---\s*$/.test(lines[0])) {
-                let end = -1;
-                for (let i = 1; i < lines.length; i++) {
-                  if (/^\s*---\s*$/.test(lines[i])) { end = i; break; }
-                }
-                if (end !== -1) {
-                  body = lines.slice(end + 1).join('\n');
-                }
-              }
-
-              // ATX heading: #, ##, ..., ######
-              const atx = body.match(/^\s*#{1,6}\s+(.+?)\s*$/m);
-              if (atx && atx[1]) return atx[1].trim();
-
-              // Setext heading: text followed by === or ---
-              const setext = body.match(/^\s*([^\n]+?)\s*\r?\n\s*(?:=+|-+)\s*$/m);
-              if (setext && setext[1]) return setext[1].trim();
-
-              return null;
-            };
-
-            const titleText = extractFirstHeading(mdText);
+            mdText = await resp.text();
+            const titleText = documentTitle(mdText);
             if (titleText) {
               document.title = titleText;
             }
@@ -182,11 +384,85 @@
         } catch (_) {}
       }
 
-      const { moduleUrl } = await import(configUrl);
       // Load icon runtime first (provides Mermaid global and Font Awesome CSS)
       await import(moduleUrl('icon.js'));
-      const { renderMarkdown } = await import(moduleUrl('markdown.js'));
-      await renderMarkdown({ mdUrl, outputId });
+      // Track the rendered document and the files it depends on (for watch mode)
+      let current = { mdUrl, dependencies: [mdUrl] };
+      const render = async (opts) => {
+        const res = isInline(opts.mdUrl)
+          ? await renderMarkdownString(inlineText, { outputId, baseUrl: inlineBase, site, preserve: opts.preserve })
+          : await renderMarkdown(Object.assign({ outputId, site }, opts));
+        if (res) {
+          current = res;
+          try { applyPageMetadata(res.metadata); } catch (_) {}
+        }
+      };
+
+      // Wire the router before the first render completes so early clicks are already handled in place
+      let router = null;
+      if (routerEnabled) {
+        const { pageHref, pageFromLocation, sitePageAllowed } = await import(moduleUrl('lib/site.js'));
+        const { initMarkdownRouter } = await import(moduleUrl('lib/router.js'));
+        router = initMarkdownRouter({
+          out: document.getElementById(outputId),
+          mdUrl,
+          // The inline document lives at the page itself (no ?md=)
+          pageHref: (url) => {
+            if (!isInline(url)) return pageHref(url);
+            const page = new URL(document.location.href);
+            page.hash = '';
+            page.searchParams.delete('md');
+            return page.href;
+          },
+          // History entries without router state fall back to ?md=, under the same rules as the first page
+          pageFromLocation: () => {
+            const url = pageFromLocation();
+            if (!url) return '';
+            if (site) return sitePageAllowed(site, url) ? url : '';
+            return !siteUrl && new URL(url).origin === document.location.origin ? url : '';
+          },
+          loadText: (url) => (isInline(url) ? inlineText : null),
+          prefetch,
+          render: async (url, text) => {
+            if (deriveTitle) {
+              const titleText = documentTitle(text);
+              if (titleText) document.title = titleText;
+            }
+            await render({ mdUrl: url, mdText: text });
+          },
+        });
+      }
+
+      await render({ mdUrl, mdText });
+      // Content arrived after the browser tried to honor the initial #heading; scroll now
+      if (router) router.scrollToHash();
+      if (mounts.length) await renderMounts();
+
+      if (watch) {
+        const { quietFetch } = await import(moduleUrl('lib/loader.js'));
+        const { startWatch } = await import(moduleUrl('lib/watch.js'));
+        startWatch({
+          urls: () => current.dependencies,
+          fetchImpl: quietFetch,
+          interval: watchInterval,
+          onChange: async () => {
+            if (isInline(current.mdUrl)) {
+              await render({ mdUrl: current.mdUrl, preserve: true });
+              return;
+            }
+            let text;
+            try {
+              const resp = await quietFetch(current.mdUrl, { cache: 'no-store' });
+              if (resp.ok) text = await resp.text();
+            } catch (_) {}
+            if (deriveTitle && text) {
+              const titleText = documentTitle(text);
+              if (titleText) document.title = titleText;
+            }
+            await render({ mdUrl: current.mdUrl, mdText: text, preserve: true });
+          },
+        });
+      }
     } catch (err) {
       console.error('boot.js: Activation failed', err);
       try {
@@ -1,8 +1,11 @@
 /**
 * Configuration module.
 * Responsibilities:
-* - Define centralized CDN base and external library URLs (Mermaid, Marked, Font Awesome).
+* - Define centralized CDN base and external library URLs (Mermaid, Graphviz, Marked, highlight.js, KaTeX,
+*   Font Awesome, emoji data and images).
 * - Provide iconifyPackUrl() to resolve Iconify JSON collections with optional version.
+* - Define Iconify pack aliases, custom packs, the self-hosted pack base and the pack cache lifetime
+*   (ICON_PACK_ALIASES, ICON_PACKS, ICON_PACK_BASE, ICON_PACK_CACHE_MAX_AGE) for Mermaid icons.
 * - Resolve a base URL for local ESM modules via MHE_MODULE_BASE, honoring window override.
 * - Provide moduleUrl() helper to produce absolute URLs and optionally use minified variants.
 *
@@ -15,8 +18,35 @@ export const CDN_NPM_BASE = 'https://cdn.jsdelivr.net/npm';
 // Library URLs built from the base
 export const MERMAID_URL = `${CDN_NPM_BASE}/mermaid@11/dist/mermaid.min.js`;
 export const MARKED_URL = `${CDN_NPM_BASE}/marked/lib/marked.esm.js`;
+// highlight.js ESM build (common languages) and GitHub light/dark themes, loaded only for documents with code
+export const HIGHLIGHT_URL = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/es/highlight.min.js`;
+export const HIGHLIGHT_CSS_LIGHT = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/styles/github.min.css`;
+export const HIGHLIGHT_CSS_DARK = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/styles/github-dark.min.css`;
+// KaTeX ESM build and stylesheet, loaded only for documents with math
+export const KATEX_URL = `${CDN_NPM_BASE}/katex@0.16/dist/katex.mjs`;
+export const KATEX_CSS = `${CDN_NPM_BASE}/katex@0.16/dist/katex.min.css`;
+// Graphviz (WebAssembly, ESM build with the wasm inlined), loaded only for documents with ```dot/```graphviz blocks
+export const GRAPHVIZ_URL = `${CDN_NPM_BASE}/@hpcc-js/wasm-graphviz@1/dist/index.js`;
+// GitHub emoji shortcode table (gemoji ESM), loaded only for documents with `:shortcode:` candidates, and the
+// image set of the emoji 'image' mode ({code}: code points as in 1f680.svg)
+export const EMOJI_DATA_URL = `${CDN_NPM_BASE}/gemoji@8/index.js`;
+export const EMOJI_IMAGE_URL = 'https://cdn.jsdelivr.net/gh/jdecked/twemoji@15.1.0/assets/svg/{code}.svg';
 export const FONT_AWESOME4_CSS = `${CDN_NPM_BASE}/font-awesome@4/css/font-awesome.min.css`;
 
+// Iconify packs for Mermaid icons (lib/icon-packs.js). Any known @iconify-json collection prefix is detected
+// automatically; aliases map a prefix used in diagrams to a collection, custom packs map a prefix to a package,
+// an Iconify JSON file or a folder of SVG files (relative to the page).
+//   ICON_PACK_ALIASES: { brand: 'simple-icons' }
+//   ICON_PACKS: { acme: '@acme/iconify-json' } or { acme: { pkg: '@acme/iconify-json', versions: ['2', ''] } }
+//               { acme: './icons/acme.json' } or { acme: './icons/acme/' }
+export const ICON_PACK_ALIASES = {};
+export const ICON_PACKS = {};
+// Self-hosted packs for offline use: when set, packs load from <base>/<package>/icons.json (npm layout without
+// versions, e.g. a served node_modules/ directory) instead of CDN_NPM_BASE. Relative to the page.
+export const ICON_PACK_BASE = '';
+// Lifetime of fetched packs in Cache Storage (ms); 0 disables the persistent cache
+export const ICON_PACK_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
 // Iconify pack resolver
 export function iconifyPackUrl(pkg, version) {
   // pkg: '@iconify-json/logos'
@@ -3,10 +3,22 @@
 // - Resolve config and dynamic module base via config.js.
 // - Load Font Awesome CSS if not already present.
 // - Enable a global network spinner (idempotent) to indicate resource loading.
-// - Load Mermaid once and expose window.__registerIconPacksFor to lazily register needed Iconify packs.
+// - Load Mermaid once and expose window.__registerIconPacksIn(sources, doc) to lazily register the Iconify packs the
+//   given Mermaid sources use (any `prefix:name` of a known collection, alias or custom pack; lib/icon-packs.js),
+//   and window.__registerIconPacksFor(names, doc) to register packs by prefix. doc ({ packs, baseUrl, sources }) adds
+//   the document's own packs (front matter `icon-packs`); both resolve to { files }: the project pack files loaded.
 // - Trigger a render of existing diagrams after packs registration.
 // Notes:
 // - Local helper modules are imported dynamically via config.moduleUrl honoring window.MHE_MODULE_USE_MINIFIED.
+// - Aliases and custom packs come from config.js (ICON_PACK_ALIASES, ICON_PACKS), overridden per prefix by
+//   window.MHE_ICON_ALIASES / window.MHE_ICON_PACKS (objects or JSON; boot data-icon-aliases / data-icon-packs),
+//   then by the document's packs.
+// - window.__resolveIconPrefix(prefix, doc) and window.__loadIconPack(prefix, doc) give inline icons (lib/icons.js)
+//   the same packs without waiting for Mermaid.
+// - Iconify packs come from config.iconifyPackUrl() (CDN_NPM_BASE, e.g. an intranet npm mirror), or from
+//   <base>/<package>/icons.json when a self-hosted base is set (config.js ICON_PACK_BASE or window.MHE_ICON_BASE /
+//   boot data-icon-base; e.g. a served node_modules/ directory). Fetched packs are kept in Cache Storage for
+//   ICON_PACK_CACHE_MAX_AGE ms (lib/loader.js); project packs (JSON file or SVG folder) are always fetched.
 
 // Resolve selected config URL (set by the page) or fall back to local config.js
 const CONFIG_URL =
@@ -17,12 +29,34 @@ const CONFIG_URL =
         (typeof window !== 'undefined' && window.MHE_MODULE_BASE ? window.MHE_MODULE_BASE : document.baseURI)
       ).href;
 // Dynamically import selected config to get constants and local module URL resolver
-const { MERMAID_URL, FONT_AWESOME4_CSS, moduleUrl } = await import(CONFIG_URL);
+const {
+  MERMAID_URL,
+  FONT_AWESOME4_CSS,
+  moduleUrl,
+  iconifyPackUrl,
+  // Defaults for page-selected configs predating these settings
+  ICON_PACK_ALIASES = {},
+  ICON_PACKS = {},
+  ICON_PACK_BASE = '',
+  ICON_PACK_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000,
+} = await import(CONFIG_URL);
 
 // Import local helper modules dynamically to honor minified toggle
-const { loadScript, buildIconPack, enableGlobalNetworkSpinner } = await import(moduleUrl('lib/loader.js'));
+const {
+  loadScript,
+  buildIconPack,
+  loadLocalIconPack,
+  enableGlobalNetworkSpinner,
+} = await import(moduleUrl('lib/loader.js'));
 const { isFontAwesomeLoaded } = await import(moduleUrl('lib/detect-fa.js'));
 const { loadCSS } = await import(moduleUrl('lib/load-css.js'));
+const {
+  detectIconPrefixes,
+  detectIconNames,
+  resolveIconPack,
+  iconPackOptions,
+  absolutePacks,
+} = await import(moduleUrl('lib/icon-packs.js'));
 
 // Enable global network spinner now that helpers are available
 enableGlobalNetworkSpinner(undefined, 'Loading resources...');
@@ -33,6 +67,69 @@ if (!isFontAwesomeLoaded()) {
   loadCSS(FONT_AWESOME4_CSS);
 }
 
+// Aliases and custom packs: config.js first, then page globals (read per call so late page settings apply), then
+// the document's own packs
+const packOptions = (doc = {}) => iconPackOptions(
+  { aliases: ICON_PACK_ALIASES, packs: absolutePacks(ICON_PACKS, document.baseURI) },
+  { aliases: window.MHE_ICON_ALIASES, packs: absolutePacks(window.MHE_ICON_PACKS, document.baseURI) },
+  { packs: absolutePacks(doc.packs, doc.baseUrl || document.baseURI) }
+);
+
+// icons.json of a package: self-hosted base (read per call), else the CDN (config.iconifyPackUrl)
+const packSource = () => {
+  const base = window.MHE_ICON_BASE || ICON_PACK_BASE;
+  if (base) {
+    const root = new URL(String(base).replace(/\/?$/, '/'), document.baseURI).href;
+    return { packUrl: (pkg) => new URL(`${pkg}/icons.json`, root).href, versions: [''] };
+  }
+  return { packUrl: iconifyPackUrl, versions: null };
+};
+
+/**
+ * Mermaid pack descriptor of a resolved pack: buildIconPack() for npm packs (fetched once per page, shared by
+ * diagrams and inline icons), the loaded icons for project packs.
+ * @param {Object} p resolveIconPack() result.
+ * @param {string[]} names Icons used with the prefix (the SVG files a folder pack loads).
+ * @param {string[]} files Project pack files loaded (appended to).
+ * @returns {Promise<{ name: string, loader?: Function, icons?: Object }>}
+ */
+async function iconPackDescriptor(p, names, files) {
+  if (p.pkg) {
+    const source = packSource();
+    return buildIconPack(p.name, p.pkg, {
+      versions: source.versions || p.versions,
+      packUrl: source.packUrl,
+      cacheMaxAge: ICON_PACK_CACHE_MAX_AGE,
+    });
+  }
+  const icons = p.dir ? Array.from(new Set([].concat(p.icons || [], names))) : [];
+  if (p.url) files.push(p.url);
+  else icons.forEach((icon) => files.push(new URL(`${icon}.svg`, p.dir).href));
+  return { name: p.name, icons: await loadLocalIconPack(p.name, { url: p.url, dir: p.dir, icons }) };
+}
+
+// Inline icons (lib/icons.js) use the packs without Mermaid: available as soon as this module is loaded.
+// doc: { packs, baseUrl } of the document (front matter `icon-packs`), icons: names used (folder packs)
+window.__resolveIconPrefix = (prefix, doc = {}) => {
+  try {
+    return !!resolveIconPack(prefix, packOptions(doc));
+  } catch (_) {
+    return false;
+  }
+};
+window.__loadIconPack = async (prefix, doc = {}) => {
+  const files = [];
+  try {
+    const p = resolveIconPack(prefix, packOptions(doc));
+    if (!p) return { pack: null, files };
+    const desc = await iconPackDescriptor(p, doc.icons || [], files);
+    return { pack: desc.icons || (await desc.loader()), files };
+  } catch (e) {
+    console.error(`Failed loading icon pack '${prefix}'`, e);
+    return { pack: null, files };
+  }
+};
+
 /**
  * Register Iconify icon packs with Mermaid.
  *
@@ -51,37 +148,53 @@ async function registerMermaidRuntime() {
   // Global network spinner is already enabled at module init; avoid redundant re-enable.
  
   // Expose a lazy registration function that only registers packs actually needed.
-  const packMap = {
-    logos: '@iconify-json/logos',
-    fa: '@iconify-json/fa',
-    'fa7-solid': '@iconify-json/fa7-solid',
-    mdi: '@iconify-json/mdi',
-    'material-symbols': '@iconify-json/material-symbols',
-    fluent: '@iconify-json/fluent',
-  };
+  // Npm packs already registered with Mermaid on this page (prefix -> package and versions)
+  const registered = new Map();
 
   window.__iconPacksReady = false;
 
-  window.__registerIconPacksFor = async (names = []) => {
+  window.__registerIconPacksFor = async (names = [], doc = {}) => {
+    const files = [];
     try {
-
-      // Build only the requested packs
-      const unique = Array.from(new Set(names)).filter((n) => packMap[n]);
-      if (!unique.length) {
+      const options = packOptions(doc);
+      // Build only the requested packs not registered yet; project packs are reloaded (they change while authoring)
+      const resolved = Array.from(new Set(names))
+        .map((n) => resolveIconPack(n, options))
+        .filter((p) => p && (!p.pkg || registered.get(p.name) !== `${p.pkg}|${p.versions || ''}`));
+      if (!resolved.length) {
         // Nothing to register
         window.__iconPacksReady = true;
-        return;
+        return { files };
       }
-      const packs = unique.map((n) => buildIconPack(n, packMap[n]));
+      const packs = await Promise.all(resolved.map(async (p) => {
+        const names = detectIconNames(doc.sources || [], p.name);
+        const desc = await iconPackDescriptor(p, names, files);
+        if (p.pkg && desc.loader) {
+          // A pack that failed to load (offline, wrong MHE_ICON_BASE) is registered again by the next render;
+          // throwing keeps Mermaid from caching the empty result, so it asks the loader again too
+          const load = desc.loader;
+          desc.loader = async () => {
+            const data = await load();
+            if (data && data.icons) return data;
+            registered.delete(p.name);
+            throw new Error(`Icon pack '${p.name}' (${p.pkg}) could not be loaded`);
+          };
+        }
+        return desc;
+      }));
 
-      // Register selected packs lazily
+      // Register selected packs lazily; npm packs count as registered only once Mermaid has them
       if (typeof window.mermaid.registerIconPacks === 'function') {
         window.mermaid.registerIconPacks(packs);
+        resolved.forEach((p) => {
+          if (p.pkg) registered.set(p.name, `${p.pkg}|${p.versions || ''}`);
+        });
       }
 
       window.__iconPacksReady = true;
 
-      // Attempt to render any existing diagrams now that packs/plugin are ready
+      // Attempt to render any existing diagrams now that packs/plugin are ready. Awaited, so markdown.js (which
+      // renders after registration) finds failed diagrams settled and reports them (lib/mermaid-render.js)
       try {
         const nodes = document.querySelectorAll('.mermaid');
         if (nodes.length) {
@@ -91,13 +204,16 @@ async function registerMermaidRuntime() {
             document.body.classList.contains('vscode-dark') ||
             document.body.classList.contains('vscode-high-contrast')
           );
+          // Strict sanitizing (window.MHE_SANITIZE = 'strict') also disables Mermaid HTML labels and click handlers
+          const strict = (typeof window !== 'undefined') && String(window.MHE_SANITIZE || '').toLowerCase() === 'strict';
           mermaid.initialize({
             startOnLoad: false,
             theme: isDark ? 'dark' : 'default',
-            securityLevel: 'loose'
+            securityLevel: strict ? 'strict' : 'loose',
+            suppressErrorRendering: true
           });
           if (typeof mermaid.run === 'function') {
-            mermaid.run({ nodes });
+            await mermaid.run({ nodes, suppressErrors: true });
           } else if (typeof mermaid.init === 'function') {
             mermaid.init(undefined, nodes);
           }
@@ -108,6 +224,18 @@ async function registerMermaidRuntime() {
     } catch (e) {
       console.error("Failed registering requested icon packs", e);
     }
+    return { files };
+  };
+
+  // Scan Mermaid sources for `prefix:name` icons and register the packs they use
+  window.__registerIconPacksIn = async (sources = [], doc = {}) => {
+    let names = [];
+    try {
+      names = detectIconPrefixes(sources, packOptions(doc));
+    } catch (e) {
+      console.error("Failed detecting icon packs", e);
+    }
+    return window.__registerIconPacksFor(names, Object.assign({}, doc, { sources }));
   };
 }
 
@@ -0,0 +1,263 @@
+/**
+ * GitHub-style alerts and admonition containers.
+ *
+ * Responsibilities:
+ * - createAlertsPlugin({ iconCss }): the built-in 'alerts' plugin of markdown.js.
+ *   - preprocess: turns container blocks into placeholder paragraphs around their (dedented) content, so the
+ *     content is parsed as regular markdown.
+ *   - postprocess: converts `> [!NOTE]` blockquotes and the container placeholders into callouts.
+ *
+ * Syntax:
+ * - GitHub alerts:      > [!NOTE] / [!TIP] / [!IMPORTANT] / [!WARNING] / [!CAUTION] (optional title after the marker)
+ * - Fenced containers:  ::: warning Optional title      ...      :::
+ * - MkDocs-style (content indented by 4 spaces or a tab):
+ *     !!! note "Title"     always open
+ *     ??? note "Title"     collapsible, closed
+ *     ???+ note "Title"    collapsible, open
+ * Admonition types map onto the five alert palettes (info -> note, danger -> caution, ...); unknown types use
+ * the note palette and their name as title.
+ *
+ * Notes:
+ * - Output uses GitHub's classes (markdown-alert, markdown-alert-<type>, markdown-alert-title); colors live in
+ *   lib/github-theme.js next to the other theme overrides, icons come from Font Awesome 4 (as in icon.js).
+ * - Fenced code is never scanned for container markers; containers nest when their fences are at top level.
+ * - A container whose opening and closing markers do not end up side by side (e.g. one of them inside a list
+ *   item) is not converted; its marker lines stay as text.
+ */
+
+// Admonition type -> alert palette and Font Awesome 4 icon
+const TYPES = {
+  note: { palette: 'note', icon: 'fa-info-circle' },
+  info: { palette: 'note', icon: 'fa-info-circle' },
+  abstract: { palette: 'note', icon: 'fa-clipboard' },
+  summary: { palette: 'note', icon: 'fa-clipboard' },
+  tldr: { palette: 'note', icon: 'fa-clipboard' },
+  quote: { palette: 'note', icon: 'fa-quote-left' },
+  example: { palette: 'note', icon: 'fa-list-ol' },
+  tip: { palette: 'tip', icon: 'fa-lightbulb-o' },
+  hint: { palette: 'tip', icon: 'fa-lightbulb-o' },
+  success: { palette: 'tip', icon: 'fa-check-circle' },
+  check: { palette: 'tip', icon: 'fa-check-circle' },
+  done: { palette: 'tip', icon: 'fa-check-circle' },
+  important: { palette: 'important', icon: 'fa-commenting-o' },
+  question: { palette: 'important', icon: 'fa-question-circle' },
+  faq: { palette: 'important', icon: 'fa-question-circle' },
+  help: { palette: 'important', icon: 'fa-question-circle' },
+  warning: { palette: 'warning', icon: 'fa-exclamation-triangle' },
+  attention: { palette: 'warning', icon: 'fa-exclamation-triangle' },
+  caution: { palette: 'caution', icon: 'fa-ban' },
+  danger: { palette: 'caution', icon: 'fa-bolt' },
+  error: { palette: 'caution', icon: 'fa-times-circle' },
+  failure: { palette: 'caution', icon: 'fa-times-circle' },
+  fail: { palette: 'caution', icon: 'fa-times-circle' },
+  bug: { palette: 'caution', icon: 'fa-bug' },
+};
+
+const GITHUB_ALERT_RX = /^\s*\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*([^\n]*)/i;
+const FENCE_OPEN_RX = /^[ \t]*(:{3,})[ \t]*([A-Za-z][\w-]*)[ \t]*(.*?)[ \t]*$/;
+const MKDOCS_OPEN_RX = /^(!!!|\?\?\?\+?)[ \t]+([A-Za-z][\w-]*)(?:[ \t]+(?:"([^"]*)"|'([^']*)'|(.*?)))?[ \t]*$/;
+
+/**
+ * Capitalized type name used as default title.
+ * @param {string} type
+ * @returns {string}
+ */
+function defaultTitle(type) {
+  return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Build the callout element (title and body container).
+ * @param {{ type: string, title: string|null, collapsible?: boolean, open?: boolean }} spec
+ *   title null uses the default title; '' hides it (non-collapsible only).
+ * @returns {HTMLElement} The callout; content is appended after the title.
+ */
+function createCallout({ type, title, collapsible = false, open = false }) {
+  const t = String(type).toLowerCase();
+  const info = TYPES[t] || TYPES.note;
+  const box = document.createElement(collapsible ? 'details' : 'div');
+  box.className = `markdown-alert markdown-alert-${info.palette}`;
+  if (collapsible) box.classList.add('mhe-alert-collapsible');
+  if (collapsible && open) box.open = true;
+  if (title !== '' || collapsible) {
+    const head = document.createElement(collapsible ? 'summary' : 'p');
+    head.className = 'markdown-alert-title';
+    const icon = document.createElement('i');
+    icon.className = `fa ${info.icon}`;
+    icon.setAttribute('aria-hidden', 'true');
+    head.appendChild(icon);
+    head.appendChild(document.createTextNode(title || defaultTitle(t)));
+    box.appendChild(head);
+  }
+  return box;
+}
+
+/**
+ * Replace container blocks with placeholder paragraphs around their dedented content.
+ * @param {string} md
+ * @param {Array<Object>} specs Container specs (appended to); placeholders reference them by index. source and
+ *   closeSource keep the marker lines for containers that cannot be converted.
+ * @returns {string}
+ */
+function markContainers(md, specs) {
+  const lines = String(md).split('\n');
+  const out = [];
+  const fenced = []; // open ':::' containers: { index, colons }
+  let inCode = null;
+  const open = (spec) => {
+    specs.push(spec);
+    return specs.length - 1;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const code = line.match(/^[ \t]*(`{3,}|~{3,})/);
+    if (code) {
+      if (!inCode) inCode = code[1];
+      else if (code[1][0] === inCode[0] && code[1].length >= inCode.length) inCode = null;
+      out.push(line);
+      continue;
+    }
+    if (inCode) {
+      out.push(line);
+      continue;
+    }
+
+    // Closing ':::' of the innermost fenced container
+    const close = line.match(/^[ \t]*(:{3,})[ \t]*$/);
+    if (close && fenced.length && close[1].length >= fenced[fenced.length - 1].colons) {
+      const { index } = fenced.pop();
+      specs[index].closeSource = line.trim();
+      out.push('', `%%MHE_ALERT_CLOSE_${index}%%`, '');
+      continue;
+    }
+    const fo = line.match(FENCE_OPEN_RX);
+    if (fo) {
+      const index = open({
+        type: fo[2],
+        title: fo[3] ? fo[3].replace(/^["']|["']$/g, '') : null,
+        source: line.trim(),
+      });
+      fenced.push({ index, colons: fo[1].length });
+      out.push('', `%%MHE_ALERT_OPEN_${index}%%`, '');
+      continue;
+    }
+
+    // MkDocs-style: the indented block that follows is the content
+    const mk = line.match(MKDOCS_OPEN_RX);
+    if (mk) {
+      const title = mk[3] !== undefined ? mk[3] : mk[4] !== undefined ? mk[4] : (mk[5] || null);
+      const index = open({
+        type: mk[2],
+        title,
+        collapsible: mk[1] !== '!!!',
+        open: mk[1] === '???+',
+        source: line.trim(),
+      });
+      const body = [];
+      let j = i + 1;
+      while (j < lines.length && (/^( {4}|\t)/.test(lines[j]) || (!lines[j].trim() && j + 1 < lines.length && /^( {4}|\t)/.test(lines[j + 1])))) {
+        body.push(lines[j].replace(/^( {4}|\t)/, ''));
+        j++;
+      }
+      i = j - 1;
+      out.push('', `%%MHE_ALERT_OPEN_${index}%%`, '', markContainers(body.join('\n'), specs), '', `%%MHE_ALERT_CLOSE_${index}%%`, '');
+      continue;
+    }
+    out.push(line);
+  }
+  // Unclosed ':::' containers end with the document
+  while (fenced.length) out.push('', `%%MHE_ALERT_CLOSE_${fenced.pop().index}%%`, '');
+  return out.join('\n');
+}
+
+/**
+ * Convert GitHub alert blockquotes in a container.
+ * @param {HTMLElement} container
+ * @returns {void}
+ */
+function convertGithubAlerts(container) {
+  container.querySelectorAll('blockquote').forEach((bq) => {
+    const first = bq.firstElementChild;
+    if (!first || first.tagName !== 'P' || !first.firstChild || first.firstChild.nodeType !== 3) return;
+    const m = first.firstChild.nodeValue.match(GITHUB_ALERT_RX);
+    if (!m) return;
+    // Remove the marker line (text up to the first line break)
+    first.firstChild.nodeValue = first.firstChild.nodeValue.slice(m[0].length).replace(/^\n/, '');
+    if (!first.firstChild.nodeValue) {
+      first.removeChild(first.firstChild);
+      if (first.firstChild && first.firstChild.nodeName === 'BR') first.removeChild(first.firstChild);
+    }
+    if (!first.textContent.trim() && !first.children.length) first.remove();
+    const box = createCallout({ type: m[1], title: m[2].trim() || null });
+    while (bq.firstChild) box.appendChild(bq.firstChild);
+    bq.replaceWith(box);
+  });
+}
+
+/**
+ * Wrap the content between container placeholders (innermost first).
+ * @param {HTMLElement} container
+ * @param {Array<Object>} specs
+ * @returns {void}
+ */
+function convertContainers(container, specs) {
+  const marker = (el, kind) => {
+    const m = el && el.tagName === 'P' ? el.textContent.trim().match(/^%%MHE_ALERT_(OPEN|CLOSE)_(\d+)%%$/) : null;
+    return m && m[1] === kind ? Number(m[2]) : -1;
+  };
+  // Closing markers of inner containers come first in document order; process opens in reverse
+  const opens = Array.from(container.querySelectorAll('p')).filter((p) => marker(p, 'OPEN') >= 0).reverse();
+  opens.forEach((openEl) => {
+    const index = marker(openEl, 'OPEN');
+    const spec = specs[index];
+    let closeEl = openEl.nextElementSibling;
+    while (closeEl && marker(closeEl, 'CLOSE') !== index) closeEl = closeEl.nextElementSibling;
+    if (!spec) return;
+    // No closing marker next to it (e.g. one of them ended up in a list item): leave the markers as written
+    if (!closeEl) {
+      openEl.textContent = spec.source;
+      return;
+    }
+    const box = createCallout(spec);
+    let node = openEl.nextSibling;
+    while (node && node !== closeEl) {
+      const next = node.nextSibling;
+      box.appendChild(node);
+      node = next;
+    }
+    openEl.replaceWith(box);
+    closeEl.remove();
+  });
+  // Closing markers left over from the above; implicit ones (end of document) have no source
+  Array.from(container.querySelectorAll('p')).forEach((p) => {
+    const index = marker(p, 'CLOSE');
+    if (index < 0) return;
+    const source = specs[index] && specs[index].closeSource;
+    if (source) p.textContent = source;
+    else p.remove();
+  });
+}
+
+/**
+ * Built-in markdown.js plugin: alerts and admonitions.
+ * @param {{ iconCss: string }} urls Font Awesome 4 stylesheet (config.js FONT_AWESOME4_CSS, shared with icon.js).
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createAlertsPlugin({ iconCss }) {
+  return {
+    name: 'alerts',
+    setup(ctx) {
+      if (!/\[![A-Za-z]+\]|^[ \t]*(?::{3,}|!!!|\?\?\?)/m.test(ctx.markdown)) return;
+      try { ctx.loadCSS(iconCss); } catch (_) {}
+    },
+    preprocess(md, ctx) {
+      if (!/^[ \t]*(?::{3,}|!!!|\?\?\?)/m.test(md)) return md;
+      ctx.unitState.specs = [];
+      return markContainers(md, ctx.unitState.specs);
+    },
+    postprocess(container, ctx) {
+      if (ctx.unitState.specs) convertContainers(container, ctx.unitState.specs);
+      convertGithubAlerts(container);
+    },
+  };
+}
@@ -2,12 +2,31 @@
  * Citations and footnotes processing helpers (MPE-like lightweight support)
  * Provides:
  * - parseBibTexMinimal(text)
- * - extractBibliographyFromFrontMatter(mdText, mdUrl)
- * - processFootnotesAndCitations(mdText)
- * - appendFootnotes(out, footnoteOrder, footnoteDefs)
- * - appendReferences(out, citations, bibliography)
+ * - resolveBibliographyUrl(metadata, mdUrl)
+ * - extractBibliographyFromFrontMatter(metadata, mdUrl)
+ * - processFootnotesAndCitations(mdText, { idPrefix })
+ * - appendFootnotes(out, footnoteOrder, footnoteDefs, { idPrefix, globalDefs, originalMarkdown, sanitizeHtml })
+ * - appendReferences(out, citations, bibliography, { idPrefix })
+ * - createCitationsPlugin(): the built-in 'citations' plugin of markdown.js (lib/plugins.js shape)
+ *
+ * Anchor ids (fn-, fnref-, cite-, ref-, footnotes, references) are prefixed with idPrefix so several
+ * documents can be rendered on one page without colliding; the default prefix '' keeps the plain ids.
  */
 
+/**
+ * Escape text for insertion into HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Minimal BibTeX parser (title, author, year, url, doi)
  * @param {string} text
@@ -33,36 +52,43 @@ export function parseBibTexMinimal(text) {
 }
 
 /**
- * Extract bibliography from YAML front matter `bibliography: path` and fetch BibTeX.
- * @param {string} mdText
+ * Resolve the bibliography URL declared in front matter `bibliography: path` against mdUrl.
+ * @param {Object} metadata Parsed front matter (lib/front-matter.js); a list uses its first entry.
  * @param {string} mdUrl
- * @returns {Promise<Record<string, Record<string, string>>>}
+ * @returns {string} Absolute URL, or '' when no bibliography is declared.
  */
-export async function extractBibliographyFromFrontMatter(mdText, mdUrl) {
+export function resolveBibliographyUrl(metadata, mdUrl) {
   try {
-    const fmMatch = mdText.match(/^---[^\n]*\n[\s\S]*?\n---\s*/);
-    if (fmMatch) {
-      const fm = fmMatch[0];
-      const bibLine = fm.split('\n').find((l) => /^\s*bibliography\s*:/i.test(l));
-      if (bibLine) {
-        const bibPath = String(bibLine.split(':').slice(1).join(':')).trim().replace(/^['"]|['"]$/g, '');
-        if (bibPath) {
-          const base = new URL(mdUrl, document.baseURI);
-          const bibUrl = new URL(bibPath, base);
-          try {
-            const bibRes = await fetch(bibUrl.href);
-            if (bibRes.ok) {
-              const bibText = await bibRes.text();
-              return parseBibTexMinimal(bibText);
-            }
-          } catch (_) {
-            // ignore network errors and fall through to empty bibliography
-          }
-        }
-      }
+    const bib = [].concat((metadata && metadata.bibliography) || [])[0];
+    const bibPath = typeof bib === 'string' ? bib.trim() : '';
+    if (bibPath) {
+      const base = new URL(mdUrl, document.baseURI);
+      return new URL(bibPath, base).href;
     }
   } catch (_) {
-    // ignore parsing errors
+    // ignore invalid URLs
+  }
+  return '';
+}
+
+/**
+ * Fetch and parse the BibTeX bibliography declared in front matter `bibliography: path`.
+ * @param {Object} metadata Parsed front matter (lib/front-matter.js).
+ * @param {string} mdUrl
+ * @returns {Promise<Record<string, Record<string, string>>>}
+ */
+export async function extractBibliographyFromFrontMatter(metadata, mdUrl) {
+  const bibUrl = resolveBibliographyUrl(metadata, mdUrl);
+  if (bibUrl) {
+    try {
+      const bibRes = await fetch(bibUrl);
+      if (bibRes.ok) {
+        const bibText = await bibRes.text();
+        return parseBibTexMinimal(bibText);
+      }
+    } catch (_) {
+      // ignore network errors and fall through to empty bibliography
+    }
   }
   return {};
 }
@@ -74,6 +100,7 @@ export async function extractBibliographyFromFrontMatter(mdText, mdUrl) {
  * - Replace footnote references [^id] with numbered superscripts
  * - Replace citations [@key] with numbered superscripts
  * @param {string} mdText
+ * @param {{ idPrefix?: string }} [options] idPrefix: prefix for generated anchor ids (default '').
  * @returns {{
  *   mdProcessed: string,
  *   citations: string[],
@@ -81,7 +108,7 @@ export async function extractBibliographyFromFrontMatter(mdText, mdUrl) {
  *   footnoteDefs: Record<string, string>
  * }}
  */
-export function processFootnotesAndCitations(mdText) {
+export function processFootnotesAndCitations(mdText, { idPrefix = '' } = {}) {
   let mdProcessed = mdText;
   const blocks = [];
   const footnoteDefs = {};
@@ -160,7 +187,7 @@ export function processFootnotesAndCitations(mdText) {
         }
         const n = citeMap.get(citeKey);
         // Citations: keep bracketed [n]
-        return `<sup class="citation"><a href="#ref-${citeKey}" id="cite-${citeKey}">[${n}]</a></sup>`;
+        return `<sup class="citation"><a href="#${idPrefix}ref-${citeKey}" id="${idPrefix}cite-${citeKey}">[${n}]</a></sup>`;
       }
       if (footKey) {
         if (!footMap.has(footKey)) {
@@ -169,7 +196,7 @@ export function processFootnotesAndCitations(mdText) {
         }
         const n = footMap.get(footKey);
         // Footnotes: plain numeric superscript for visual distinction
-        return `<sup class="footnote"><a href="#fn-${footKey}" id="fnref-${footKey}">${n}</a></sup>`;
+        return `<sup class="footnote"><a href="#${idPrefix}fn-${footKey}" id="${idPrefix}fnref-${footKey}">${n}</a></sup>`;
       }
       return full;
     });
@@ -197,12 +224,13 @@ export function processFootnotesAndCitations(mdText) {
  * @param {HTMLElement} out
  * @param {'footnote'|'citation'} type
  * @param {string} key
+ * @param {string} [idPrefix='']
  * @returns {number|null}
  */
-function docNumberFor(out, type, key) {
+function docNumberFor(out, type, key, idPrefix = '') {
   try {
-    const selKey = (typeof CSS !== 'undefined' && CSS.escape) ? CSS.escape(String(key)) : String(key);
-    const id = type === 'footnote' ? `#fnref-${selKey}` : `#cite-${selKey}`;
+    const esc = (v) => ((typeof CSS !== 'undefined' && CSS.escape) ? CSS.escape(String(v)) : String(v));
+    const id = type === 'footnote' ? `#${esc(idPrefix + 'fnref-' + key)}` : `#${esc(idPrefix + 'cite-' + key)}`;
     const a = out.querySelector(id);
     if (!a) return null;
     const t = String(a.textContent || '');
@@ -220,9 +248,14 @@ function docNumberFor(out, type, key) {
  * @param {HTMLElement} out
  * @param {string[]} footnoteOrder
  * @param {Record<string, string>} footnoteDefs
+ * @param {{ idPrefix?: string, globalDefs?: Record<string, string>, originalMarkdown?: string, sanitizeHtml?: (html: string) => string }} [options]
+ *   globalDefs: document-wide definitions (slides mode), consulted when footnoteDefs lacks a key.
+ *   originalMarkdown: full source, scanned as a last resort for a missing definition.
+ *   sanitizeHtml: sanitizer for the footnote text (inline HTML written by the author); lib/sanitize.js.
+ *     Without it, the text is inserted as plain text.
  * @returns {void}
  */
-export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
+export function appendFootnotes(out, footnoteOrder, footnoteDefs, { idPrefix = '', globalDefs = null, originalMarkdown = '', sanitizeHtml = null } = {}) {
   try {
     if (!Array.isArray(footnoteOrder) || !footnoteOrder.length) return;
 
@@ -260,7 +293,8 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
       }
     } else {
       const section = document.createElement('section');
-      section.id = 'footnotes';
+      section.id = `${idPrefix}footnotes`;
+      section.className = 'footnotes';
       const h2 = document.createElement('h2');
       h2.textContent = 'Footnotes';
       ol = document.createElement('ol');
@@ -286,8 +320,8 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
 
     const labelForRef = (key) => {
       try {
-        const selKey = (typeof CSS !== 'undefined' && CSS.escape) ? CSS.escape(String(key)) : String(key);
-        const refEl = out.querySelector(`#fnref-${selKey}`);
+        const selId = (typeof CSS !== 'undefined' && CSS.escape) ? CSS.escape(`${idPrefix}fnref-${key}`) : `${idPrefix}fnref-${key}`;
+        const refEl = out.querySelector(`#${selId}`);
         if (!refEl) return '';
         const scope = scopeForContext(refEl);
         const heads = Array.from(scope.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(isVisible);
@@ -322,11 +356,11 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
     };
 
     // Read the inline-assigned number for a key using the shared helper (supports [n] or n)
-    const numberFor = (type, key) => docNumberFor(out, type, key);
+    const numberFor = (type, key) => docNumberFor(out, type, key, idPrefix);
 
     // Align the ordered list numbering with the first footnote's inline number (global sequence).
     try {
-      const firstNum = docNumberFor(out, 'footnote', footnoteOrder[0]);
+      const firstNum = docNumberFor(out, 'footnote', footnoteOrder[0], idPrefix);
       if (firstNum != null) {
         ol.start = firstNum;
       }
@@ -334,7 +368,7 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
 
     footnoteOrder.forEach((key) => {
       const li = document.createElement('li');
-      li.id = `fn-${key}`;
+      li.id = `${idPrefix}fn-${key}`;
 
       // Ensure the ordered list numbering matches the globally assigned number for this footnote.
       // HTML allows overriding list item ordinal via li.value.
@@ -343,19 +377,17 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
         try { li.value = num; } catch (_) {}
       }
   
-      // Resolve footnote text from provided defs, global defs, or last-resort from original markdown
+      // Resolve footnote text from provided defs, document-wide defs, or last-resort from original markdown
       let text =
         (footnoteDefs && footnoteDefs[key])
           ? footnoteDefs[key]
-          : ((typeof window !== 'undefined' && window.__mheFootnoteDefs && window.__mheFootnoteDefs[key])
-              ? window.__mheFootnoteDefs[key]
-              : null);
+          : ((globalDefs && globalDefs[key]) ? globalDefs[key] : null);
   
-      if (!text && typeof window !== 'undefined' && window.__mheOriginalMarkdown) {
+      if (!text && originalMarkdown) {
         try {
           const safeKey = String(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
           const rx = new RegExp('^\\s*(?:[-*]\\s+|>\\s*)?\\[\\^' + safeKey + '\\]:\\s*(.*)$', 'm');
-          const m = String(window.__mheOriginalMarkdown).match(rx);
+          const m = String(originalMarkdown).match(rx);
           if (m) text = (m[1] || '').trim();
         } catch (_) {}
       }
@@ -364,10 +396,12 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
       // Build context label from the nearest preceding visible heading where the reference [^key] appears.
       const rawLabel = labelForRef(key);
       const ctxLabel = formatCtxLabel(rawLabel || 'Back');
-      const ctxLink = `<a href="#fnref-${key}" class="footnote-context">[${ctxLabel}]</a>`;
+      const ctxLink = `<a href="#${escapeHtml(idPrefix + 'fnref-' + key)}" class="footnote-context">[${escapeHtml(ctxLabel)}]</a>`;
+      const safeText = typeof sanitizeHtml === 'function' ? sanitizeHtml(text) : escapeHtml(text);
   
       // If the footnote text contains a literal [Back] placeholder, replace it with the contextual link.
       // Otherwise, keep the original text and append the contextual link at the end.
+      text = safeText;
       const replaced = text.replace(/\[Back\]/gi, ctxLink);
       if (replaced !== text) {
         li.innerHTML = replaced;
@@ -386,18 +420,20 @@ export function appendFootnotes(out, footnoteOrder, footnoteDefs) {
  * @param {HTMLElement} out
  * @param {string[]} citations
  * @param {Record<string, Record<string, string>>} bibliography
+ * @param {{ idPrefix?: string }} [options]
  * @returns {void}
  */
-export function appendReferences(out, citations, bibliography) {
+export function appendReferences(out, citations, bibliography, { idPrefix = '' } = {}) {
   try {
     // Build citation keys; fall back to scanning DOM anchors if array is empty
     let keys = Array.isArray(citations) ? citations.slice() : [];
     if (!keys.length) {
       try {
-        const anchors = Array.from(out.querySelectorAll('sup.citation a[id^="cite-"]'));
+        const anchors = Array.from(out.querySelectorAll('sup.citation a[id]'))
+          .filter((a) => String(a.id).startsWith(`${idPrefix}cite-`));
         const seen = new Set();
         keys = anchors
-          .map((a) => String(a.id || '').replace(/^cite-/, ''))
+          .map((a) => String(a.id || '').slice(`${idPrefix}cite-`.length))
           .filter((k) => {
             if (!k) return false;
             if (seen.has(k)) return false;
@@ -409,7 +445,8 @@ export function appendReferences(out, citations, bibliography) {
     if (!keys.length) return;
 
     const section = document.createElement('section');
-    section.id = 'references';
+    section.id = `${idPrefix}references`;
+    section.className = 'references';
     const h2 = document.createElement('h2');
     h2.textContent = 'References';
     const ol = document.createElement('ol');
@@ -417,7 +454,7 @@ export function appendReferences(out, citations, bibliography) {
 
     // Align list start with the first citation's inline number
     try {
-      const firstCitationNum = docNumberFor(out, 'citation', keys[0]);
+      const firstCitationNum = docNumberFor(out, 'citation', keys[0], idPrefix);
       if (firstCitationNum != null) {
         ol.start = firstCitationNum;
       }
@@ -425,21 +462,34 @@ export function appendReferences(out, citations, bibliography) {
 
     keys.forEach((key) => {
       const li = document.createElement('li');
-      li.id = `ref-${key}`;
+      li.id = `${idPrefix}ref-${key}`;
 
       // Ensure the ordered list item value matches the inline number
-      const num = docNumberFor(out, 'citation', key);
+      const num = docNumberFor(out, 'citation', key, idPrefix);
       if (num != null) {
         try { li.value = num; } catch (_) {}
       }
 
       const entry = bibliography && bibliography[key];
       if (entry) {
+        // BibTeX fields are untrusted text: build nodes instead of HTML
         const author = entry.author || '';
         const year = entry.year || entry.date || '';
         const title = entry.title || key;
-        const url = entry.url || (entry.doi ? `https://doi.org/${entry.doi}` : '');
-        li.innerHTML = `${author ? author + '. ' : ''}${year ? '(' + year + '). ' : ''}<strong>${title}</strong>${url ? `. <a href="${url}" target="_blank" rel="noopener">link</a>` : ''}`;
+        const url = entry.url || (entry.doi ? `https://doi.org/${encodeURI(entry.doi)}` : '');
+        li.appendChild(document.createTextNode(`${author ? author + '. ' : ''}${year ? '(' + year + '). ' : ''}`));
+        const strong = document.createElement('strong');
+        strong.textContent = title;
+        li.appendChild(strong);
+        if (url && /^https?:\/\//i.test(url.trim())) {
+          li.appendChild(document.createTextNode('. '));
+          const a = document.createElement('a');
+          a.href = url.trim();
+          a.target = '_blank';
+          a.rel = 'noopener';
+          a.textContent = 'link';
+          li.appendChild(a);
+        }
       } else {
         li.textContent = key;
       }
@@ -467,16 +517,16 @@ export function ensureCitationStyles() {
       /* Citation styling */
       .markdown-body sup.citation { font-size: 0.8em; vertical-align: super; line-height: 0; margin-left: 0.12em; margin-right: 0.12em; }
       .markdown-body sup.citation a { text-decoration: none; }
-      .markdown-body section#references { margin-top: 24px; }
-      .markdown-body section#references > h2 { margin-top: 0; }
+      .markdown-body section.references { margin-top: 24px; }
+      .markdown-body section.references > h2 { margin-top: 0; }
       .markdown-body ol.citation-list { padding-left: 1.25em; }
       .markdown-body ol.citation-list li { margin-bottom: 8px; }
 
       /* Footnote styling (MPE-like) */
       .markdown-body sup.footnote { font-size: 0.8em; vertical-align: super; line-height: 0; margin-left: 0.12em; margin-right: 0.12em; }
       .markdown-body sup.footnote a { text-decoration: none; }
-      .markdown-body section#footnotes { margin-top: 24px; }
-      .markdown-body section#footnotes > h2 { margin-top: 0; }
+      .markdown-body section.footnotes { margin-top: 24px; }
+      .markdown-body section.footnotes > h2 { margin-top: 0; }
       .markdown-body ol.footnote-list { padding-left: 1.25em; }
       .markdown-body ol.footnote-list li { margin-bottom: 8px; }
       .markdown-body .footnote-backref, .markdown-body .footnote-context { margin-left: 6px; text-decoration: none; }
@@ -485,4 +535,50 @@ export function ensureCitationStyles() {
   } catch (_) {
     // ignore DOM errors
   }
+}
+
+/**
+ * Built-in markdown.js plugin: footnotes, citations and the front matter bibliography.
+ * - setup: loads the bibliography (reported as a dependency for watch mode) and, in slides mode, collects
+ *   footnote definitions of the whole deck so a slide can reference a definition written on another slide.
+ * - preprocess: replaces [^id] and [@key] markers per document/slide.
+ * - postprocess: appends the footnotes and references sections to the document/slide.
+ * @returns {{ name: string, setup: Function, preprocess: Function, postprocess: Function }}
+ */
+export function createCitationsPlugin() {
+  return {
+    name: 'citations',
+    async setup(ctx) {
+      try { ensureCitationStyles(); } catch (_) {}
+      ctx.docState.bibliography = {};
+      try {
+        const bibUrl = resolveBibliographyUrl(ctx.metadata, ctx.mdUrl);
+        if (bibUrl) ctx.addDependency(bibUrl);
+        ctx.docState.bibliography = await extractBibliographyFromFrontMatter(ctx.metadata, ctx.mdUrl);
+      } catch (_) {}
+      if (ctx.slides) {
+        try {
+          ctx.docState.globalDefs = processFootnotesAndCitations(ctx.markdown, { idPrefix: ctx.idPrefix }).footnoteDefs || {};
+        } catch (_) {}
+      }
+    },
+    preprocess(md, ctx) {
+      const proc = processFootnotesAndCitations(md, { idPrefix: ctx.idPrefix });
+      ctx.unitState.proc = proc;
+      return proc.mdProcessed;
+    },
+    postprocess(container, ctx) {
+      const proc = ctx.unitState.proc;
+      if (!proc) return;
+      try {
+        appendFootnotes(container, proc.footnoteOrder, proc.footnoteDefs, {
+          idPrefix: ctx.idPrefix,
+          globalDefs: ctx.docState.globalDefs || null,
+          originalMarkdown: ctx.markdown,
+          sanitizeHtml: ctx.sanitizer ? ctx.sanitizer.sanitizeHtml : null,
+        });
+      } catch (_) {}
+      try { appendReferences(container, proc.citations, ctx.docState.bibliography || {}, { idPrefix: ctx.idPrefix }); } catch (_) {}
+    },
+  };
 }
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Clipboard copy and the confirmation toast shared by the code toolbar and the diagram viewer.
+ *
+ * Responsibilities:
+ * - copyText(text): copy to the clipboard.
+ * - showToast(message, dark): show a short confirmation (one toast element per page).
+ * - ensureToastStyles(addStyle): toast styles (light and dark).
+ *
+ * Notes:
+ * - Copy uses navigator.clipboard with a hidden-textarea fallback (file:// pages and older webviews).
+ * - Callers pass the light/dark decision of lib/github-theme.js (forced light wins).
+ */
+
+/**
+ * Copy text to the clipboard.
+ * @param {string} text
+ * @returns {Promise<void>} Rejects when both the Clipboard API and the fallback fail.
+ */
+export async function copyText(text) {
+  try {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+  } catch (_) {}
+  const ta = document.createElement('textarea');
+  ta.value = text;
+  ta.setAttribute('readonly', '');
+  ta.style.cssText = 'position:fixed;top:0;left:0;opacity:0;pointer-events:none;';
+  const active = document.activeElement;
+  document.body.appendChild(ta);
+  ta.select();
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch (_) {}
+  ta.remove();
+  try { if (active && active.focus) active.focus(); } catch (_) {}
+  if (!ok) throw new Error('Copy command was rejected');
+}
+
+/**
+ * Show the confirmation toast (one per page, announced to screen readers).
+ * @param {string} message
+ * @param {boolean} dark
+ * @returns {void}
+ */
+export function showToast(message, dark) {
+  let toast = document.getElementById('mhe-toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'mhe-toast';
+    toast.className = 'mhe-toast';
+    toast.setAttribute('role', 'status');
+    toast.setAttribute('aria-live', 'polite');
+    document.body.appendChild(toast);
+  }
+  toast.classList.toggle('is-dark', !!dark);
+  toast.textContent = message;
+  toast.classList.add('is-visible');
+  clearTimeout(toast.__mheTimer);
+  toast.__mheTimer = setTimeout(() => toast.classList.remove('is-visible'), 1600);
+}
+
+/**
+ * Inject toast styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+export function ensureToastStyles(addStyle) {
+  addStyle(
+    'mhe-toast-styles',
+    `
+    .mhe-toast {
+      position: fixed;
+      left: 50%;
+      bottom: 24px;
+      transform: translate(-50%, 8px);
+      padding: 6px 14px;
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+      color: #1f2328;
+      background: #ffffff;
+      border: 1px solid #d0d7de;
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      opacity: 0;
+      pointer-events: none;
+      transition: opacity 150ms ease, transform 150ms ease;
+      z-index: 10001;
+    }
+    .mhe-toast.is-dark {
+      color: #e6edf3;
+      background: #161b22;
+      border-color: #30363d;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+    }
+    .mhe-toast.is-visible { opacity: 1; transform: translate(-50%, 0); }
+  `
+  );
+}
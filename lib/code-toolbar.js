@@ -0,0 +1,185 @@
+/**
+ * Code block toolbar: copy to clipboard, soft-wrap toggle and prompt stripping.
+ *
+ * Responsibilities:
+ * - createCodeToolbarPlugin(clipboard): the built-in 'code-toolbar' plugin of markdown.js.
+ *   - postprocess: adds a toolbar to every `pre > code` block (documents and slides).
+ *   - mounted: one delegated click listener on the output element; returns its cleanup.
+ * - ensureCodeToolbarStyles(addStyle): toolbar and wrap styles (light and dark).
+ * - stripPrompts(text): remove leading `$ ` / `> ` shell prompts from each line.
+ *
+ * Notes:
+ * - The toolbar shows on hover and whenever one of its buttons has keyboard focus; the buttons are native
+ *   <button>s with labels, and the wrap/prompt toggles report their state via aria-pressed.
+ * - The "strip prompt" toggle only appears on blocks with prompt lines; the choice is remembered in
+ *   localStorage for the whole site.
+ * - Copy and the confirmation toast come from lib/clipboard.js (shared with the diagram viewer); the toast
+ *   follows the same light/dark decision as lib/github-theme.js (forced light wins).
+ */
+
+const STRIP_KEY = 'mhe-code-strip-prompt';
+const PROMPT_RX = /^[ \t]*(?:\$|>) /;
+
+/**
+ * Remove leading `$ ` / `> ` prompts; lines without a prompt (command output) are kept as is.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripPrompts(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.replace(PROMPT_RX, ''))
+    .join('\n');
+}
+
+/**
+ * Whether prompt stripping is enabled (persisted choice).
+ * @returns {boolean}
+ */
+function stripEnabled() {
+  try {
+    return localStorage.getItem(STRIP_KEY) === 'true';
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Create a toolbar button.
+ * @param {string} action copy | wrap | strip
+ * @param {string} label Visible text
+ * @param {string} title Tooltip and accessible name
+ * @param {boolean|null} pressed aria-pressed state for toggles, null for plain buttons
+ * @returns {HTMLButtonElement}
+ */
+function createButton(action, label, title, pressed) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'mhe-code-btn';
+  btn.setAttribute('data-mhe-code-action', action);
+  btn.setAttribute('aria-label', title);
+  btn.title = title;
+  btn.textContent = label;
+  if (pressed !== null) btn.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+  return btn;
+}
+
+/**
+ * Inject toolbar and wrap styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+export function ensureCodeToolbarStyles(addStyle) {
+  addStyle(
+    'mhe-code-toolbar-styles',
+    `
+    .markdown-body .mhe-code-frame { position: relative; }
+    .markdown-body .mhe-code-frame > pre { margin-bottom: 16px; }
+    .markdown-body .mhe-code-block .mhe-code-frame > pre { margin-bottom: 0; }
+    .markdown-body .mhe-code-toolbar {
+      position: absolute;
+      top: 6px;
+      right: 6px;
+      display: flex;
+      gap: 4px;
+      opacity: 0;
+      transition: opacity 120ms ease;
+      z-index: 1;
+    }
+    .markdown-body .mhe-code-frame:hover .mhe-code-toolbar,
+    .markdown-body .mhe-code-toolbar:focus-within { opacity: 1; }
+    .markdown-body .mhe-code-btn {
+      font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+      padding: 2px 8px;
+      color: inherit;
+      background: rgba(127, 127, 127, 0.15);
+      border: 1px solid rgba(127, 127, 127, 0.35);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .markdown-body .mhe-code-btn:hover { background: rgba(127, 127, 127, 0.28); }
+    .markdown-body .mhe-code-btn:focus-visible { outline: 2px solid #0969da; outline-offset: 1px; }
+    .markdown-body .mhe-code-btn[aria-pressed="true"] { background: rgba(9, 105, 218, 0.2); border-color: rgba(9, 105, 218, 0.6); }
+    .markdown-body pre.mhe-code-wrap { white-space: pre-wrap; overflow-wrap: anywhere; }
+    .markdown-body pre.mhe-code-wrap > code { white-space: inherit; }
+    @media print { .markdown-body .mhe-code-toolbar { display: none; } }
+  `
+  );
+}
+
+/**
+ * Built-in markdown.js plugin: toolbar on code blocks.
+ * @param {{ copyText: (text: string) => Promise<void>, showToast: (message: string, dark: boolean) => void,
+ *   ensureToastStyles: (addStyle: Function) => void }} clipboard lib/clipboard.js
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createCodeToolbarPlugin({ copyText, showToast, ensureToastStyles }) {
+  return {
+    name: 'code-toolbar',
+    setup(ctx) {
+      ensureCodeToolbarStyles(ctx.addStyle);
+      ensureToastStyles(ctx.addStyle);
+    },
+    postprocess(container) {
+      const strip = stripEnabled();
+      container.querySelectorAll('pre > code').forEach((code) => {
+        const pre = code.parentElement;
+        if (pre.parentElement && pre.parentElement.classList.contains('mhe-code-frame')) return;
+        const frame = document.createElement('div');
+        frame.className = 'mhe-code-frame';
+        const bar = document.createElement('div');
+        bar.className = 'mhe-code-toolbar';
+        bar.setAttribute('role', 'toolbar');
+        bar.setAttribute('aria-label', 'Code actions');
+        bar.appendChild(createButton('copy', 'Copy', 'Copy code to clipboard', null));
+        bar.appendChild(createButton('wrap', 'Wrap', 'Toggle line wrapping', false));
+        if (code.textContent.split('\n').some((line) => PROMPT_RX.test(line))) {
+          bar.appendChild(createButton('strip', '$', 'Strip $ and > prompts when copying', strip));
+        }
+        pre.replaceWith(frame);
+        frame.appendChild(bar);
+        frame.appendChild(pre);
+      });
+    },
+    mounted(out, ctx) {
+      const isDark = () =>
+        !ctx.forceLight &&
+        (document.body.classList.contains('vscode-dark') ||
+          document.body.classList.contains('vscode-high-contrast'));
+
+      const onClick = async (e) => {
+        const btn = e.target && e.target.closest ? e.target.closest('[data-mhe-code-action]') : null;
+        if (!btn || !out.contains(btn)) return;
+        const frame = btn.closest('.mhe-code-frame');
+        const pre = frame ? frame.querySelector('pre') : null;
+        const code = pre ? pre.querySelector('code') : null;
+        if (!code) return;
+        const action = btn.getAttribute('data-mhe-code-action');
+        if (action === 'wrap') {
+          const on = pre.classList.toggle('mhe-code-wrap');
+          btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+        } else if (action === 'strip') {
+          const on = btn.getAttribute('aria-pressed') !== 'true';
+          try { localStorage.setItem(STRIP_KEY, on ? 'true' : 'false'); } catch (_) {}
+          // Keep every strip toggle on the page in sync with the stored choice
+          document.querySelectorAll('[data-mhe-code-action="strip"]').forEach((b) => {
+            b.setAttribute('aria-pressed', on ? 'true' : 'false');
+          });
+        } else if (action === 'copy') {
+          const stripBtn = frame.querySelector('[data-mhe-code-action="strip"]');
+          let text = code.textContent.replace(/\n$/, '');
+          if (stripBtn && stripBtn.getAttribute('aria-pressed') === 'true') text = stripPrompts(text);
+          try {
+            await copyText(text);
+            showToast('Copied to clipboard', isDark());
+          } catch (err) {
+            console.error('code-toolbar: Copy failed', err);
+            showToast('Copy failed', isDark());
+          }
+        }
+      };
+      out.addEventListener('click', onClick);
+      return () => out.removeEventListener('click', onClick);
+    },
+  };
+}
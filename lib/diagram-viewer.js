@@ -0,0 +1,582 @@
+/**
+ * Diagram viewer: zoom, pan, fullscreen view, copy source and SVG/PNG download for rendered diagrams.
+ *
+ * Responsibilities:
+ * - createDiagramViewerPlugin(clipboard): the built-in 'diagram-viewer' plugin of markdown.js.
+ *   - mounted: adds a toolbar to every rendered div.mermaid / div.mhe-graphviz, again after each
+ *     mhe:diagrams-rendered of the output element (diagrams render after mounting and again on theme or slide
+ *     changes); one delegated listener set on the output element, released by the returned cleanup.
+ * - ensureDiagramViewerStyles(addStyle): toolbar and fullscreen view styles (light and dark).
+ *
+ * Controls:
+ *   toolbar         + / − / Reset zoom, ⤢ fullscreen view, Copy (diagram source, data-raw), SVG and PNG download
+ *   in the page     Ctrl/⌘ + wheel (and trackpad pinch) zooms at the pointer; drag pans once zoomed
+ *   fullscreen      wheel and two-finger pinch zoom, drag pans, Escape closes and returns focus to the diagram
+ *
+ * Notes:
+ * - Plain wheel scrolling keeps scrolling the page; zooming in the page stays inside the diagram's box (the
+ *   fullscreen view is for diagrams too large for the column or clipped by a slide).
+ * - Downloads are standalone files named after the markdown file (`guide-diagram-2.svg`): the SVG keeps
+ *   Mermaid's embedded styles and inline Iconify icons; the PNG is drawn at twice the diagram size on the page
+ *   background. Font Awesome `fa:` icons are CSS webfont glyphs and do not survive either export, and browsers
+ *   that refuse to rasterize HTML labels (foreignObject) report the PNG download as failed.
+ * - Toolbar buttons are text only: lib/slides.js treats a diagram node containing an <svg> as rendered.
+ */
+
+const DIAGRAM_SELECTOR = '.mermaid, .mhe-graphviz';
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 8;
+const ZOOM_STEP = 1.25;
+const PNG_SCALE = 2;
+
+// Zoom and pan state per viewport (diagram node or fullscreen stage): { svg, scale, x, y }
+const views = new WeakMap();
+
+/**
+ * Create a toolbar button.
+ * @param {string} action zoom-in | zoom-out | reset | fullscreen | copy | svg | png | close
+ * @param {string} label Visible text
+ * @param {string} title Tooltip and accessible name
+ * @returns {HTMLButtonElement}
+ */
+function createButton(action, label, title) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'mhe-diagram-btn';
+  btn.setAttribute('data-mhe-diagram-action', action);
+  btn.setAttribute('aria-label', title);
+  btn.title = title;
+  btn.textContent = label;
+  return btn;
+}
+
+/**
+ * Create a diagram toolbar.
+ * @param {boolean} fullscreen Toolbar of the fullscreen view (Close instead of the fullscreen button).
+ * @returns {HTMLElement}
+ */
+function createToolbar(fullscreen) {
+  const bar = document.createElement('div');
+  bar.className = 'mhe-diagram-toolbar';
+  bar.setAttribute('role', 'toolbar');
+  bar.setAttribute('aria-label', 'Diagram actions');
+  bar.appendChild(createButton('zoom-in', '+', 'Zoom in'));
+  bar.appendChild(createButton('zoom-out', '−', 'Zoom out'));
+  bar.appendChild(createButton('reset', 'Reset', 'Reset zoom'));
+  if (!fullscreen) bar.appendChild(createButton('fullscreen', '⤢', 'Open fullscreen view'));
+  bar.appendChild(createButton('copy', 'Copy', 'Copy diagram source'));
+  bar.appendChild(createButton('svg', 'SVG', 'Download as SVG'));
+  bar.appendChild(createButton('png', 'PNG', 'Download as PNG'));
+  if (fullscreen) bar.appendChild(createButton('close', 'Close', 'Close fullscreen view'));
+  return bar;
+}
+
+/**
+ * Inject toolbar and fullscreen view styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+export function ensureDiagramViewerStyles(addStyle) {
+  addStyle(
+    'mhe-diagram-viewer-styles',
+    `
+    .markdown-body .mhe-diagram { position: relative; }
+    .markdown-body .mhe-diagram > svg { transform-origin: 0 0; }
+    .markdown-body .mhe-diagram.is-zoomed { overflow: hidden; touch-action: none; cursor: grab; }
+    .mhe-diagram.is-panning, .mhe-diagram-stage.is-panning { cursor: grabbing; }
+    .mhe-diagram.is-panning > svg, .mhe-diagram-stage.is-panning > svg { user-select: none; }
+    .markdown-body .mhe-diagram-toolbar {
+      position: absolute;
+      top: 6px;
+      right: 6px;
+      display: flex;
+      gap: 4px;
+      opacity: 0;
+      transition: opacity 120ms ease;
+      z-index: 1;
+    }
+    .markdown-body .mhe-diagram:hover > .mhe-diagram-toolbar,
+    .markdown-body .mhe-diagram-toolbar:focus-within { opacity: 1; }
+    .mhe-diagram-btn {
+      font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+      min-width: 26px;
+      padding: 2px 8px;
+      color: inherit;
+      background: rgba(127, 127, 127, 0.15);
+      border: 1px solid rgba(127, 127, 127, 0.35);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .mhe-diagram-btn:hover { background: rgba(127, 127, 127, 0.28); }
+    .mhe-diagram-btn:focus-visible { outline: 2px solid #0969da; outline-offset: 1px; }
+    @media print { .markdown-body .mhe-diagram-toolbar { display: none; } }
+    .mhe-diagram-overlay {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      color: #1f2328;
+      background: #ffffff;
+      z-index: 10000;
+    }
+    .mhe-diagram-overlay.is-dark { color: #e6edf3; background: #0d1117; }
+    .mhe-diagram-overlay .mhe-diagram-toolbar {
+      display: flex;
+      justify-content: flex-end;
+      gap: 4px;
+      padding: 8px;
+      border-bottom: 1px solid rgba(127, 127, 127, 0.35);
+    }
+    .mhe-diagram-stage { position: relative; flex: 1; overflow: hidden; touch-action: none; cursor: grab; }
+    .mhe-diagram-stage > svg {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      max-width: none !important;
+      transform-origin: 0 0;
+    }
+  `
+  );
+}
+
+/**
+ * The rendered SVG of a diagram node (none while the source or an error is shown).
+ * @param {HTMLElement} node
+ * @returns {SVGSVGElement|null}
+ */
+function diagramSvg(node) {
+  return node.querySelector(':scope > svg');
+}
+
+/**
+ * Zoom and pan state of a viewport, reset when its SVG was replaced (re-render, theme change).
+ * @param {HTMLElement} viewport
+ * @param {SVGSVGElement} svg
+ * @returns {{ svg: SVGSVGElement, scale: number, x: number, y: number }}
+ */
+function viewOf(viewport, svg) {
+  let view = views.get(viewport);
+  if (!view || view.svg !== svg) {
+    view = { svg, scale: 1, x: 0, y: 0 };
+    views.set(viewport, view);
+  }
+  return view;
+}
+
+/**
+ * Apply a view to its SVG.
+ * @param {HTMLElement} viewport
+ * @param {{ svg: SVGSVGElement, scale: number, x: number, y: number }} view
+ */
+function applyView(viewport, view) {
+  const identity = view.scale === 1 && !view.x && !view.y;
+  view.svg.style.transform = identity ? '' : `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+  viewport.classList.toggle('is-zoomed', !identity);
+}
+
+/**
+ * Zoom a view, keeping the diagram point under the given client coordinates in place.
+ * @param {HTMLElement} viewport
+ * @param {Object} view
+ * @param {number} factor
+ * @param {number} clientX
+ * @param {number} clientY
+ */
+function zoomAt(viewport, view, factor, clientX, clientY) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+  // With transform-origin 0 0 the SVG's top-left corner is at its layout position plus the translation
+  const rect = view.svg.getBoundingClientRect();
+  view.x += ((clientX - rect.left) / view.scale) * (view.scale - scale);
+  view.y += ((clientY - rect.top) / view.scale) * (view.scale - scale);
+  view.scale = scale;
+  applyView(viewport, view);
+}
+
+/**
+ * Zoom a view around the center of its viewport (toolbar buttons).
+ * @param {HTMLElement} viewport
+ * @param {Object} view
+ * @param {number} factor
+ */
+function zoomCentered(viewport, view, factor) {
+  const rect = viewport.getBoundingClientRect();
+  zoomAt(viewport, view, factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+/**
+ * Wheel, drag and pinch handling for the viewports inside a root element.
+ * @param {HTMLElement} root Element the listeners are attached to.
+ * @param {(target: Element) => { viewport: HTMLElement, view: Object }|null} resolve Viewport under an event target.
+ * @param {{ wheel: (e: WheelEvent) => boolean, pan: (hit: Object) => boolean }} policy
+ *   wheel: whether a wheel event zooms; pan: whether a drag starting on the viewport pans.
+ * @returns {() => void} Removes the listeners.
+ */
+function bindPanZoom(root, resolve, policy) {
+  const pointers = new Map();
+  let hit = null;
+  let last = null;
+  let moved = false;
+
+  // Midpoint and distance of the active pointers (distance 0 with a single pointer)
+  const measure = () => {
+    const pts = Array.from(pointers.values());
+    const x = pts.reduce((s, p) => s + p[0], 0) / pts.length;
+    const y = pts.reduce((s, p) => s + p[1], 0) / pts.length;
+    const dist = pts.length > 1 ? Math.hypot(pts[0][0] - pts[1][0], pts[0][1] - pts[1][1]) : 0;
+    return { x, y, dist };
+  };
+
+  const onWheel = (e) => {
+    const target = resolve(e.target);
+    if (!target || !policy.wheel(e)) return;
+    e.preventDefault();
+    // Trackpad pinch arrives as ctrl + wheel with small deltas
+    const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002));
+    zoomAt(target.viewport, target.view, factor, e.clientX, e.clientY);
+  };
+  const onDown = (e) => {
+    if (!hit) moved = false;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest && e.target.closest('.mhe-diagram-toolbar')) return;
+    const target = resolve(e.target);
+    if (!target) return;
+    if (!hit) {
+      if (!policy.pan(target)) return;
+      hit = target;
+    } else if (target.viewport !== hit.viewport) {
+      return;
+    }
+    pointers.set(e.pointerId, [e.clientX, e.clientY]);
+    last = measure();
+    try { hit.viewport.setPointerCapture(e.pointerId); } catch (_) {}
+    hit.viewport.classList.add('is-panning');
+  };
+  const onMove = (e) => {
+    if (!hit || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, [e.clientX, e.clientY]);
+    const now = measure();
+    const dx = now.x - last.x;
+    const dy = now.y - last.y;
+    if (Math.abs(dx) + Math.abs(dy) > 0) moved = true;
+    hit.view.x += dx;
+    hit.view.y += dy;
+    if (now.dist && last.dist) zoomAt(hit.viewport, hit.view, now.dist / last.dist, now.x, now.y);
+    else applyView(hit.viewport, hit.view);
+    last = now;
+  };
+  const onUp = (e) => {
+    if (!hit || !pointers.delete(e.pointerId)) return;
+    if (pointers.size) {
+      last = measure();
+      return;
+    }
+    hit.viewport.classList.remove('is-panning');
+    hit = null;
+  };
+  // A drag ending on a diagram link must not follow it
+  const onClick = (e) => {
+    if (!moved) return;
+    moved = false;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  root.addEventListener('wheel', onWheel, { passive: false });
+  root.addEventListener('pointerdown', onDown);
+  root.addEventListener('pointermove', onMove);
+  root.addEventListener('pointerup', onUp);
+  root.addEventListener('pointercancel', onUp);
+  root.addEventListener('click', onClick, true);
+  return () => {
+    root.removeEventListener('wheel', onWheel, { passive: false });
+    root.removeEventListener('pointerdown', onDown);
+    root.removeEventListener('pointermove', onMove);
+    root.removeEventListener('pointerup', onUp);
+    root.removeEventListener('pointercancel', onUp);
+    root.removeEventListener('click', onClick, true);
+  };
+}
+
+/**
+ * Intrinsic size of a diagram SVG (viewBox, else its size on the page).
+ * @param {SVGSVGElement} svg
+ * @returns {{ width: number, height: number }}
+ */
+function svgSize(svg) {
+  const vb = svg.viewBox && svg.viewBox.baseVal;
+  if (vb && vb.width && vb.height) return { width: vb.width, height: vb.height };
+  const rect = svg.getBoundingClientRect();
+  return { width: rect.width || 300, height: rect.height || 150 };
+}
+
+/**
+ * Standalone SVG markup of a diagram: namespaces, explicit size, no page transform.
+ * @param {SVGSVGElement} svg
+ * @returns {{ xml: string, width: number, height: number }}
+ */
+function serializeSvg(svg) {
+  const { width, height } = svgSize(svg);
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  clone.setAttribute('width', String(Math.ceil(width)));
+  clone.setAttribute('height', String(Math.ceil(height)));
+  ['transform', 'max-width', 'height'].forEach((p) => clone.style.removeProperty(p));
+  const xml = new XMLSerializer().serializeToString(clone);
+  return { xml: `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`, width, height };
+}
+
+/**
+ * First opaque background color behind an element.
+ * @param {Element} el
+ * @param {boolean} dark Fallback when every ancestor is transparent.
+ * @returns {string}
+ */
+function backgroundOf(el, dark) {
+  for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+    const bg = getComputedStyle(n).backgroundColor;
+    if (bg && bg !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(bg)) return bg;
+  }
+  return dark ? '#0d1117' : '#ffffff';
+}
+
+/**
+ * Rasterize a diagram SVG to PNG.
+ * @param {SVGSVGElement} svg
+ * @param {string} background
+ * @returns {Promise<Blob>} Rejects when the image does not load or the browser refuses to export the canvas.
+ */
+async function rasterize(svg, background) {
+  const { xml, width, height } = serializeSvg(svg);
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = () => reject(new Error('The SVG could not be loaded as an image'));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(xml)}`;
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * PNG_SCALE);
+  canvas.height = Math.ceil(height * PNG_SCALE);
+  const g = canvas.getContext('2d');
+  g.fillStyle = background;
+  g.fillRect(0, 0, canvas.width, canvas.height);
+  g.drawImage(img, 0, 0, canvas.width, canvas.height);
+  // toBlob throws a SecurityError on a tainted canvas
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The canvas is empty'))), 'image/png');
+  });
+}
+
+/**
+ * Save a blob under a file name.
+ * @param {Blob} blob
+ * @param {string} name
+ */
+function download(blob, name) {
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+}
+
+/**
+ * Built-in markdown.js plugin: diagram toolbar and fullscreen view.
+ * @param {{ copyText: (text: string) => Promise<void>, showToast: (message: string, dark: boolean) => void,
+ *   ensureToastStyles: (addStyle: Function) => void }} clipboard lib/clipboard.js (shared with the code toolbar)
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createDiagramViewerPlugin({ copyText, showToast, ensureToastStyles }) {
+  return {
+    name: 'diagram-viewer',
+    setup(ctx) {
+      ensureDiagramViewerStyles(ctx.addStyle);
+      ensureToastStyles(ctx.addStyle);
+    },
+    mounted(out, ctx) {
+      const isDark = () =>
+        !ctx.forceLight &&
+        (document.body.classList.contains('vscode-dark') ||
+          document.body.classList.contains('vscode-high-contrast'));
+
+      // File names: `<markdown file name>-diagram-<n>`
+      let baseName = 'diagram';
+      try {
+        const last = new URL(ctx.mdUrl, document.baseURI).pathname.split('/').filter(Boolean).pop();
+        if (last) baseName = `${decodeURIComponent(last).replace(/\.[^.]+$/, '')}-diagram`;
+      } catch (_) {}
+      const fileName = (node, ext) => {
+        const index = Array.from(out.querySelectorAll(DIAGRAM_SELECTOR)).indexOf(node) + 1;
+        return `${baseName}-${index || 1}.${ext}`;
+      };
+
+      // (Re)attach toolbars; restored diagrams (preserve mode) bring a stale toolbar and transform along
+      const enhance = () => {
+        out.querySelectorAll(DIAGRAM_SELECTOR).forEach((node) => {
+          const svg = diagramSvg(node);
+          const bar = node.querySelector(':scope > .mhe-diagram-toolbar');
+          const view = views.get(node);
+          if (svg && bar && view && view.svg === svg) return;
+          if (bar) bar.remove();
+          if (!svg) {
+            node.classList.remove('mhe-diagram', 'is-zoomed');
+            return;
+          }
+          node.classList.add('mhe-diagram');
+          applyView(node, viewOf(node, svg));
+          node.appendChild(createToolbar(false));
+        });
+      };
+
+      let overlay = null;
+      let releaseOverlay = null;
+
+      const closeFullscreen = () => {
+        if (!overlay) return;
+        const source = overlay.__mheSource;
+        releaseOverlay();
+        overlay.remove();
+        overlay = null;
+        releaseOverlay = null;
+        const btn = source && source.querySelector('[data-mhe-diagram-action="fullscreen"]');
+        try { if (btn) btn.focus(); } catch (_) {}
+      };
+
+      const runAction = async (action, node, viewport, svg) => {
+        const view = viewOf(viewport, svg);
+        if (action === 'zoom-in') zoomCentered(viewport, view, ZOOM_STEP);
+        else if (action === 'zoom-out') zoomCentered(viewport, view, 1 / ZOOM_STEP);
+        else if (action === 'reset') {
+          Object.assign(view, { scale: 1, x: 0, y: 0 });
+          applyView(viewport, view);
+        } else if (action === 'fullscreen') openFullscreen(node);
+        else if (action === 'close') closeFullscreen();
+        else if (action === 'copy') {
+          try {
+            await copyText(node.dataset.raw || '');
+            showToast('Diagram source copied', isDark());
+          } catch (err) {
+            console.error('diagram-viewer: Copy failed', err);
+            showToast('Copy failed', isDark());
+          }
+        } else if (action === 'svg') {
+          // Export the page's diagram: the fullscreen copy is sized to the screen
+          const source = diagramSvg(node);
+          if (!source) return;
+          const blob = new Blob([serializeSvg(source).xml], { type: 'image/svg+xml;charset=utf-8' });
+          download(blob, fileName(node, 'svg'));
+        } else if (action === 'png') {
+          const source = diagramSvg(node);
+          if (!source) return;
+          try {
+            download(await rasterize(source, backgroundOf(node, isDark())), fileName(node, 'png'));
+          } catch (err) {
+            console.error('diagram-viewer: PNG export failed', err);
+            showToast('PNG export failed; download the SVG instead', isDark());
+          }
+        }
+      };
+
+      const openFullscreen = (node) => {
+        const svg = diagramSvg(node);
+        if (!svg) return;
+        closeFullscreen();
+        overlay = document.createElement('div');
+        overlay.className = 'mhe-diagram-overlay';
+        overlay.classList.toggle('is-dark', isDark());
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', 'Diagram');
+        overlay.__mheSource = node;
+        const stage = document.createElement('div');
+        stage.className = 'mhe-diagram-stage';
+        const clone = svg.cloneNode(true);
+        // Fill the stage; the viewBox keeps the aspect ratio
+        ['transform', 'max-width', 'height'].forEach((p) => clone.style.removeProperty(p));
+        clone.setAttribute('width', '100%');
+        clone.setAttribute('height', '100%');
+        stage.appendChild(clone);
+        overlay.appendChild(createToolbar(true));
+        overlay.appendChild(stage);
+        document.body.appendChild(overlay);
+
+        const onClick = (e) => {
+          const btn = e.target && e.target.closest ? e.target.closest('[data-mhe-diagram-action]') : null;
+          if (btn) runAction(btn.getAttribute('data-mhe-diagram-action'), node, stage, clone);
+        };
+        // Keys stay in the dialog: slide navigation listens on the document
+        const onKey = (e) => {
+          e.stopPropagation();
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFullscreen();
+          } else if (e.key === 'Tab') {
+            const buttons = Array.from(overlay.querySelectorAll('button'));
+            const i = buttons.indexOf(document.activeElement);
+            const next = e.shiftKey ? (i <= 0 ? buttons.length - 1 : i - 1) : (i + 1) % buttons.length;
+            e.preventDefault();
+            buttons[next].focus();
+          } else if (e.key === '+' || e.key === '=') {
+            zoomCentered(stage, viewOf(stage, clone), ZOOM_STEP);
+          } else if (e.key === '-') {
+            zoomCentered(stage, viewOf(stage, clone), 1 / ZOOM_STEP);
+          }
+        };
+        const unbind = bindPanZoom(
+          stage,
+          () => ({ viewport: stage, view: viewOf(stage, clone) }),
+          { wheel: () => true, pan: () => true }
+        );
+        overlay.addEventListener('click', onClick);
+        overlay.addEventListener('keydown', onKey);
+        releaseOverlay = () => {
+          unbind();
+          overlay.removeEventListener('click', onClick);
+          overlay.removeEventListener('keydown', onKey);
+        };
+        const closeBtn = overlay.querySelector('[data-mhe-diagram-action="close"]');
+        try { closeBtn.focus(); } catch (_) {}
+      };
+
+      const onClick = (e) => {
+        const btn = e.target && e.target.closest ? e.target.closest('[data-mhe-diagram-action]') : null;
+        if (!btn || !out.contains(btn)) return;
+        const node = btn.closest(DIAGRAM_SELECTOR);
+        const svg = node && diagramSvg(node);
+        if (svg) runAction(btn.getAttribute('data-mhe-diagram-action'), node, node, svg);
+      };
+      // Only diagrams already zoomed pan, so dragging elsewhere still selects text and swipes slides
+      const unbind = bindPanZoom(
+        out,
+        (target) => {
+          const node = target && target.closest ? target.closest('.mhe-diagram') : null;
+          const svg = node && out.contains(node) && diagramSvg(node);
+          return svg ? { viewport: node, view: viewOf(node, svg) } : null;
+        },
+        {
+          wheel: (e) => e.ctrlKey || e.metaKey,
+          pan: (hit) => hit.view.scale !== 1 || !!hit.view.x || !!hit.view.y,
+        }
+      );
+      const onRendered = (e) => {
+        const root = e && e.detail && e.detail.root;
+        if (root && !out.contains(root) && !root.contains(out)) return;
+        enhance();
+      };
+
+      enhance();
+      out.addEventListener('click', onClick);
+      window.addEventListener('mhe:diagrams-rendered', onRendered);
+      return () => {
+        closeFullscreen();
+        unbind();
+        out.removeEventListener('click', onClick);
+        window.removeEventListener('mhe:diagrams-rendered', onRendered);
+      };
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * GitHub emoji shortcodes (`:rocket:`, `:warning:`, `:+1:`).
+ *
+ * Responsibilities:
+ * - createEmojiPlugin({ dataUrl, imageUrl, mode }): the built-in 'emoji' plugin of markdown.js.
+ *   - setup: loads the shortcode table (gemoji, GitHub's own list) only when the document has a candidate.
+ *   - postprocess: replaces known shortcodes in text with the emoji; unknown ones stay as typed.
+ * - emojiImageCode(emoji): the code point file name image sets use (`1f680`, `1f468-200d-1f4bb`).
+ *
+ * Modes (front matter `emoji:` overrides the page default window.MHE_EMOJI, boot data-emoji):
+ *   native (default)  the Unicode character, span.mhe-emoji with role="img" and the shortcode as label
+ *   image             img.mhe-emoji-img from the image set of config.js EMOJI_IMAGE_URL (`{code}` is replaced),
+ *                     identical across platforms; alt is the character, so copying text keeps the emoji
+ *   off               shortcodes stay as text
+ *
+ * Notes:
+ * - Runs after the anchors plugin, so heading ids keep GitHub's slugs (`## :rocket: Launch` -> `#rocket-launch`).
+ * - Text in code spans and blocks, keyboard input, math and diagrams is not converted.
+ * - The table is imported once per page (ctx.loadModule, lib/loader.js); a failed load is retried on the next render.
+ */
+
+// `:name:` (lowercase, digits, _, +, -); word boundaries are checked by isStandalone()
+const SHORTCODE_RX = /:([a-z0-9_+-]+):/g;
+
+// Where shortcodes are literal text
+const SKIP_SELECTOR = [
+  'code', 'pre', 'kbd', 'samp', 'script', 'style', 'textarea', 'svg', 'math',
+  '.katex', '.mermaid', '.mhe-graphviz', '.mhe-icon', '.mhe-emoji',
+].join(', ');
+
+/**
+ * Index gemoji by shortcode.
+ * @param {Object} mod gemoji module
+ * @returns {Map<string, string>} shortcode -> emoji
+ */
+function indexTable(mod) {
+  const list = mod.gemoji || (mod.default && mod.default.gemoji) || mod.default || [];
+  const table = new Map();
+  list.forEach((e) => (e.names || []).forEach((n) => table.set(n, e.emoji)));
+  return table;
+}
+
+/**
+ * Image file name of an emoji: lowercase hex code points joined by '-', without the emoji presentation
+ * selector (U+FE0F) unless the emoji is a ZWJ sequence (Twemoji naming).
+ * @param {string} emoji
+ * @returns {string}
+ */
+export function emojiImageCode(emoji) {
+  const points = Array.from(String(emoji)).map((c) => c.codePointAt(0));
+  const kept = points.includes(0x200d) ? points : points.filter((p) => p !== 0xfe0f);
+  return kept.map((p) => p.toString(16)).join('-');
+}
+
+/**
+ * Whether a shortcode match stands alone: not glued to a word (`a:b:c`, `10:30:00`) or a colon, except the
+ * closing colon of the shortcode converted right before it (`:rocket::fire:`).
+ * @param {string} text
+ * @param {number} start Index of the opening colon.
+ * @param {number} end Index after the closing colon.
+ * @param {number} previousEnd End of the previous converted shortcode.
+ * @returns {boolean}
+ */
+function isStandalone(text, start, end, previousEnd) {
+  const before = text.charAt(start - 1);
+  const after = text.charAt(end);
+  if (/\w/.test(after)) return false;
+  if (start === previousEnd && start > 0) return true;
+  return !before || !/[\w:]/.test(before);
+}
+
+/**
+ * Normalize a mode value.
+ * @param {*} v
+ * @returns {'native'|'image'|'off'|''} '' when unset or unknown.
+ */
+function modeOf(v) {
+  if (v === false) return 'off';
+  const s = String(v === undefined || v === null ? '' : v).trim().toLowerCase();
+  if (['image', 'images', 'img', 'sprite', 'sprites'].includes(s)) return 'image';
+  if (['off', 'false', 'no', '0', 'none'].includes(s)) return 'off';
+  if (['native', 'unicode', 'on', 'true', 'yes', '1'].includes(s)) return 'native';
+  return '';
+}
+
+/**
+ * Built-in markdown.js plugin: emoji shortcodes.
+ * @param {{ dataUrl: string, imageUrl: string, mode?: * }} options mode: page default (window.MHE_EMOJI).
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createEmojiPlugin({ dataUrl, imageUrl, mode } = {}) {
+  const render = (shortcode, emoji, asImage) => {
+    if (asImage) {
+      const img = document.createElement('img');
+      img.className = 'mhe-emoji-img';
+      img.src = String(imageUrl).replace('{code}', emojiImageCode(emoji));
+      img.alt = emoji;
+      img.title = `:${shortcode}:`;
+      img.loading = 'lazy';
+      // Missing image: fall back to the character
+      img.addEventListener('error', () => img.replaceWith(document.createTextNode(emoji)), { once: true });
+      return img;
+    }
+    const span = document.createElement('span');
+    span.className = 'mhe-emoji';
+    span.setAttribute('role', 'img');
+    span.setAttribute('aria-label', shortcode.replace(/_/g, ' '));
+    span.title = `:${shortcode}:`;
+    span.textContent = emoji;
+    return span;
+  };
+
+  return {
+    name: 'emoji',
+    async setup(ctx) {
+      ctx.docState.mode = modeOf(ctx.metadata.emoji) || modeOf(mode) || 'native';
+      if (ctx.docState.mode === 'off') return;
+      SHORTCODE_RX.lastIndex = 0;
+      if (!SHORTCODE_RX.test(ctx.markdown)) return;
+      ctx.addStyle(
+        'mhe-emoji-styles',
+        `
+        .mhe-emoji {
+          font-family: "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif;
+          font-style: normal;
+        }
+        .mhe-emoji-img {
+          display: inline-block;
+          width: 1.2em;
+          height: 1.2em;
+          margin: 0 0.05em;
+          vertical-align: -0.2em;
+        }
+      `
+      );
+      try {
+        ctx.docState.table = await ctx.loadModule(dataUrl, indexTable);
+      } catch (e) {
+        console.error('emoji: Failed to load the shortcode table; shortcodes are shown as text', e);
+      }
+    },
+    postprocess(container, ctx) {
+      const table = ctx.docState.table;
+      if (!table) return;
+      const asImage = ctx.docState.mode === 'image' && !!imageUrl;
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+          const parent = node.parentElement;
+          if (!parent || parent.closest(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+          return node.nodeValue.indexOf(':') === -1 ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_ACCEPT;
+        },
+      });
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+      nodes.forEach((node) => {
+        const text = node.nodeValue;
+        const frag = document.createDocumentFragment();
+        let last = 0;
+        SHORTCODE_RX.lastIndex = 0;
+        let m;
+        while ((m = SHORTCODE_RX.exec(text))) {
+          const emoji = table.get(m[1]);
+          const end = SHORTCODE_RX.lastIndex;
+          // Unknown shortcodes stay untouched
+          if (!emoji || !isStandalone(text, m.index, end, last)) continue;
+          frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+          frag.appendChild(render(m[1], emoji, asImage));
+          last = end;
+        }
+        if (!last) return;
+        frag.appendChild(document.createTextNode(text.slice(last)));
+        node.replaceWith(frag);
+      });
+    },
+  };
+}
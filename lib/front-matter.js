@@ -0,0 +1,412 @@
+/**
+ * YAML front matter: one parser for the document metadata used by the renderer, its plugins and host pages.
+ *
+ * Responsibilities:
+ * - splitFrontMatter(md): { frontMatter, data, content }; markdown.js renders content and exposes data as the
+ *   document metadata (plugin ctx.metadata, controller.metadata, mhe:rendered detail.metadata).
+ * - parseFrontMatter(md): the metadata object alone ({} when the document has no front matter).
+ * - parseYaml(text): the YAML subset parser behind both.
+ * - documentTitle(md): front matter `title`, else the first heading (boot.js derives the page title from it).
+ * - applyPageMetadata(metadata): reflect `lang`, `description` and `author` in <html lang> and <meta> tags.
+ *
+ * Supported YAML:
+ * - Nested block maps and lists (`- item`, `- key: value` items), flow lists and maps ([a, b], { a: 1 }).
+ * - Plain, 'single' and "double" quoted scalars (escapes, multi-line folding), block scalars | and > with the
+ *   chomping indicators - and +, comments.
+ * - Scalars: null/~ -> null, true/false -> booleans, decimal numbers -> numbers, everything else stays a string
+ *   (dates included).
+ * Anchors, aliases, tags and multi-document streams are not supported; they are read as plain text.
+ *
+ * Notes:
+ * - The front matter block opens with `---` on the first line and closes with `---` or `...`.
+ * - Parsing is tolerant: lines that do not fit the structure end the block they appear in instead of throwing.
+ */
+
+const FRONT_MATTER_RX = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const SEQ_RX = /^-(?:[ \t]|$)/;
+// Map entry: quoted or plain key, colon, then the value (the colon must be followed by a space or end the line)
+const KEY_RX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|(?!-(?:[ \t]|$))[^\s"'#[\]{}][^#]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+// Double-quoted escapes (\xNN, \uNNNN and \UNNNNNNNN are decoded separately)
+const ESCAPES = {
+  n: '\n', t: '\t', r: '\r', 0: '\0', b: '\b', f: '\f', e: '\x1b', v: '\v', a: '\x07',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: '\u00a0', L: '\u2028', P: '\u2029',
+};
+
+/**
+ * Remove a trailing comment (`#` at the start or after whitespace, outside quotes).
+ * @param {string} s
+ * @returns {string}
+ */
+function stripComment(s) {
+  let quote = '';
+  for (let k = 0; k < s.length; k++) {
+    const c = s[k];
+    if (quote) {
+      if (quote === '"' && c === '\\') k++;
+      else if (quote === "'" && c === "'" && s[k + 1] === "'") k++;
+      else if (c === quote) quote = '';
+    } else if ((c === '"' || c === "'") && (k === 0 || /[\s,[{:]/.test(s[k - 1]))) {
+      // Quotes open a scalar only at the start of a token ("don't" is plain text)
+      quote = c;
+    } else if (c === '#' && (k === 0 || /\s/.test(s[k - 1]))) {
+      return s.slice(0, k);
+    }
+  }
+  return s;
+}
+
+/**
+ * Typed value of a plain scalar.
+ * @param {string} s
+ * @returns {*}
+ */
+function plainScalar(s) {
+  const v = s.trim();
+  if (!v || v === '~' || /^null$/i.test(v)) return null;
+  if (/^true$/i.test(v)) return true;
+  if (/^false$/i.test(v)) return false;
+  if (/^[-+]?(?:\d+|\d*\.\d+|\d+\.\d*)(?:[eE][-+]?\d+)?$/.test(v)) return Number(v);
+  if (/^0x[0-9a-f]+$/i.test(v)) return parseInt(v, 16);
+  return v;
+}
+
+/**
+ * Parse a single-line value: quoted scalar, flow list/map or plain scalar.
+ * @param {string} src
+ * @returns {*}
+ */
+function parseInlineValue(src) {
+  let pos = 0;
+  const skipSpace = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+  const quoted = () => {
+    const q = src[pos++];
+    let out = '';
+    while (pos < src.length) {
+      const c = src[pos++];
+      if (q === "'") {
+        if (c !== "'") out += c;
+        else if (src[pos] === "'") { out += "'"; pos++; }
+        else return out;
+      } else if (c === '"') {
+        return out;
+      } else if (c !== '\\') {
+        out += c;
+      } else {
+        const e = src[pos++];
+        const hex = { x: 2, u: 4, U: 8 }[e];
+        if (hex) {
+          out += String.fromCodePoint(parseInt(src.slice(pos, pos + hex), 16) || 0xfffd);
+          pos += hex;
+        } else {
+          out += e in ESCAPES ? ESCAPES[e] : e;
+        }
+      }
+    }
+    return out;
+  };
+  const value = (inFlow) => {
+    skipSpace();
+    const c = src[pos];
+    if (c === '"' || c === "'") return quoted();
+    if (c === '[') {
+      pos++;
+      const list = [];
+      for (;;) {
+        skipSpace();
+        if (pos >= src.length) return list;
+        if (src[pos] === ']') { pos++; return list; }
+        list.push(value(true));
+        skipSpace();
+        if (src[pos] === ',') pos++;
+        else if (src[pos] === ']') { pos++; return list; }
+        else return list;
+      }
+    }
+    if (c === '{') {
+      pos++;
+      const map = {};
+      for (;;) {
+        skipSpace();
+        if (pos >= src.length) return map;
+        if (src[pos] === '}') { pos++; return map; }
+        const key = value(true);
+        skipSpace();
+        let v = null;
+        if (src[pos] === ':') {
+          pos++;
+          v = value(true);
+          skipSpace();
+        }
+        map[String(key)] = v;
+        if (src[pos] === ',') pos++;
+        else if (src[pos] === '}') { pos++; return map; }
+        else return map;
+      }
+    }
+    const start = pos;
+    if (!inFlow) return plainScalar(src.slice(start));
+    // Inside [...] / {...} a plain scalar ends at , ] } or a key's colon
+    const ends = () => /[,\]}]/.test(src[pos]) || (src[pos] === ':' && /^(?:[\s,\]}]|$)/.test(src.slice(pos + 1, pos + 2)));
+    while (pos < src.length && !ends()) pos++;
+    return plainScalar(src.slice(start, pos));
+  };
+  return value(false);
+}
+
+/**
+ * Join the lines of a multi-line flow scalar: line breaks fold to spaces, blank lines become newlines.
+ * @param {string[]} parts Trimmed lines ('' for blank lines).
+ * @returns {string}
+ */
+function foldLines(parts) {
+  return parts.reduce((s, p, k) => {
+    if (k === 0) return p;
+    if (p === '') return `${s}\n`;
+    return s.endsWith('\n') ? s + p : `${s} ${p}`;
+  }, '');
+}
+
+/**
+ * Parse YAML (the subset described in the module header).
+ * @param {string} text
+ * @returns {*} Parsed value (null for empty input).
+ */
+export function parseYaml(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    // Tabs are not YAML indentation, but hand-written front matter uses them; read each as two spaces
+    .map((l) => l.replace(/^\t+/, (t) => '  '.repeat(t.length)));
+  let i = 0;
+
+  const indentOf = (l) => l.length - l.replace(/^ +/, '').length;
+  const skipBlank = () => {
+    while (i < lines.length && (!lines[i].trim() || /^\s*#/.test(lines[i]))) i++;
+  };
+
+  // Block scalar (| or >) whose content is indented more than ownerIndent
+  const blockScalar = (style, indicators, ownerIndent) => {
+    const chomp = indicators.indexOf('-') >= 0 ? 'strip' : indicators.indexOf('+') >= 0 ? 'keep' : 'clip';
+    const explicit = indicators.match(/[1-9]/);
+    let indent = explicit ? Math.max(ownerIndent, 0) + Number(explicit[0]) : -1;
+    const body = [];
+    while (i < lines.length) {
+      const l = lines[i];
+      if (!l.trim()) {
+        body.push('');
+        i++;
+        continue;
+      }
+      const li = indentOf(l);
+      if (indent < 0) {
+        if (li <= ownerIndent) break;
+        indent = li;
+      }
+      if (li < indent) break;
+      body.push(l.slice(indent));
+      i++;
+    }
+    let trailing = 0;
+    while (body.length && !body[body.length - 1]) {
+      body.pop();
+      trailing++;
+    }
+    if (!body.length) return chomp === 'keep' ? '\n'.repeat(trailing) : '';
+    let out = body.join('\n');
+    if (style === '>') {
+      // Folded: single line breaks become spaces, except around blank and more-indented lines
+      out = body.reduce((s, line, k) => {
+        if (k === 0) return line;
+        const prev = body[k - 1];
+        if (!line) return `${s}\n`;
+        if (/^\s/.test(line) || /^\s/.test(prev)) return `${s}\n${line}`;
+        return prev ? `${s} ${line}` : s + line;
+      }, '');
+    }
+    if (chomp === 'strip') return out;
+    return chomp === 'keep' ? `${out}\n${'\n'.repeat(trailing)}` : `${out}\n`;
+  };
+
+  // Value written after `key:` or `- `; flow scalars may continue on lines indented more than ownerIndent
+  const valueOf = (rest, ownerIndent, seqAtOwner) => {
+    const head = stripComment(rest || '').trim();
+    if (!head) return node(ownerIndent, seqAtOwner);
+    const block = head.match(/^([|>])([1-9+-]*)$/);
+    if (block) return blockScalar(block[1], block[2], ownerIndent);
+    const parts = [String(rest).trim()];
+    while (i < lines.length) {
+      if (!lines[i].trim()) {
+        let j = i;
+        while (j < lines.length && !lines[j].trim()) j++;
+        if (j >= lines.length || indentOf(lines[j]) <= ownerIndent) break;
+        for (; i < j; i++) parts.push('');
+        continue;
+      }
+      if (indentOf(lines[i]) <= ownerIndent || /^\s*#/.test(lines[i])) break;
+      parts.push(lines[i].trim());
+      i++;
+    }
+    return parseInlineValue(stripComment(foldLines(parts)).trim());
+  };
+
+  const map = (indent) => {
+    const out = {};
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length || indentOf(lines[i]) !== indent) break;
+      const m = lines[i].slice(indent).match(KEY_RX);
+      if (!m) break;
+      i++;
+      const key = /^["']/.test(m[1]) ? String(parseInlineValue(m[1])) : m[1].trim();
+      // `key:` may be followed by a list at the key's own indentation
+      out[key] = valueOf(m[2], indent, true);
+    }
+    return out;
+  };
+
+  const seq = (indent) => {
+    const out = [];
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length || indentOf(lines[i]) !== indent) break;
+      const m = lines[i].slice(indent).match(/^-([ \t]+|$)(.*)$/);
+      if (!m) break;
+      const rest = m[2];
+      if (stripComment(rest).trim() && (SEQ_RX.test(rest) || KEY_RX.test(rest))) {
+        // `- key: value` / `- - item`: the item is a block starting at the content's column
+        lines[i] = ' '.repeat(indent + 1 + m[1].length) + rest;
+        out.push(node(indent, false));
+      } else {
+        i++;
+        out.push(valueOf(rest, indent, false));
+      }
+    }
+    return out;
+  };
+
+  // Block node on the next content line, indented more than parentIndent
+  const node = (parentIndent, seqAtParent) => {
+    skipBlank();
+    if (i >= lines.length) return null;
+    const indent = indentOf(lines[i]);
+    const t = lines[i].slice(indent);
+    if (indent < parentIndent || (indent === parentIndent && !(seqAtParent && SEQ_RX.test(t)))) return null;
+    if (SEQ_RX.test(t)) return seq(indent);
+    if (KEY_RX.test(t)) return map(indent);
+    i++;
+    return valueOf(t, parentIndent, false);
+  };
+
+  return node(-1, false);
+}
+
+/**
+ * Split a markdown document into its front matter and content.
+ * @param {string} md
+ * @returns {{ frontMatter: string, data: Object, content: string }} frontMatter: the raw block ('' when absent);
+ *   data: the parsed metadata ({} when absent or not a map); content: the markdown after the block.
+ */
+export function splitFrontMatter(md) {
+  const text = String(md || '');
+  const m = text.match(FRONT_MATTER_RX);
+  if (!m) return { frontMatter: '', data: {}, content: text };
+  let data = null;
+  try {
+    data = parseYaml(m[1] || '');
+  } catch (e) {
+    console.error('front-matter: Failed to parse front matter', e);
+  }
+  return {
+    frontMatter: m[0],
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+    content: text.slice(m[0].length),
+  };
+}
+
+/**
+ * Parse the front matter of a markdown document.
+ * @param {string} md
+ * @returns {Object} Metadata ({} when the document has none).
+ */
+export function parseFrontMatter(md) {
+  return splitFrontMatter(md).data;
+}
+
+/**
+ * Title of a markdown document: front matter `title`, else the first ATX or setext heading.
+ * @param {string} md
+ * @returns {string|null}
+ */
+export function documentTitle(md) {
+  const { data, content } = splitFrontMatter(md);
+  if (data.title !== undefined && data.title !== null && typeof data.title !== 'object' && String(data.title).trim()) {
+    return String(data.title).trim();
+  }
+
+  // ATX heading: #, ##, ..., ######
+  const atx = content.match(/^\s*#{1,6}\s+(.+?)\s*$/m);
+  if (atx && atx[1]) return atx[1].trim();
+
+  // Setext heading: text followed by === or ---
+  const setext = content.match(/^\s*([^\n]+?)\s*\r?\n\s*(?:=+|-+)\s*$/m);
+  if (setext && setext[1]) return setext[1].trim();
+
+  return null;
+}
+
+/**
+ * Text of a metadata value for a <meta> tag: strings and numbers as is, lists joined, people by `name`.
+ * @param {*} value
+ * @returns {string}
+ */
+function metaText(value) {
+  return [].concat(value === undefined || value === null ? [] : value)
+    .map((v) => (v && typeof v === 'object' ? v.name : v))
+    .filter((v) => v !== undefined && v !== null && typeof v !== 'object' && String(v).trim())
+    .map((v) => String(v).trim())
+    .join(', ');
+}
+
+/**
+ * Reflect document metadata in the page: <html lang> from `lang` (or `language`), <meta name="description">
+ * from `description` and <meta name="author"> from `author` (or `authors`).
+ * Values the HTML page declares itself are left alone; values set for a previously rendered document are
+ * replaced, or removed when the new document does not declare them.
+ * @param {Object} metadata Parsed front matter.
+ * @returns {void}
+ */
+export function applyPageMetadata(metadata) {
+  const data = metadata || {};
+  const root = document.documentElement;
+  if (!root.hasAttribute('lang') || root.hasAttribute('data-mhe-lang')) {
+    const lang = metaText(data.lang !== undefined ? data.lang : data.language);
+    if (lang) {
+      root.setAttribute('lang', lang);
+      root.setAttribute('data-mhe-lang', '');
+    } else if (root.hasAttribute('data-mhe-lang')) {
+      root.removeAttribute('lang');
+      root.removeAttribute('data-mhe-lang');
+    }
+  }
+  [
+    ['description', metaText(data.description)],
+    ['author', metaText(data.author !== undefined ? data.author : data.authors)],
+  ].forEach(([name, value]) => {
+    let el = document.head.querySelector(`meta[name="${name}"]`);
+    if (el && !el.hasAttribute('data-mhe-meta')) return;
+    if (!value) {
+      if (el) el.remove();
+      return;
+    }
+    if (!el) {
+      el = document.createElement('meta');
+      el.setAttribute('name', name);
+      el.setAttribute('data-mhe-meta', '');
+      document.head.appendChild(el);
+    }
+    el.setAttribute('content', value);
+  });
+}
@@ -3,12 +3,17 @@
  *
  * Exports:
  * - ensureGithubMarkdownStyles({ CDN_NPM_BASE, FORCE_LIGHT, loadCSS, addStyle })
- *   Loads GitHub Markdown CSS (theme-aware) and injects minimal overrides.
+ *   Loads GitHub Markdown CSS (theme-aware) and injects minimal overrides, including the alert palette and the
+ *   title block (lib/title-block.js).
  *   When FORCE_LIGHT is true, ensures light theme styles win and adds explicit palette.
  *
  * - enforceLightTables(out)
  *   Applies inline styles to tables inside the provided container to hard-enforce
  *   light appearance even under dark host themes. Highest priority via inline styles.
+ *
+ * - createLightTablesPlugin()
+ *   The built-in 'light-tables' plugin of markdown.js: runs enforceLightTables() on the rendered
+ *   document when the light theme is forced.
  */
 
 /**
@@ -20,14 +25,17 @@ export function ensureGithubMarkdownStyles({ CDN_NPM_BASE, FORCE_LIGHT, loadCSS,
   const GITHUB_MD_CSS_LIGHT = `${CDN_NPM_BASE}/github-markdown-css@5/github-markdown.min.css`;
   const GITHUB_MD_CSS_DARK = `${CDN_NPM_BASE}/github-markdown-css@5/github-markdown-dark.min.css`;
 
-  // Load theme-aware GitHub Markdown CSS
+  let isDarkTheme = false;
   try {
-    const absLight = new URL(GITHUB_MD_CSS_LIGHT, document.baseURI).href;
-    const absDark = new URL(GITHUB_MD_CSS_DARK, document.baseURI).href;
-    const isDarkTheme =
+    isDarkTheme =
       !FORCE_LIGHT &&
       (document.body.classList.contains('vscode-dark') ||
         document.body.classList.contains('vscode-high-contrast'));
+  } catch (_) {}
+
+  // Load theme-aware GitHub Markdown CSS
+  try {
+    const absDark = new URL(GITHUB_MD_CSS_DARK, document.baseURI).href;
     if (FORCE_LIGHT) {
       // Remove any dark GitHub Markdown CSS to ensure light styles win
       Array.from(document.querySelectorAll('link[rel="stylesheet"]')).forEach((l) => {
@@ -52,6 +60,51 @@ export function ensureGithubMarkdownStyles({ CDN_NPM_BASE, FORCE_LIGHT, loadCSS,
     );
   } catch (_) {}
 
+  // Alerts and admonitions (lib/alerts.js): GitHub palette of the active theme
+  try {
+    const palette = isDarkTheme
+      ? { note: '#4493f8', tip: '#3fb950', important: '#ab7df8', warning: '#d29922', caution: '#f85149' }
+      : { note: '#0969da', tip: '#1a7f37', important: '#8250df', warning: '#9a6700', caution: '#d1242f' };
+    addStyle(
+      'mhe-alert-styles',
+      `
+      .markdown-body .markdown-alert { padding: 8px 16px; margin-bottom: 16px; color: inherit; border-left: 4px solid var(--mhe-alert-color); }
+      .markdown-body .markdown-alert > :first-child { margin-top: 0; }
+      .markdown-body .markdown-alert > :last-child { margin-bottom: 0; }
+      .markdown-body .markdown-alert .markdown-alert-title { display: flex; align-items: center; gap: 8px; margin-bottom: 4px; font-weight: 500; line-height: 1; color: var(--mhe-alert-color); }
+      .markdown-body details.markdown-alert > summary.markdown-alert-title { display: list-item; cursor: pointer; }
+      .markdown-body details.markdown-alert > summary.markdown-alert-title .fa { margin: 0 8px 0 4px; }
+      .markdown-body details.markdown-alert:not([open]) > summary.markdown-alert-title { margin-bottom: 0; }
+      ${Object.keys(palette).map((k) => `.markdown-body .markdown-alert-${k} { --mhe-alert-color: ${palette[k]}; }`).join('\n      ')}
+    `
+    );
+  } catch (_) {}
+
+  // Title block (lib/title-block.js): muted metadata and an abstract panel in the theme's colors
+  try {
+    const muted = isDarkTheme ? '#9198a1' : '#59636e';
+    const border = isDarkTheme ? '#3d444d' : '#d1d9e0';
+    const subtle = isDarkTheme ? '#151b23' : '#f6f8fa';
+    addStyle(
+      'mhe-title-block-styles',
+      `
+      .markdown-body .mhe-title-block { margin-bottom: 32px; padding-bottom: 16px; border-bottom: 1px solid ${border}; }
+      .markdown-body .mhe-title-block .mhe-title { margin: 0 0 4px; padding-bottom: 0; border-bottom: 0; font-size: 2.5em; }
+      .markdown-body .mhe-title-block .mhe-subtitle { margin: 0 0 16px; font-size: 1.4em; color: ${muted}; }
+      .markdown-body .mhe-title-block .mhe-authors { display: flex; flex-wrap: wrap; gap: 8px 32px; margin-bottom: 8px; }
+      .markdown-body .mhe-title-block .mhe-author { display: flex; flex-direction: column; }
+      .markdown-body .mhe-title-block .mhe-author-name { font-weight: 600; }
+      .markdown-body .mhe-title-block .mhe-author-affiliation, .markdown-body .mhe-title-block .mhe-author-email { font-size: 0.875em; color: ${muted}; }
+      .markdown-body .mhe-title-block .mhe-date { margin: 0 0 16px; color: ${muted}; }
+      .markdown-body .mhe-title-block .mhe-abstract { margin: 16px 0 0; padding: 12px 16px; background: ${subtle}; border: 1px solid ${border}; border-radius: 6px; }
+      .markdown-body .mhe-title-block .mhe-abstract > :last-child { margin-bottom: 0; }
+      .markdown-body .mhe-title-block .mhe-abstract-title { margin-bottom: 8px; font-size: 0.75em; font-weight: 600; letter-spacing: 0.05em; text-transform: uppercase; color: ${muted}; }
+      .markdown-body .mhe-slide.mhe-title-slide { display: flex; flex-direction: column; justify-content: center; }
+      .markdown-body .mhe-title-slide .mhe-title-block { margin-bottom: 0; border-bottom: 0; }
+    `
+    );
+  } catch (_) {}
+
   // Optional: force light table palette and explicit light theme palette when requested
   try {
     if (FORCE_LIGHT) {
@@ -134,4 +187,18 @@ export function enforceLightTables(out) {
       set(code, 'color', '#24292e');
     });
   } catch (_) {}
+}
+
+/**
+ * Built-in markdown.js plugin applying enforceLightTables() after the document is inserted
+ * (only when the light theme is forced).
+ * @returns {{ name: string, mounted: (out: HTMLElement, ctx: { forceLight: boolean }) => void }}
+ */
+export function createLightTablesPlugin() {
+  return {
+    name: 'light-tables',
+    mounted(out, ctx) {
+      if (ctx.forceLight) enforceLightTables(out);
+    },
+  };
 }
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Graphviz DOT diagrams (WebAssembly renderer, loaded lazily).
+ *
+ * Responsibilities:
+ * - createGraphvizPlugin(): the built-in 'graphviz' plugin of markdown.js; converts ```dot and ```graphviz
+ *   fenced blocks to div.mhe-graphviz (source in data-raw), rendered after insertion like div.mermaid.
+ * - renderGraphviz(nodes, { graphvizUrl, loadModule, dark, securityLevel, sanitizer }): render div.mhe-graphviz
+ *   nodes to inline SVG.
+ *   Loads the renderer (once per page, through lib/loader.js loadModule) only when there is something to render;
+ *   nodes already rendered for the current theme are skipped (data-processed, data-mhe-theme), so calling it
+ *   again after a theme change re-renders.
+ *
+ * Notes:
+ * - markdown.js calls renderGraphviz() next to the Mermaid rendering (active slide only in slides mode) and
+ *   dispatches mhe:diagrams-rendered afterwards, so lib/slides.js re-measures the two-column layout.
+ * - Dark theme: default black strokes, fills and labels (text without a fill) become the GitHub dark foreground;
+ *   the graph background is transparent in both themes. Colors the DOT source sets explicitly are kept.
+ * - The SVG is cleaned like Mermaid output: no scripts or event handlers, and the links DOT URL/href attributes
+ *   produce must pass the render's sanitizer (lib/sanitize.js urlAllowed: protocol allowlist, after stripping
+ *   the whitespace and control characters browsers ignore). securityLevel 'strict' (sanitize mode 'strict') and
+ *   renders without a sanitizer drop every link.
+ * - On a syntax error the source stays visible with the renderer's message (pre.mhe-graphviz-error).
+ */
+
+// Default Graphviz colors replaced in dark mode (GitHub dark foreground)
+const DARK_FOREGROUND = '#c9d1d9';
+const DEFAULT_INK = /^(black|#000000|#000)$/i;
+
+/**
+ * Parse Graphviz SVG output and make it safe and theme-aware.
+ * @param {string} svgText
+ * @param {{ dark: boolean, strict: boolean, sanitizer?: Object }} options
+ * @returns {SVGElement|null}
+ */
+function prepareSvg(svgText, { dark, strict, sanitizer }) {
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg') return null;
+  svg.querySelectorAll('script, foreignObject').forEach((el) => el.remove());
+  const linkAllowed = (value) => !strict && !!sanitizer && sanitizer.urlAllowed('a', 'href', value);
+  [svg, ...svg.querySelectorAll('*')].forEach((el) => {
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      const isLink = name === 'href' || name === 'xlink:href';
+      if (name.startsWith('on')) el.removeAttribute(attr.name);
+      else if (isLink && !linkAllowed(attr.value)) el.removeAttribute(attr.name);
+    });
+  });
+  // Graph background: let the page show through
+  const bg = svg.querySelector('g.graph > polygon');
+  if (bg) bg.setAttribute('fill', 'transparent');
+  if (dark) {
+    svg.querySelectorAll('[stroke], [fill]').forEach((el) => {
+      ['stroke', 'fill'].forEach((a) => {
+        if (DEFAULT_INK.test(el.getAttribute(a) || '')) el.setAttribute(a, DARK_FOREGROUND);
+      });
+    });
+    // Labels in the default font color carry no fill at all (SVG paints them black)
+    svg.querySelectorAll('text:not([fill])').forEach((el) => el.setAttribute('fill', DARK_FOREGROUND));
+  }
+  // Scale down with the column instead of overflowing it
+  svg.removeAttribute('width');
+  svg.removeAttribute('height');
+  svg.style.maxWidth = '100%';
+  svg.style.height = 'auto';
+  return document.importNode(svg, true);
+}
+
+/**
+ * Show the source and the renderer's message in place of the diagram.
+ * @param {HTMLElement} node
+ * @param {string} raw
+ * @param {*} err
+ */
+function showError(node, raw, err) {
+  const pre = document.createElement('pre');
+  pre.className = 'mhe-graphviz-error';
+  pre.textContent = `${String((err && err.message) || err || 'Graphviz error').trim()}\n\n${raw}`;
+  node.replaceChildren(pre);
+  node.removeAttribute('data-processed');
+}
+
+/**
+ * Render div.mhe-graphviz nodes to inline SVG.
+ * @param {Iterable<HTMLElement>} nodes
+ * @param {{ graphvizUrl: string, loadModule: Function, dark?: boolean, securityLevel?: string,
+ *   sanitizer?: Object }} options
+ *   graphvizUrl: @hpcc-js/wasm-graphviz ESM build (WebAssembly inlined), imported with loadModule (lib/loader.js);
+ *   sanitizer: the render's sanitizer (lib/sanitize.js), which checks the diagram links.
+ * @returns {Promise<number>} Number of nodes (re)rendered.
+ */
+export async function renderGraphviz(
+  nodes,
+  { graphvizUrl, loadModule, dark = false, securityLevel = 'loose', sanitizer } = {}
+) {
+  const theme = dark ? 'dark' : 'light';
+  const pending = Array.from(nodes || [])
+    .filter((n) => !(n.hasAttribute('data-processed') && n.dataset.mheTheme === theme));
+  if (!pending.length) return 0;
+  const graphviz = await loadModule(graphvizUrl, (mod) =>
+    (mod.Graphviz || (mod.default && mod.default.Graphviz)).load());
+  pending.forEach((node) => {
+    const raw = node.dataset.raw || '';
+    try {
+      const svg = prepareSvg(graphviz.dot(raw), { dark, strict: securityLevel === 'strict', sanitizer });
+      if (!svg) throw new Error('Graphviz produced no SVG');
+      node.replaceChildren(svg);
+      node.setAttribute('data-processed', 'true');
+      node.dataset.mheTheme = theme;
+    } catch (err) {
+      showError(node, raw, err);
+    }
+  });
+  return pending.length;
+}
+
+/**
+ * Built-in markdown.js plugin: ```dot / ```graphviz blocks to div.mhe-graphviz.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createGraphvizPlugin() {
+  return {
+    name: 'graphviz',
+    postprocess(container) {
+      container.querySelectorAll('code.language-dot, code.language-graphviz').forEach((codeEl) => {
+        const pre = codeEl.closest('pre');
+        const div = document.createElement('div');
+        div.className = 'mhe-graphviz';
+        div.textContent = codeEl.textContent;
+        try { div.dataset.raw = codeEl.textContent; } catch (_) {}
+        (pre || codeEl).replaceWith(div);
+      });
+    },
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Syntax highlighting for fenced code blocks (highlight.js, loaded lazily).
+ *
+ * Responsibilities:
+ * - createHighlightPlugin({ highlightUrl, cssLight, cssDark }): the built-in 'highlight' plugin of markdown.js.
+ *   - Marked extension: keeps the fence metadata after the language (```js {3,5-7} showLineNumbers title="x.js")
+ *     on the <pre> as data-meta (the default renderer drops everything after the first word).
+ *   - setup: loads highlight.js and its theme CSS only when the document has fenced code.
+ *   - postprocess: highlights `pre > code.language-*`, then applies line numbers, highlighted lines and the title.
+ * - ensureHighlightStyles({ cssLight, cssDark, FORCE_LIGHT, loadCSS, addStyle }): theme CSS (same light/dark
+ *   decision as lib/github-theme.js) plus line number/highlight/title styles.
+ * - parseFenceMeta(meta): { highlight: Set<number>, lineNumbers: boolean, start: number, title: string }.
+ *
+ * Fence metadata:
+ * - {3,5-7}                 highlight lines 3 and 5 to 7.
+ * - showLineNumbers[=N]     number the lines (starting at N, default 1).
+ * - title="server.js"       caption above the block (quotes optional for single words).
+ *
+ * Notes:
+ * - Blocks without a language (or with a language highlight.js does not know) are not highlighted, like GitHub.
+ * - Line wrappers keep the code's text content unchanged (numbers are CSS-generated), so copying stays exact.
+ * - highlight.js is imported once per page (ctx.loadModule, lib/loader.js); a failed load is retried on the next
+ *   render.
+ */
+
+/**
+ * Escape text for insertion into HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse the fence metadata following the language.
+ * @param {string} meta e.g. '{3,5-7} showLineNumbers title="server.js"'
+ * @returns {{ highlight: Set<number>, lineNumbers: boolean, start: number, title: string }}
+ */
+export function parseFenceMeta(meta) {
+  const text = String(meta || '');
+  const highlight = new Set();
+  const braces = text.match(/\{([\d\s,-]+)\}/);
+  if (braces) {
+    braces[1].split(',').forEach((part) => {
+      const m = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!m) return;
+      const from = parseInt(m[1], 10);
+      const to = m[2] ? parseInt(m[2], 10) : from;
+      // Cap ranges so a typo like {1-99999999} cannot stall the page
+      for (let n = from; n <= to && n - from < 10000; n++) highlight.add(n);
+    });
+  }
+  const ln = text.match(/(?:^|\s)showLineNumbers(?:=(\d+))?(?=\s|$)/i);
+  const title = text.match(/(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/i);
+  return {
+    highlight,
+    lineNumbers: !!ln,
+    start: ln && ln[1] ? parseInt(ln[1], 10) : 1,
+    title: title ? (title[1] !== undefined ? title[1] : title[2] !== undefined ? title[2] : title[3]) : '',
+  };
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening spans that cross line breaks.
+ * @param {string} html Escaped code HTML containing only <span ...> and </span> tags.
+ * @returns {string[]}
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let cur = '';
+  String(html).replace(/<span[^>]*>|<\/span>|\n|[^<\n]+|</g, (tok) => {
+    if (tok === '\n') {
+      lines.push(cur + '</span>'.repeat(open.length));
+      cur = open.join('');
+    } else if (tok === '</span>') {
+      open.pop();
+      cur += tok;
+    } else if (tok.startsWith('<span')) {
+      open.push(tok);
+      cur += tok;
+    } else {
+      cur += tok;
+    }
+    return '';
+  });
+  lines.push(cur + '</span>'.repeat(open.length));
+  // The renderer ends code with a newline; do not number the empty remainder
+  if (lines.length > 1 && /^(<span[^>]*>)*(<\/span>)*$/.test(lines[lines.length - 1])) lines.pop();
+  return lines;
+}
+
+/**
+ * Load highlight.js theme CSS and inject line/title styles.
+ * @param {{ cssLight: string, cssDark: string, FORCE_LIGHT: boolean, loadCSS: (href: string) => void, addStyle: (id: string, css: string) => void }} deps
+ * @returns {void}
+ */
+export function ensureHighlightStyles({ cssLight, cssDark, FORCE_LIGHT, loadCSS, addStyle }) {
+  try {
+    const isDarkTheme =
+      !FORCE_LIGHT &&
+      (document.body.classList.contains('vscode-dark') ||
+        document.body.classList.contains('vscode-high-contrast'));
+    const other = new URL(isDarkTheme ? cssLight : cssDark, document.baseURI).href;
+    // Keep a single theme stylesheet (the theme may differ from a previous render)
+    Array.from(document.querySelectorAll('link[rel="stylesheet"]')).forEach((l) => {
+      if (l.href === other) {
+        try { l.parentNode.removeChild(l); } catch (_) {}
+      }
+    });
+    loadCSS(isDarkTheme ? cssDark : cssLight);
+  } catch (_) {}
+
+  try {
+    addStyle(
+      'mhe-highlight-styles',
+      `
+      .markdown-body .mhe-code-block { margin-bottom: 16px; }
+      .markdown-body .mhe-code-block pre { margin-bottom: 0; border-top-left-radius: 0; border-top-right-radius: 0; }
+      .markdown-body .mhe-code-title {
+        padding: 6px 16px;
+        font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, Liberation Mono, monospace;
+        font-size: 12px;
+        border: 1px solid rgba(127, 127, 127, 0.25);
+        border-bottom: 0;
+        border-radius: 6px 6px 0 0;
+        background: rgba(127, 127, 127, 0.08);
+      }
+      .markdown-body pre code.hljs { padding: 0; background: transparent; }
+      .markdown-body pre code .mhe-code-line { display: inline-block; min-width: 100%; box-sizing: border-box; }
+      .markdown-body pre.mhe-line-numbers code .mhe-code-line::before {
+        content: attr(data-line);
+        display: inline-block;
+        width: 2.5em;
+        margin-right: 1em;
+        text-align: right;
+        opacity: 0.5;
+        user-select: none;
+      }
+      .markdown-body pre code .mhe-code-line.is-highlighted {
+        background: rgba(255, 212, 59, 0.18);
+        box-shadow: inset 3px 0 0 rgba(212, 167, 44, 0.8);
+      }
+    `
+    );
+  } catch (_) {}
+}
+
+/**
+ * Built-in markdown.js plugin: syntax highlighting, line numbers, highlighted lines and titles.
+ * @param {{ highlightUrl: string, cssLight: string, cssDark: string }} urls highlight.js ESM build and theme CSS (config.js).
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createHighlightPlugin({ highlightUrl, cssLight, cssDark }) {
+  return {
+    name: 'highlight',
+    // data-meta carries the fence metadata from the Marked renderer to postprocess (it is only parsed, never rendered)
+    allowlist: { attributes: { pre: ['data-meta'] } },
+    markedExtensions: [{
+      renderer: {
+        code(tokenOrCode, infostring) {
+          // Marked >= 13 passes a token; older versions pass (code, infostring, escaped)
+          const token = (tokenOrCode && typeof tokenOrCode === 'object') ? tokenOrCode : { text: tokenOrCode, lang: infostring };
+          const info = String(token.lang || '').trim();
+          const lang = (info.match(/^[^\s{]*/) || [''])[0];
+          const meta = info.slice(lang.length).trim();
+          // Nothing beyond the language: let the default renderer handle the block
+          if (!meta) return false;
+          const text = String(token.text || '').replace(/\n$/, '') + '\n';
+          const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+          return `<pre data-meta="${escapeHtml(meta)}"><code${cls}>${token.escaped ? text : escapeHtml(text)}</code></pre>\n`;
+        },
+      },
+    }],
+    async setup(ctx) {
+      if (!/^\s*(```|~~~)/m.test(ctx.markdown)) return;
+      try {
+        ensureHighlightStyles({ cssLight, cssDark, FORCE_LIGHT: ctx.forceLight, loadCSS: ctx.loadCSS, addStyle: ctx.addStyle });
+      } catch (_) {}
+      try {
+        ctx.docState.hljs = await ctx.loadModule(highlightUrl, (mod) => mod.default || mod.hljs || mod);
+      } catch (e) {
+        console.error('highlight: Failed to load highlight.js; code blocks stay plain', e);
+      }
+    },
+    postprocess(container, ctx) {
+      const hljs = ctx.docState.hljs;
+      container.querySelectorAll('pre > code').forEach((code) => {
+        const pre = code.parentElement;
+        const langClass = Array.from(code.classList).find((c) => c.startsWith('language-'));
+        const lang = langClass ? langClass.slice('language-'.length) : '';
+
+        let html = code.innerHTML;
+        if (hljs && lang && hljs.getLanguage(lang)) {
+          try {
+            html = hljs.highlight(code.textContent, { language: lang, ignoreIllegals: true }).value;
+            code.innerHTML = html;
+            code.classList.add('hljs');
+          } catch (_) {}
+        }
+
+        const meta = parseFenceMeta(pre.getAttribute('data-meta'));
+        pre.removeAttribute('data-meta');
+        if (meta.lineNumbers || meta.highlight.size) {
+          const lines = splitHighlightedLines(html);
+          code.innerHTML = lines.map((line, i) => {
+            const n = i + 1;
+            const cls = meta.highlight.has(n) ? 'mhe-code-line is-highlighted' : 'mhe-code-line';
+            return `<span class="${cls}" data-line="${meta.start + i}">${line}</span>`;
+          }).join('\n') + '\n';
+          if (meta.lineNumbers) pre.classList.add('mhe-line-numbers');
+        }
+        if (meta.title) {
+          const block = document.createElement('div');
+          block.className = 'mhe-code-block';
+          const title = document.createElement('div');
+          title.className = 'mhe-code-title';
+          title.textContent = meta.title;
+          pre.replaceWith(block);
+          block.appendChild(title);
+          block.appendChild(pre);
+        }
+      });
+    },
+  };
+}
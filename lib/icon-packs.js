@@ -0,0 +1,211 @@
+/**
+ * Iconify icon pack detection and resolution for Mermaid diagrams.
+ *
+ * Responsibilities:
+ * - detectIconPrefixes(sources, options): the icon prefixes used in Mermaid sources (`prefix:name` tokens, e.g.
+ *   `logos:aws` in architecture diagrams or `icon: "simple-icons:github"` in flowchart shapes), keeping only
+ *   prefixes that resolve to a pack.
+ * - resolveIconPack(prefix, options): { name, pkg, versions } (npm pack), { name, url } (Iconify JSON file) or
+ *   { name, dir, icons } (folder of SVG files) for a prefix, or null; icon.js loads it with buildIconPack() or
+ *   loadLocalIconPack() (lib/loader.js).
+ * - detectIconNames(sources, prefix): the icon names used with a prefix (the SVG files a folder pack loads).
+ * - KNOWN_ICON_COLLECTIONS: Iconify collections published as @iconify-json/<prefix> packages.
+ * - iconPackOptions(...configs): merge alias and custom pack settings (objects or JSON strings).
+ * - absolutePacks(packs, baseUrl): resolve the file and folder URLs of custom packs against their origin.
+ *
+ * Configuration (config.js ICON_PACK_ALIASES / ICON_PACKS, then window.MHE_ICON_ALIASES / window.MHE_ICON_PACKS,
+ * boot data-icon-aliases / data-icon-packs):
+ *   aliases: { "brand": "simple-icons" }         diagrams use `brand:github` for @iconify-json/simple-icons
+ *   packs:   { "acme": "@acme/iconify-json" }     custom pack package (an icons.json at the package root)
+ *            { "acme": { "pkg": "@acme/iconify-json", "versions": ["2", ""] } }
+ *            { "acme": "./icons/acme.json" }      Iconify JSON file (string ending in .json, or { "url": ... })
+ *            { "acme": "./icons/acme/" }          folder of <name>.svg files (string ending in /, or { "dir": ... };
+ *                                                  { "dir": ..., "icons": [...] } also loads icons not in the diagrams)
+ * Documents can declare project packs in front matter the same way (`icon-packs:`); relative URLs resolve against
+ * the markdown file, those of the page settings against the page.
+ *
+ * Notes:
+ * - Resolution order: custom packs, then aliases (which may point at a custom pack), then known collections.
+ *   Unknown prefixes are ignored, so `fill:red` in a style line or `https://...` in a link never trigger a fetch.
+ * - `fa:fa-car` is Mermaid's Font Awesome CSS syntax (no pack needed) and is not counted as an `fa` pack icon.
+ */
+
+/**
+ * Iconify collections available as @iconify-json/<prefix> (https://icon-sets.iconify.design/).
+ * Sites can add others through ICON_PACKS.
+ */
+export const KNOWN_ICON_COLLECTIONS = Object.freeze([
+  'academicons', 'akar-icons', 'ant-design', 'arcticons', 'basil', 'bi', 'bitcoin-icons', 'bpmn', 'brandico',
+  'bx', 'bxl', 'bxs', 'bytesize', 'carbon', 'catppuccin', 'charm', 'ci', 'cib', 'cif', 'cil', 'circle-flags',
+  'circum', 'clarity', 'codicon', 'covid', 'cryptocurrency', 'cryptocurrency-color', 'dashicons', 'devicon',
+  'devicon-plain', 'duo-icons', 'ei', 'el', 'emojione', 'emojione-monotone', 'emojione-v1', 'entypo',
+  'entypo-social', 'eos-icons', 'ep', 'et', 'eva', 'f7', 'fa', 'fa-brands', 'fa-regular', 'fa-solid',
+  'fa6-brands', 'fa6-regular', 'fa6-solid', 'fa7-brands', 'fa7-regular', 'fa7-solid', 'fad', 'fe', 'feather',
+  'file-icons', 'flag', 'flagpack', 'flat-color-icons', 'flowbite', 'fluent', 'fluent-color', 'fluent-emoji',
+  'fluent-emoji-flat', 'fluent-emoji-high-contrast', 'fluent-mdl2', 'fontelico', 'fontisto', 'formkit',
+  'foundation', 'fxemoji', 'gala', 'game-icons', 'geo', 'gg', 'gis', 'gravity-ui', 'gridicons', 'grommet-icons',
+  'guidance', 'healthicons', 'heroicons', 'heroicons-outline', 'heroicons-solid', 'hugeicons', 'humbleicons',
+  'ic', 'icomoon-free', 'icon-park', 'icon-park-outline', 'icon-park-solid', 'icon-park-twotone', 'iconamoon',
+  'iconoir', 'icons8', 'il', 'ion', 'iwwa', 'ix', 'jam', 'la', 'lets-icons', 'line-md', 'lineicons', 'logos',
+  'ls', 'lucide', 'lucide-lab', 'mage', 'majesticons', 'maki', 'map', 'marketeq', 'material-icon-theme',
+  'material-symbols', 'material-symbols-light', 'mdi', 'mdi-light', 'medical-icon', 'memory', 'meteocons',
+  'meteor-icons', 'mi', 'mingcute', 'mono-icons', 'mynaui', 'nimbus', 'nonicons', 'noto', 'noto-v1', 'nrk',
+  'octicon', 'oi', 'ooui', 'openmoji', 'oui', 'pajamas', 'pepicons', 'pepicons-pencil', 'pepicons-pop',
+  'pepicons-print', 'ph', 'pixelarticons', 'prime', 'proicons', 'ps', 'quill', 'radix-icons', 'raphael', 'ri',
+  'rivet-icons', 'si', 'si-glyph', 'simple-icons', 'simple-line-icons', 'skill-icons', 'solar', 'stash',
+  'streamline', 'streamline-emojis', 'subway', 'svg-spinners', 'system-uicons', 'tabler', 'tdesign',
+  'teenyicons', 'token', 'token-branded', 'topcoat', 'twemoji', 'typcn', 'uil', 'uim', 'uis', 'uit', 'uiw',
+  'unjs', 'vaadin', 'vs', 'vscode-icons', 'websymbol', 'weui', 'whh', 'wi', 'wpf', 'zmdi', 'zondicons',
+]);
+
+const KNOWN = new Set(KNOWN_ICON_COLLECTIONS);
+
+// `prefix:name` with Iconify naming (lowercase, digits, dashes); not part of a longer word, path or URL
+const ICON_TOKEN = /(^|[^\w:./-])([a-z0-9]+(?:-[a-z0-9]+)*):([a-z0-9]+(?:[-_][a-z0-9]+)*)/g;
+
+/**
+ * Parse a settings map (object or JSON string).
+ * @param {*} v
+ * @param {string} what Name used in the error message.
+ * @returns {Object}
+ */
+function mapOf(v, what) {
+  if (!v) return {};
+  if (typeof v === 'string') {
+    try {
+      const parsed = JSON.parse(v);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+      console.error(`icon-packs: Invalid ${what} (expected JSON)`, e);
+      return {};
+    }
+  }
+  return typeof v === 'object' ? v : {};
+}
+
+/**
+ * Merge alias and custom pack settings; later configs win per prefix.
+ * @param {...{ aliases?: *, packs?: * }} configs
+ * @returns {{ aliases: Record<string, string>, packs: Record<string, string|{ pkg: string, versions?: string[] }> }}
+ */
+export function iconPackOptions(...configs) {
+  const aliases = {};
+  const packs = {};
+  configs.filter(Boolean).forEach((c) => {
+    Object.assign(aliases, mapOf(c.aliases, 'icon aliases'));
+    Object.assign(packs, mapOf(c.packs, 'icon packs'));
+  });
+  return { aliases, packs };
+}
+
+/**
+ * Normalize a custom pack definition.
+ * @param {*} def Package name, .json URL, folder URL (trailing /) or { pkg, versions } | { url } | { dir, icons }.
+ * @returns {{ pkg: string, versions?: string[] }|{ url: string }|{ dir: string, icons?: string[] }|null}
+ */
+function packDefinition(def) {
+  if (typeof def === 'string') {
+    const v = def.trim();
+    if (!v) return null;
+    if (/\.json(?:[?#].*)?$/i.test(v)) return { url: v };
+    if (/\/$/.test(v)) return { dir: v };
+    return { pkg: v };
+  }
+  if (!def || typeof def !== 'object') return null;
+  if (def.url) return { url: String(def.url) };
+  if (def.dir) {
+    const dir = String(def.dir).replace(/\/?$/, '/');
+    return Array.isArray(def.icons) ? { dir, icons: def.icons.map(String) } : { dir };
+  }
+  if (def.pkg) {
+    const pkg = String(def.pkg);
+    return Array.isArray(def.versions) ? { pkg, versions: def.versions.map(String) } : { pkg };
+  }
+  return null;
+}
+
+/**
+ * Custom packs with their file and folder URLs resolved (npm packages are left as is).
+ * @param {*} packs Pack map (object or JSON string).
+ * @param {string} baseUrl URL relative paths resolve against (the markdown file, or the page).
+ * @returns {Object} Normalized pack map.
+ */
+export function absolutePacks(packs, baseUrl) {
+  const out = {};
+  Object.entries(mapOf(packs, 'icon packs')).forEach(([name, def]) => {
+    const d = packDefinition(def);
+    if (!d) return;
+    try {
+      if (d.url) d.url = new URL(d.url, baseUrl).href;
+      if (d.dir) d.dir = new URL(d.dir, baseUrl).href;
+    } catch (_) {
+      return;
+    }
+    out[name] = d;
+  });
+  return out;
+}
+
+/**
+ * Resolve a diagram prefix to the pack to register under that name.
+ * @param {string} prefix
+ * @param {{ aliases?: Object, packs?: Object }} [options]
+ * @returns {{ name: string, pkg?: string, versions?: string[], url?: string, dir?: string, icons?: string[] }|null}
+ */
+export function resolveIconPack(prefix, { aliases = {}, packs = {} } = {}) {
+  const own = Object.prototype.hasOwnProperty;
+  const lookup = (p) => {
+    if (own.call(packs, p)) return packDefinition(packs[p]);
+    return KNOWN.has(p) ? { pkg: `@iconify-json/${p}` } : null;
+  };
+  const name = String(prefix || '');
+  if (!name) return null;
+  const target = own.call(packs, name) ? name : (own.call(aliases, name) ? String(aliases[name]) : name);
+  const found = lookup(target);
+  return found ? Object.assign({ name }, found) : null;
+}
+
+/**
+ * `prefix:name` icon tokens in Mermaid sources.
+ * @param {string|string[]} sources
+ * @returns {Array<[string, string]>}
+ */
+function iconTokens(sources) {
+  const tokens = [];
+  [].concat(sources || []).forEach((src) => {
+    const text = String(src || '');
+    ICON_TOKEN.lastIndex = 0;
+    let m;
+    while ((m = ICON_TOKEN.exec(text))) {
+      const [, , prefix, name] = m;
+      // Mermaid's Font Awesome CSS icons (fa:fa-car) need no pack
+      if (prefix === 'fa' && name.startsWith('fa-')) continue;
+      tokens.push([prefix, name]);
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Icon names used with a prefix in Mermaid sources.
+ * @param {string|string[]} sources
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+export function detectIconNames(sources, prefix) {
+  return Array.from(new Set(iconTokens(sources).filter(([p]) => p === prefix).map(([, name]) => name)));
+}
+
+/**
+ * Icon prefixes used in Mermaid sources that resolve to a pack.
+ * @param {string|string[]} sources Diagram sources.
+ * @param {{ aliases?: Object, packs?: Object }} [options]
+ * @returns {string[]} Unique prefixes in order of first use.
+ */
+export function detectIconPrefixes(sources, options = {}) {
+  const found = new Set();
+  iconTokens(sources).forEach(([prefix]) => {
+    if (!found.has(prefix) && resolveIconPack(prefix, options)) found.add(prefix);
+  });
+  return Array.from(found);
+}
@@ -0,0 +1,237 @@
+/**
+ * Inline icon shortcodes in markdown text (Iconify packs).
+ *
+ * Responsibilities:
+ * - createIconShortcodesPlugin(): the built-in 'icons' plugin of markdown.js.
+ *   - postprocess: replaces `:prefix:name:` and `:fa-name:` in text with span.mhe-icon placeholders (the shortcode
+ *     stays as text when the prefix resolves to no pack).
+ *   - mounted: loads the packs the placeholders use and fills them with inline SVG.
+ * - iconSvg(pack, name): inline SVG element of an icon from Iconify JSON.
+ *
+ * Syntax:
+ *   :logos:github:      any prefix icon.js resolves (known @iconify-json collections, aliases, custom and project
+ *                       packs; lib/icon-packs.js)
+ *   :fa-check:          Font Awesome 4 names, from the `fa` pack
+ *
+ * Notes:
+ * - Packs come from icon.js (window.__resolveIconPrefix / window.__loadIconPack), the same ones Mermaid diagrams
+ *   use through buildIconPack(); without icon.js shortcodes are left as text.
+ * - Text in code spans and blocks, keyboard input, math and diagrams is not scanned.
+ * - Icons are 1em high and take the text color (monochrome packs), so they follow headings, tables and paragraphs;
+ *   each has role="img" and an aria-label derived from its name.
+ */
+
+// `:prefix:name:` or `:fa-name:`, not glued to a word or another colon
+const SHORTCODE_RX =
+  /(^|[^\w:]):(?:([a-z0-9]+(?:-[a-z0-9]+)*):([a-z0-9]+(?:[-_][a-z0-9]+)*)|fa-([a-z0-9]+(?:-[a-z0-9]+)*)):(?![\w:])/g;
+
+// Where shortcodes are literal text
+const SKIP_SELECTOR = [
+  'code', 'pre', 'kbd', 'samp', 'script', 'style', 'textarea', 'svg', 'math',
+  '.katex', '.mermaid', '.mhe-graphviz', '.mhe-icon',
+].join(', ');
+
+/**
+ * Readable label of an icon name (`arrow-left` -> `arrow left`).
+ * @param {string} name
+ * @returns {string}
+ */
+function labelOf(name) {
+  return String(name).replace(/[-_]+/g, ' ').trim();
+}
+
+/**
+ * Icon data of a name, following Iconify aliases (their transformations add up).
+ * @param {Object} pack Iconify JSON.
+ * @param {string} name
+ * @returns {Object|null} { body, left, top, width, height, rotate, hFlip, vFlip }
+ */
+function iconData(pack, name) {
+  const icons = (pack && pack.icons) || {};
+  const aliases = (pack && pack.aliases) || {};
+  const extra = { rotate: 0, hFlip: false, vFlip: false };
+  let key = name;
+  for (let depth = 0; !icons[key] && aliases[key] && depth < 5; depth++) {
+    const a = aliases[key];
+    extra.rotate += Number(a.rotate) || 0;
+    extra.hFlip = extra.hFlip !== !!a.hFlip;
+    extra.vFlip = extra.vFlip !== !!a.vFlip;
+    ['left', 'top', 'width', 'height'].forEach((k) => {
+      if (a[k] !== undefined && extra[k] === undefined) extra[k] = a[k];
+    });
+    key = a.parent;
+  }
+  const data = icons[key];
+  if (!data || typeof data.body !== 'string') return null;
+  const num = (k, fallback) => {
+    const v = extra[k] !== undefined ? extra[k] : (data[k] !== undefined ? data[k] : pack[k]);
+    return Number.isFinite(Number(v)) ? Number(v) : fallback;
+  };
+  return {
+    body: data.body,
+    left: num('left', 0),
+    top: num('top', 0),
+    width: num('width', 16),
+    height: num('height', 16),
+    rotate: ((Number(data.rotate) || 0) + extra.rotate) % 4,
+    hFlip: !!data.hFlip !== extra.hFlip,
+    vFlip: !!data.vFlip !== extra.vFlip,
+  };
+}
+
+/**
+ * Inline SVG of an icon.
+ * @param {Object} pack Iconify JSON.
+ * @param {string} name
+ * @returns {SVGElement|null} Decorative (aria-hidden); the placeholder carries the label.
+ */
+export function iconSvg(pack, name) {
+  const d = iconData(pack, name);
+  if (!d) return null;
+  const doc = new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg"><g>${d.body}</g></svg>`,
+    'image/svg+xml'
+  );
+  const svg = doc.documentElement;
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg' || svg.querySelector('parsererror')) return null;
+  // Pack bodies are drawing markup only: no scripts, HTML, animations (they can set href to any URL) or links
+  const unsafe = 'script, foreignObject, animate, animateMotion, animateTransform, set';
+  svg.querySelectorAll(unsafe).forEach((el) => el.remove());
+  svg.querySelectorAll('a').forEach((el) => el.replaceWith(...Array.from(el.childNodes)));
+  svg.querySelectorAll('*').forEach((el) => {
+    Array.from(el.attributes).forEach((attr) => {
+      const n = attr.name.toLowerCase();
+      if (n.startsWith('on') || ((n === 'href' || n === 'xlink:href') && !attr.value.startsWith('#'))) {
+        el.removeAttribute(attr.name);
+      }
+    });
+  });
+  let { left, top, width, height } = d;
+  const transforms = [];
+  if (d.hFlip) transforms.push(`translate(${width + 2 * left} 0) scale(-1 1)`);
+  if (d.vFlip) transforms.push(`translate(0 ${height + 2 * top}) scale(1 -1)`);
+  if (d.rotate) {
+    transforms.unshift(`rotate(${d.rotate * 90} ${left + width / 2} ${top + height / 2})`);
+    if (d.rotate % 2) {
+      // A quarter turn swaps the box around its center
+      const cx = left + width / 2;
+      const cy = top + height / 2;
+      [width, height] = [height, width];
+      left = cx - width / 2;
+      top = cy - height / 2;
+    }
+  }
+  if (transforms.length) svg.firstElementChild.setAttribute('transform', transforms.join(' '));
+  svg.setAttribute('viewBox', `${left} ${top} ${width} ${height}`);
+  svg.setAttribute('width', `${Math.round((width / height) * 1000) / 1000}em`);
+  svg.setAttribute('height', '1em');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute('focusable', 'false');
+  return document.importNode(svg, true);
+}
+
+/**
+ * Replace shortcodes in the text nodes of a container with placeholders.
+ * @param {HTMLElement} container
+ * @param {(prefix: string) => boolean} known Whether a prefix resolves to a pack.
+ */
+function markShortcodes(container, known) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || parent.closest(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+      return node.nodeValue.indexOf(':') === -1 ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_ACCEPT;
+    },
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach((node) => {
+    const text = node.nodeValue;
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    let changed = false;
+    SHORTCODE_RX.lastIndex = 0;
+    let m;
+    while ((m = SHORTCODE_RX.exec(text))) {
+      const prefix = m[4] ? 'fa' : m[2];
+      const name = m[4] || m[3];
+      if (!known(prefix)) continue;
+      const start = m.index + m[1].length;
+      const code = text.slice(start, SHORTCODE_RX.lastIndex);
+      frag.appendChild(document.createTextNode(text.slice(last, start)));
+      const span = document.createElement('span');
+      span.className = 'mhe-icon';
+      span.setAttribute('role', 'img');
+      span.setAttribute('aria-label', labelOf(name));
+      span.dataset.mheIcon = `${prefix}:${name}`;
+      span.dataset.mheShortcode = code;
+      frag.appendChild(span);
+      last = SHORTCODE_RX.lastIndex;
+      changed = true;
+    }
+    if (!changed) return;
+    frag.appendChild(document.createTextNode(text.slice(last)));
+    node.replaceWith(frag);
+  });
+}
+
+/**
+ * Built-in markdown.js plugin: inline icon shortcodes.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createIconShortcodesPlugin() {
+  // The document's project packs (front matter `icon-packs`) resolve against the markdown file
+  const docOf = (ctx) => {
+    let baseUrl = ctx.mdUrl;
+    try { baseUrl = new URL(ctx.mdUrl, document.baseURI).href; } catch (_) {}
+    return { packs: ctx.metadata['icon-packs'] || ctx.metadata.iconPacks, baseUrl };
+  };
+  return {
+    name: 'icons',
+    setup(ctx) {
+      ctx.addStyle(
+        'mhe-icon-styles',
+        `
+        .mhe-icon { display: inline-block; min-width: 1em; height: 1em; line-height: 1; vertical-align: -0.125em; }
+        .mhe-icon > svg { display: block; height: 1em; }
+      `
+      );
+    },
+    postprocess(container, ctx) {
+      if (typeof window.__resolveIconPrefix !== 'function') return;
+      const doc = docOf(ctx);
+      const known = new Map();
+      markShortcodes(container, (prefix) => {
+        if (!known.has(prefix)) known.set(prefix, window.__resolveIconPrefix(prefix, doc));
+        return known.get(prefix);
+      });
+    },
+    mounted(out, ctx) {
+      const spans = Array.from(out.querySelectorAll('span.mhe-icon[data-mhe-icon]:empty'));
+      if (!spans.length || typeof window.__loadIconPack !== 'function') return undefined;
+      let cancelled = false;
+      const byPrefix = new Map();
+      spans.forEach((span) => {
+        const prefix = span.dataset.mheIcon.split(':')[0];
+        if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+        byPrefix.get(prefix).push(span);
+      });
+      const doc = docOf(ctx);
+      byPrefix.forEach((list, prefix) => {
+        const icons = Array.from(new Set(list.map((s) => s.dataset.mheIcon.slice(prefix.length + 1))));
+        window.__loadIconPack(prefix, Object.assign({ icons }, doc)).then(({ pack, files }) => {
+          if (cancelled) return;
+          // Watch mode re-renders when a project pack file changes
+          (files || []).forEach((url) => ctx.addDependency(url));
+          list.forEach((span) => {
+            const name = span.dataset.mheIcon.slice(prefix.length + 1);
+            const svg = pack ? iconSvg(pack, name) : null;
+            if (svg) span.appendChild(svg);
+            else span.replaceWith(document.createTextNode(span.dataset.mheShortcode));
+          });
+        }).catch((e) => console.error('icons: Failed to render inline icons', e));
+      });
+      return () => { cancelled = true; };
+    },
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * File transclusion: @import / @include directives.
+ *
+ * Responsibilities:
+ * - expandIncludes(md, baseUrl, options): replace include directives with the content of the included files,
+ *   recursively, before the markdown pipeline runs (so footnotes, citations and headings of included files
+ *   join the host document's numbering and ToC).
+ * - parseIncludeDirective(line): parse one directive line (exported for plugins/tools).
+ *
+ * Directives (one per line, outside fenced code):
+ *   @import "chapter2.md"
+ *   @include "src/server.js" {line_begin=10 line_end=20}
+ *   @import "src/server.js#L10-L20"
+ *   <!-- @import "diagram.mmd" -->
+ * - Paths resolve against the including file's URL (nested includes against their own file).
+ * - .md/.markdown: included as markdown (front matter dropped, nested directives expanded).
+ * - .mmd/.mermaid: included as a ```mermaid block.
+ * - Images (.png, .jpg, .gif, .svg, .webp): included as an image.
+ * - Anything else: included as a fenced code block, language guessed from the extension.
+ * - Line ranges (1-based, inclusive) apply to markdown and code: {line_begin=N line_end=M} or #LN-LM.
+ *
+ * Notes:
+ * - Cycles and includes deeper than maxDepth are not followed; an inline note marks the directive instead.
+ * - Relative links and images of included markdown keep pointing next to the included file (rebaseUrls option).
+ * - Footnote labels of each included markdown file are namespaced so `[^1]` in two chapters does not collide.
+ * - Every fetched URL is reported through onDependency (watch mode re-renders when one changes).
+ */
+
+const DEFAULT_MAX_DEPTH = 8;
+
+const DIRECTIVE_RX = /^[ \t]*(?:<!--\s*)?@(?:import|include)\s+(?:"([^"]+)"|'([^']+)'|(\S+))\s*(\{[^}]*\})?\s*(?:-->)?[ \t]*$/;
+
+const MARKDOWN_EXTS = ['md', 'markdown', 'mdown', 'mkd'];
+const MERMAID_EXTS = ['mmd', 'mermaid'];
+const IMAGE_EXTS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif'];
+// File extension -> fence language (others use the extension itself)
+const LANGUAGES = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+  ts: 'typescript', mts: 'typescript', tsx: 'typescript',
+  py: 'python', rb: 'ruby', rs: 'rust', kt: 'kotlin', kts: 'kotlin', cs: 'csharp',
+  sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell', psm1: 'powershell',
+  yml: 'yaml', htm: 'html', hpp: 'cpp', cc: 'cpp', cxx: 'cpp', h: 'c',
+  txt: '', text: '', log: '',
+};
+
+/**
+ * Parse an include directive line.
+ * @param {string} line
+ * @returns {{ path: string, lineBegin: number|null, lineEnd: number|null }|null} null when not a directive.
+ */
+export function parseIncludeDirective(line) {
+  const m = String(line || '').match(DIRECTIVE_RX);
+  if (!m) return null;
+  let path = m[1] || m[2] || m[3];
+  let lineBegin = null;
+  let lineEnd = null;
+  const range = path.match(/#L(\d+)(?:-L?(\d+))?$/i);
+  if (range) {
+    path = path.slice(0, range.index);
+    lineBegin = parseInt(range[1], 10);
+    lineEnd = range[2] ? parseInt(range[2], 10) : lineBegin;
+  }
+  if (m[4]) {
+    const begin = m[4].match(/line_begin\s*=\s*(\d+)/);
+    const end = m[4].match(/line_end\s*=\s*(-?\d+)/);
+    if (begin) lineBegin = parseInt(begin[1], 10);
+    if (end) lineEnd = parseInt(end[1], 10);
+  }
+  return { path, lineBegin, lineEnd };
+}
+
+/**
+ * Lowercase extension of a URL path.
+ * @param {string} url
+ * @returns {string}
+ */
+function extensionOf(url) {
+  try {
+    const m = new URL(url).pathname.match(/\.([A-Za-z0-9]+)$/);
+    return m ? m[1].toLowerCase() : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Keep lines lineBegin..lineEnd (1-based, inclusive; a negative end counts from the last line).
+ * @param {string} text
+ * @param {number|null} lineBegin
+ * @param {number|null} lineEnd
+ * @returns {string}
+ */
+function sliceLines(text, lineBegin, lineEnd) {
+  if (lineBegin === null && lineEnd === null) return text;
+  const lines = text.split(/\r?\n/);
+  const from = Math.max(1, lineBegin || 1) - 1;
+  const to = lineEnd === null ? lines.length : lineEnd < 0 ? lines.length + lineEnd : lineEnd;
+  return lines.slice(from, to).join('\n');
+}
+
+/**
+ * Wrap text in a fence longer than any backtick run it contains.
+ * @param {string} text
+ * @param {string} lang
+ * @returns {string}
+ */
+function fence(text, lang) {
+  const longest = (String(text).match(/`{3,}/g) || []).reduce((n, run) => Math.max(n, run.length), 2);
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}\n${String(text).replace(/\n$/, '')}\n${ticks}`;
+}
+
+/**
+ * Namespace footnote labels ([^x] and [^x]:) of an included file, outside fenced code.
+ * @param {string} md
+ * @param {string} ns
+ * @returns {string}
+ */
+function namespaceFootnotes(md, ns) {
+  let inFence = null;
+  return md.split('\n').map((line) => {
+    const f = line.match(/^[ \t]*(`{3,}|~{3,})/);
+    if (f) {
+      if (!inFence) inFence = f[1];
+      else if (f[1][0] === inFence[0] && f[1].length >= inFence.length) inFence = null;
+      return line;
+    }
+    if (inFence) return line;
+    return line.replace(/\[\^([^\]\s]+)\]/g, (_, key) => `[^${ns}-${key}]`);
+  }).join('\n');
+}
+
+/**
+ * Visible note replacing a directive that could not be included.
+ * @param {string} path
+ * @param {string} reason
+ * @returns {string}
+ */
+function includeNote(path, reason) {
+  return `> **Include skipped:** \`${String(path).replace(/`/g, '')}\` (${reason})`;
+}
+
+/**
+ * Expand include directives recursively.
+ *
+ * @param {string} md Markdown of the host document.
+ * @param {string} baseUrl Absolute URL of the host document (relative paths resolve against it).
+ * @param {{
+ *   maxDepth?: number,
+ *   fetchText?: (url: string) => Promise<string>,
+ *   onDependency?: (url: string) => void,
+ *   rebaseUrls?: (md: string, fromUrl: string, toUrl: string) => string
+ * }} [options]
+ *   maxDepth: nesting limit (default 8).
+ *   fetchText: loader (default: fetch(), throwing on HTTP errors).
+ *   onDependency: called with the absolute URL of every included file.
+ *   rebaseUrls: rewrites relative links/images of an included markdown file so they resolve from the host
+ *     document as they did from the included file (markdown.js passes lib/urls.js rebaseMarkdownUrls).
+ * @returns {Promise<string>} Markdown with directives replaced.
+ */
+export async function expandIncludes(md, baseUrl, { maxDepth = DEFAULT_MAX_DEPTH, fetchText, onDependency, rebaseUrls } = {}) {
+  const load = fetchText || (async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    return res.text();
+  });
+  let namespaces = 0;
+
+  const expand = async (text, fileUrl, stack) => {
+    const lines = String(text).split('\n');
+    const out = [];
+    let inFence = null;
+    for (const line of lines) {
+      const f = line.match(/^[ \t]*(`{3,}|~{3,})/);
+      if (f) {
+        if (!inFence) inFence = f[1];
+        else if (f[1][0] === inFence[0] && f[1].length >= inFence.length) inFence = null;
+      }
+      const directive = !inFence && !f ? parseIncludeDirective(line) : null;
+      if (!directive) {
+        out.push(line);
+        continue;
+      }
+      // Blank lines keep included blocks from merging into the surrounding paragraphs
+      out.push('', await includeOne(directive, fileUrl, stack), '');
+    }
+    return out.join('\n');
+  };
+
+  const includeOne = async ({ path, lineBegin, lineEnd }, fileUrl, stack) => {
+    let url;
+    try {
+      url = new URL(path, fileUrl).href;
+    } catch (_) {
+      return includeNote(path, 'invalid path');
+    }
+    if (!/^(https?|file):/i.test(url)) return includeNote(path, 'unsupported URL');
+    const ext = extensionOf(url);
+    if (IMAGE_EXTS.includes(ext)) {
+      return `![${path.replace(/[[\]]/g, '')}](${url.replace(/[()\s]/g, encodeURIComponent)})`;
+    }
+    if (stack.includes(url)) {
+      console.error('include: Include cycle', stack.concat(url));
+      return includeNote(path, 'include cycle');
+    }
+    if (stack.length > maxDepth) {
+      console.error(`include: Include depth limit (${maxDepth}) reached`, url);
+      return includeNote(path, 'too deeply nested');
+    }
+    let text;
+    try {
+      if (onDependency) onDependency(url);
+      text = await load(url);
+    } catch (e) {
+      console.error(`include: Failed to include ${url}`, e);
+      return includeNote(path, 'could not be loaded');
+    }
+    text = String(text).replace(/\r\n?/g, '\n');
+    if (MARKDOWN_EXTS.includes(ext)) {
+      // Drop the included file's front matter; the host's metadata applies
+      text = text.replace(/^---\s*\n[\s\S]*?\n---\s*(?:\n|$)/, '');
+      text = sliceLines(text, lineBegin, lineEnd);
+      text = namespaceFootnotes(text, `inc${++namespaces}`);
+      if (rebaseUrls) {
+        try { text = rebaseUrls(text, url, baseUrl); } catch (_) {}
+      }
+      return expand(text, url, stack.concat(url));
+    }
+    text = sliceLines(text, lineBegin, lineEnd);
+    if (MERMAID_EXTS.includes(ext)) return fence(text, 'mermaid');
+    return fence(text, ext in LANGUAGES ? LANGUAGES[ext] : ext);
+  };
+
+  return expand(md, baseUrl, [baseUrl]);
+}
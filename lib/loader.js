@@ -2,8 +2,11 @@
  * Loader and runtime utilities library.
  * Responsibilities:
  * - loadScript(): load external scripts once with dedup and readiness probe.
- * - buildIconPack(): create Mermaid icon pack descriptors using Iconify JSON.
+ * - loadModule(): import ES modules (highlight.js, KaTeX, Graphviz, gemoji) once per page, retrying failed imports.
+ * - buildIconPack(): create Mermaid icon pack descriptors using Iconify JSON (persisted in Cache Storage).
+ * - loadLocalIconPack(): load a project icon pack from an Iconify JSON file or a folder of SVG files.
  * - Global network spinner: show/hide overlay and patch fetch/Response/XHR to track activity.
+ * - quietFetch(): fetch without triggering the spinner (background polling).
  * - showLoadingIndicator()/hideLoadingIndicator(): overlay helpers.
  */
 const loadedScripts = {};
@@ -115,6 +118,26 @@ export function loadScript(src, callback, checkVariable) {
   loadedScripts[key].element = script;
 }
 
+// ES modules imported by loadModule(), by URL
+const loadedModules = new Map();
+
+/**
+ * Import an ES module once per page, on first use; a failed import (e.g. network error) is retried on the next call.
+ * @param {string} url Module URL.
+ * @param {(mod: Object) => *} [init] Turns the module into the value callers get (may return a promise).
+ * @returns {Promise<*>}
+ */
+export function loadModule(url, init = (mod) => mod) {
+  if (!loadedModules.has(url)) {
+    const promise = import(url).then(init);
+    promise.catch(() => {
+      if (loadedModules.get(url) === promise) loadedModules.delete(url);
+    });
+    loadedModules.set(url, promise);
+  }
+  return loadedModules.get(url);
+}
+
 
 // --- Your main functions ---
 
@@ -133,36 +156,104 @@ export function loadScript(src, callback, checkVariable) {
  * Not all @iconify-json packs publish the same major version. Many are at @1,
  * but some may publish at @2 (or newer) depending on the collection. This helper:
  * - Tries specific majors (e.g., @1, @2) and finally falls back to the unpinned latest (no @major),
- * - Caches per package+version-candidate list to avoid repeated network fetches.
+ * - Caches per resolved URL list to avoid repeated network fetches,
+ * - Keeps fetched packs in Cache Storage (when available) so they survive page reloads.
  *
  * This avoids hardcoding '@1' so packs that publish at '@2' or newer still work.
  */
 const iconsJsonCache = new Map();
 
+// Cache Storage bucket for icon packs; bump the suffix when the stored format changes
+const ICON_CACHE_NAME = 'mhe-icon-packs-v1';
+const ICON_CACHE_TIME_HEADER = 'x-mhe-cached-at';
+
+/**
+ * Default icons.json URL of a package (jsDelivr npm layout); icon.js passes config.iconifyPackUrl instead.
+ * @param {string} pkg
+ * @param {string} version
+ * @returns {string}
+ */
+function defaultPackUrl(pkg, version) {
+  return version
+    ? `https://cdn.jsdelivr.net/npm/${pkg}@${version}/icons.json`
+    : `https://cdn.jsdelivr.net/npm/${pkg}/icons.json`;
+}
+
+/**
+ * Open the icon pack bucket of Cache Storage (null when unavailable, e.g. outside secure contexts).
+ * @returns {Promise<Cache|null>}
+ */
+async function openIconCache() {
+  try {
+    if (typeof caches === 'undefined') return null;
+    return await caches.open(ICON_CACHE_NAME);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * A pack stored in Cache Storage that is younger than maxAge.
+ * @param {Cache|null} cache
+ * @param {string} url
+ * @param {number} maxAge Milliseconds.
+ * @returns {Promise<object|null>}
+ */
+async function cachedIconsJson(cache, url, maxAge) {
+  if (!cache) return null;
+  try {
+    const res = await cache.match(url);
+    if (!res) return null;
+    const at = Number(res.headers.get(ICON_CACHE_TIME_HEADER)) || 0;
+    if (Date.now() - at > maxAge) {
+      await cache.delete(url);
+      return null;
+    }
+    return await res.json();
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * Resolve and fetch icons.json for an Iconify pack, with version negotiation.
  * @param {string} pkg NPM package under @iconify-json (e.g., '@iconify-json/logos').
  * @param {string[]} [versionCandidates=['1','2','']] Major versions to try; '' means latest.
  *   Order reflects preference for stability first (@1), then newer (@2), then latest (no pin).
+ * @param {{ packUrl?: (pkg: string, version: string) => string, cacheMaxAge?: number }} [options]
+ *   packUrl: icons.json URL of a package version (default: jsDelivr); cacheMaxAge: Cache Storage lifetime in ms
+ *   (0 disables the persistent cache).
  * @returns {Promise<object>} icons.json payload or {} on failure.
  * @private
  */
-function fetchIconsJson(pkg, versionCandidates = ['1', '2', '']) {
-  const cacheKey = `${pkg}|${versionCandidates.join(',')}`;
+function fetchIconsJson(pkg, versionCandidates = ['1', '2', ''], options = {}) {
+  const packUrl = options.packUrl || defaultPackUrl;
+  const maxAge = options.cacheMaxAge === undefined ? 7 * 24 * 60 * 60 * 1000 : Number(options.cacheMaxAge) || 0;
+  const urls = Array.from(new Set(versionCandidates.map((v) => packUrl(pkg, v))));
+  const cacheKey = urls.join('|');
   if (iconsJsonCache.has(cacheKey)) return iconsJsonCache.get(cacheKey);
 
-  const urls = versionCandidates.map((v) =>
-    v
-      ? `https://cdn.jsdelivr.net/npm/${pkg}@${v}/icons.json`
-      : `https://cdn.jsdelivr.net/npm/${pkg}/icons.json`
-  );
-
   const promise = (async () => {
+    const cache = maxAge > 0 ? await openIconCache() : null;
+    // A stored pack of any candidate beats the network (offline use, reloads)
+    for (const url of urls) {
+      const stored = await cachedIconsJson(cache, url, maxAge);
+      if (stored) return stored;
+    }
     for (const url of urls) {
       try {
         const res = await fetch(url);
         if (!res.ok) continue;
-        return await res.json();
+        const text = await res.text();
+        const data = JSON.parse(text);
+        if (cache) {
+          try {
+            await cache.put(url, new Response(text, {
+              headers: { 'content-type': 'application/json', [ICON_CACHE_TIME_HEADER]: String(Date.now()) },
+            }));
+          } catch (_) {}
+        }
+        return data;
       } catch (_) {
         // Try next candidate
       }
@@ -170,6 +261,8 @@ function fetchIconsJson(pkg, versionCandidates = ['1', '2', '']) {
     throw new Error(`Unable to fetch icons.json for ${pkg} from: ${urls.join(' | ')}`);
   })().catch((err) => {
     console.error(`Failed to fetch icon pack '${pkg}'`, err);
+    // Forget the failure so a later render fetches again
+    iconsJsonCache.delete(cacheKey);
     // Return empty object to keep registration robust if a single pack fails
     return {};
   });
@@ -188,17 +281,55 @@ function fetchIconsJson(pkg, versionCandidates = ['1', '2', '']) {
  *
  * @param {string} name - Short pack name ('logos', 'fa', etc.)
  * @param {string} pkg - '@iconify-json/<pack>'
- * @param {{versions?: string[]}} [options] - e.g., { versions: ['2', '1', ''] }
+ * @param {{versions?: string[], packUrl?: Function, cacheMaxAge?: number}} [options]
+ *   e.g., { versions: ['2', '1', ''] }; packUrl(pkg, version) resolves icons.json (icon.js: config.iconifyPackUrl
+ *   or the self-hosted pack base), cacheMaxAge is the Cache Storage lifetime in ms (default 7 days; 0 disables it).
  * @returns {{name: string, loader: () => Promise<object>}}
  */
 export function buildIconPack(name, pkg, options = {}) {
   const versions = options.versions || ['1', '2', '']; // stability-first default
   return {
     name,
-    loader: () => fetchIconsJson(pkg, versions),
+    loader: () => fetchIconsJson(pkg, versions, options),
   };
 }
 
+/**
+ * Load a project icon pack: an Iconify JSON file, or a folder of SVG files (one file per icon, <dir><name>.svg).
+ * Not cached across reloads: project packs change while authoring.
+ *
+ * @param {string} name - Pack prefix used in diagrams
+ * @param {{url?: string, dir?: string, icons?: string[]}} source - Absolute URLs; icons: names to load from dir
+ * @returns {Promise<object>} Iconify JSON ({ prefix, icons: { name: { body, width, height } } }); {} on failure
+ */
+export async function loadLocalIconPack(name, { url, dir, icons = [] } = {}) {
+  try {
+    if (url) {
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    }
+    const pack = { prefix: name, icons: {} };
+    await Promise.all(Array.from(new Set(icons)).map(async (icon) => {
+      try {
+        const res = await fetch(new URL(`${icon}.svg`, dir).href, { cache: 'no-cache' });
+        if (!res.ok) return;
+        const svg = new DOMParser().parseFromString(await res.text(), 'image/svg+xml').documentElement;
+        if (!svg || svg.nodeName.toLowerCase() !== 'svg') return;
+        const box = String(svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        const [left, top, width, height] = box.length === 4 && box.every(isFinite)
+          ? box
+          : [0, 0, parseFloat(svg.getAttribute('width')) || 16, parseFloat(svg.getAttribute('height')) || 16];
+        pack.icons[icon] = { body: svg.innerHTML, left, top, width, height };
+      } catch (_) {}
+    }));
+    return pack;
+  } catch (err) {
+    console.error(`Failed to load icon pack '${name}' from ${url || dir}`, err);
+    return {};
+  }
+}
+
 // --- Loading indicator utilities ---
 
 /**
@@ -376,6 +507,7 @@ export function enableGlobalNetworkSpinner(targetId, label = 'Loading...', onIdl
 
   // Patch window.fetch
   const origFetch = window.fetch;
+  enableGlobalNetworkSpinner._origFetch = origFetch;
   if (typeof origFetch === 'function') {
     window.fetch = (...args) => {
       inc();
@@ -404,6 +536,8 @@ export function enableGlobalNetworkSpinner(targetId, label = 'Loading...', onIdl
       const orig = RespProto[method];
       if (typeof orig === 'function') {
         RespProto[method] = function(...args) {
+          // Responses from quietFetch() are consumed without showing the spinner
+          if (this.__mheQuiet) return orig.apply(this, args);
           inc();
           try {
             const p = orig.apply(this, args);
@@ -458,3 +592,18 @@ export function enableGlobalNetworkSpinner(targetId, label = 'Loading...', onIdl
     };
   }
 }
+
+/**
+ * Fetch without counting towards the global network spinner (e.g., background polling).
+ * Uses the unpatched fetch when the spinner is installed and marks the response so that
+ * reading its body does not show the overlay either.
+ * @param {RequestInfo|URL} input
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function quietFetch(input, init) {
+  const f = enableGlobalNetworkSpinner._origFetch || window.fetch;
+  const res = await f.call(window, input, init);
+  try { res.__mheQuiet = true; } catch (_) {}
+  return res;
+}
@@ -0,0 +1,222 @@
+/**
+ * Math typesetting for inline and display LaTeX (KaTeX, loaded lazily).
+ *
+ * Responsibilities:
+ * - createMathPlugin({ katexUrl, katexCss }): the built-in 'math' plugin of markdown.js.
+ *   - setup: finds math in the document, numbers labelled equations and loads KaTeX only when math is present.
+ *   - preprocess: replaces math with %%MHE_MATH_n%% placeholders (like fenced code in lib/citations.js), so
+ *     neither Marked nor processFootnotesAndCitations() touch `_`, `*`, `[^x]` or `[@x]` inside formulas;
+ *     resolves \eqref{key}/\ref{key} in the text to links.
+ *   - postprocess: typesets the placeholders of the document (or slide).
+ *   - mounted: typesets placeholders that reached the page through other plugins (e.g., footnote texts).
+ * - extractMath(md): { text, items } with math replaced by placeholders (code spans, fences and comments skipped).
+ *
+ * Syntax:
+ * - Inline: $...$ (no space after the opening or before the closing $, not followed by a digit) or \(...\).
+ * - Display: $$...$$ or \[...\]; a display formula alone in its paragraph becomes a block.
+ * - Numbering: \label{key} in a display formula numbers it (document order, across slides); \eqref{key} renders
+ *   "(n)" and \ref{key} renders "n", both linking to the equation, in the text as well as inside formulas.
+ *   An explicit \tag{...} is left to KaTeX.
+ *
+ * Notes:
+ * - Equation anchors are `${idPrefix}eq-<key>` so several documents on one page do not collide.
+ * - When KaTeX cannot be loaded, the original TeX source is shown as text; the import (once per page,
+ *   ctx.loadModule from lib/loader.js) is tried again on the next render.
+ */
+
+/**
+ * Anchor-safe form of an equation label.
+ * @param {string} key
+ * @returns {string}
+ */
+function labelSlug(key) {
+  return String(key).trim().toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Replace fenced code, code spans and HTML comments with placeholders.
+ * @param {string} md
+ * @returns {{ text: string, restore: (s: string) => string }}
+ */
+function shieldCode(md) {
+  const shielded = [];
+  const shield = (m) => {
+    shielded.push(m);
+    return `%%MHE_MATHSHIELD_${shielded.length - 1}%%`;
+  };
+  const text = String(md || '')
+    .replace(/<!--[\s\S]*?-->/g, shield)
+    .replace(/^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n[ \t]*\1[ \t]*(?=\n|(?![\s\S]))|(?![\s\S]))/gm, shield)
+    .replace(/(`+)(?!`)[^\n]*?[^`\n]\1(?!`)/g, shield);
+  return {
+    text,
+    restore: (s) => s.replace(/%%MHE_MATHSHIELD_(\d+)%%/g, (_, i) => shielded[Number(i)]),
+  };
+}
+
+/**
+ * Replace math with %%MHE_MATH_n%% placeholders; fenced code, code spans and HTML comments are left alone.
+ * @param {string} md
+ * @param {Array<{ tex: string, display: boolean, source: string }>} [items] Collected math (appended to).
+ * @returns {{ text: string, items: Array<{ tex: string, display: boolean, source: string }> }}
+ */
+export function extractMath(md, items = []) {
+  const { text, restore } = shieldCode(md);
+  const add = (tex, display, source) => {
+    items.push({ tex, display, source });
+    return `%%MHE_MATH_${items.length - 1}%%`;
+  };
+  const replaced = text
+    .replace(/\$\$([\s\S]+?)\$\$/g, (m, tex) => add(tex, true, m))
+    .replace(/\\\[([\s\S]+?)\\\]/g, (m, tex) => add(tex, true, m))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (m, tex) => add(tex, false, m))
+    // Opening $ before and closing $ after a non-space character ("costs $5 and $6" is not math)
+    .replace(/(^|[^\\$])\$(?=\S)((?:\\.|[^$\\\n])*?(?:\\.|[^\s$\\]))\$(?!\d)/g, (m, pre, tex) => (
+      pre + add(tex, false, m.slice(pre.length))
+    ));
+  return { text: restore(replaced), items };
+}
+
+/**
+ * Rewrite \eqref/\ref in markdown text (outside math and code) to links.
+ * @param {string} md Markdown with math already replaced by placeholders.
+ * @param {Map<string, number>} labels
+ * @param {string} idPrefix
+ * @returns {string}
+ */
+function linkEquationRefs(md, labels, idPrefix) {
+  const { text, restore } = shieldCode(md);
+  return restore(text.replace(/\\(eq)?ref\{([^}]+)\}/g, (m, eq, key) => {
+    const n = labels.get(labelSlug(key));
+    if (!n) return eq ? '(??)' : '??';
+    return `[${eq ? `(${n})` : n}](#${idPrefix}eq-${labelSlug(key)})`;
+  }));
+}
+
+/**
+ * Apply equation numbering to one formula: \label -> \tag, \eqref/\ref -> links.
+ * @param {{ tex: string, display: boolean }} item
+ * @param {Map<string, number>} labels
+ * @param {string} idPrefix
+ * @returns {{ tex: string, id: string }}
+ */
+function numberFormula(item, labels, idPrefix) {
+  let id = '';
+  let tex = item.tex.replace(/\\label\{([^}]+)\}/g, (_, key) => {
+    const slug = labelSlug(key);
+    if (!item.display || id) return '';
+    id = `${idPrefix}eq-${slug}`;
+    return /\\tag\*?\{/.test(item.tex) ? '' : `\\tag{${labels.get(slug)}}`;
+  });
+  tex = tex.replace(/\\(eq)?ref\{([^}]+)\}/g, (_, eq, key) => {
+    const slug = labelSlug(key);
+    const n = labels.get(slug);
+    if (!n) return eq ? '\\text{(??)}' : '\\text{??}';
+    return `\\href{#${idPrefix}eq-${slug}}{\\text{${eq ? `(${n})` : n}}}`;
+  });
+  return { tex, id };
+}
+
+/**
+ * Inject layout styles for math blocks.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+function ensureMathStyles(addStyle) {
+  addStyle(
+    'mhe-math-styles',
+    `
+    .markdown-body .mhe-math-display { margin: 0 0 16px; overflow-x: auto; overflow-y: hidden; }
+    .markdown-body .mhe-math-display .katex-display { margin: 0.5em 0; }
+    .markdown-body .mhe-math a { color: inherit; }
+    .markdown-body .mhe-math-source { font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, monospace; }
+  `
+  );
+}
+
+/**
+ * Built-in markdown.js plugin: LaTeX math.
+ * @param {{ katexUrl: string, katexCss: string }} urls KaTeX ESM build and stylesheet (config.js).
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createMathPlugin({ katexUrl, katexCss }) {
+  const typeset = (root, ctx) => {
+    const { items, labels, katex } = ctx.docState;
+    if (!items || !items.length) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeValue.indexOf('%%MHE_MATH_') >= 0) nodes.push(walker.currentNode);
+    }
+    nodes.forEach((node) => {
+      const parts = node.nodeValue.split(/%%MHE_MATH_(\d+)%%/);
+      const parent = node.parentNode;
+      // A display formula alone in its paragraph replaces the paragraph with a block
+      const alone = parts.length === 3 && !parts[0].trim() && !parts[2].trim() &&
+        parent && parent.tagName === 'P' && parent.childNodes.length === 1;
+      const frag = document.createDocumentFragment();
+      parts.forEach((part, i) => {
+        if (i % 2 === 0) {
+          if (part && !alone) frag.appendChild(document.createTextNode(part));
+          return;
+        }
+        const item = items[Number(part)];
+        if (!item) return;
+        const { tex, id } = numberFormula(item, labels, ctx.idPrefix);
+        const el = document.createElement(item.display && alone ? 'div' : 'span');
+        el.className = item.display ? 'mhe-math mhe-math-display' : 'mhe-math mhe-math-inline';
+        if (id) el.id = id;
+        try {
+          if (!katex) throw new Error('KaTeX unavailable');
+          katex.render(tex, el, {
+            displayMode: item.display,
+            throwOnError: false,
+            // Only the equation links generated by numberFormula()
+            trust: (t) => t.command === '\\href' && /^#/.test(t.url),
+          });
+        } catch (_) {
+          el.textContent = item.source;
+          el.classList.add('mhe-math-source');
+        }
+        frag.appendChild(el);
+      });
+      if (alone && items[Number(parts[1])] && items[Number(parts[1])].display) parent.replaceWith(frag);
+      else node.replaceWith(frag);
+    });
+  };
+
+  return {
+    name: 'math',
+    async setup(ctx) {
+      const found = extractMath(ctx.markdown).items;
+      ctx.docState.items = [];
+      ctx.docState.labels = new Map();
+      if (!found.length) return;
+      // Number labelled display formulas in document order (slides share one numbering)
+      let n = 0;
+      found.forEach((item) => {
+        if (!item.display) return;
+        const m = item.tex.match(/\\label\{([^}]+)\}/);
+        if (m && !ctx.docState.labels.has(labelSlug(m[1]))) ctx.docState.labels.set(labelSlug(m[1]), ++n);
+      });
+      try { ensureMathStyles(ctx.addStyle); } catch (_) {}
+      try { ctx.loadCSS(katexCss); } catch (_) {}
+      try {
+        ctx.docState.katex = await ctx.loadModule(katexUrl, (mod) => mod.default || mod);
+      } catch (e) {
+        console.error('math: Failed to load KaTeX; formulas are shown as TeX', e);
+      }
+    },
+    preprocess(md, ctx) {
+      if (!ctx.docState.labels) return md;
+      const { text } = extractMath(md, ctx.docState.items);
+      return ctx.docState.labels.size ? linkEquationRefs(text, ctx.docState.labels, ctx.idPrefix) : text;
+    },
+    postprocess(container, ctx) {
+      typeset(container, ctx);
+    },
+    mounted(out, ctx) {
+      typeset(out, ctx);
+    },
+  };
+}
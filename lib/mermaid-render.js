@@ -0,0 +1,279 @@
+/**
+ * Mermaid diagram rendering with per-diagram error reporting.
+ *
+ * Responsibilities:
+ * - renderMermaid(nodes, options): render div.mermaid nodes one by one; a diagram that fails shows an error panel
+ *   (div.mhe-mermaid-error) in its place and the others keep rendering.
+ * - mermaidErrorLine(err, raw): the line of the original source (data-raw) a Mermaid error points at.
+ * - mermaidVersion(url): the Mermaid version named by a runtime URL (config.js MERMAID_URL).
+ * - ensureMermaidErrorStyles(addStyle): error panel styles (light and dark).
+ *
+ * Error panel: the parser message, the diagram source with line numbers and the offending line highlighted, the
+ * Mermaid version and a Retry button (renders the diagram again, e.g. after an icon pack or network failure).
+ *
+ * Notes:
+ * - Failed nodes keep data-processed (plain mermaid.run() calls, e.g. icon.js, skip them) and get
+ *   data-mhe-mermaid-error; renderMermaid() only renders them again on Retry. Nodes another mermaid.run() left
+ *   without an SVG are rendered again, so their error is reported too.
+ * - Mermaid's own error diagram ("Syntax error in text") is disabled (suppressErrorRendering).
+ * - Parser lines count from the source Mermaid parses: leading blank lines, the front matter, `%%` comment lines
+ *   and leading directives are removed first; mermaidErrorLine() maps the line back onto data-raw.
+ * - Mermaid runtimes without mermaid.run() (before v10) render through mermaid.init() without error panels.
+ */
+
+// Nodes being rendered: concurrent calls (slide change, network idle) skip them
+const rendering = new WeakSet();
+
+/**
+ * Line numbers (1-based) of the raw source lines Mermaid's parser sees, in order.
+ * @param {string} raw
+ * @returns {number[]}
+ */
+function parsedLines(raw) {
+  const lines = String(raw || '').replace(/\r\n?/g, '\n').split('\n');
+  const blank = (i) => !lines[i].trim();
+  let i = 0;
+  while (i < lines.length && blank(i)) i++;
+  // Front matter (removed with the blank lines after it)
+  if (i < lines.length && /^-{3}\s*$/.test(lines[i])) {
+    let end = i + 1;
+    while (end < lines.length && !/^-{3}\s*$/.test(lines[end])) end++;
+    if (end < lines.length) {
+      i = end + 1;
+      while (i < lines.length && blank(i)) i++;
+    }
+  }
+  const kept = [];
+  for (; i < lines.length; i++) {
+    // `%%` comment lines disappear; directives (`%%{init: ...}%%`) leave an empty line
+    if (/^\s*%%(?!\{)./.test(lines[i])) continue;
+    const directive = /^\s*%%\{.*\}%%\s*$/.test(lines[i]);
+    // Text before the first statement is trimmed
+    if (!kept.length && (directive || blank(i))) continue;
+    kept.push(i + 1);
+  }
+  return kept;
+}
+
+/**
+ * Readable message of a Mermaid error (mermaid.run() rethrows a copy with the original in `error`).
+ * @param {*} err
+ * @returns {string}
+ */
+function errorMessage(err) {
+  const e = err && err.error ? err.error : err;
+  const text = (err && (err.message || err.str)) || (e && (e.message || e.str)) || String(e || '');
+  return String(text).trim() || 'Unknown Mermaid error';
+}
+
+/**
+ * Line of the original source a Mermaid error points at.
+ * @param {*} err Error thrown by mermaid.run() / mermaid.parse().
+ * @param {string} raw Diagram source as written (data-raw).
+ * @returns {number} 1-based line in raw, 0 when the error names no line.
+ */
+export function mermaidErrorLine(err, raw) {
+  const e = err && err.error ? err.error : err;
+  const hash = (err && err.hash) || (e && e.hash) || null;
+  let line = 0;
+  // Jison parsers (flowchart, sequence, ...) report the location; Langium parsers (pie, architecture, ...) and
+  // other errors only mention it in the message
+  if (hash && hash.loc && hash.loc.first_line) line = Number(hash.loc.first_line);
+  else if (hash && Number.isFinite(hash.line)) line = hash.line + 1;
+  else {
+    const m = /\bline\s+(\d+)/i.exec(errorMessage(err));
+    if (m) line = Number(m[1]);
+  }
+  const kept = parsedLines(raw);
+  return line >= 1 && line <= kept.length ? kept[line - 1] : 0;
+}
+
+/**
+ * Mermaid version named by a runtime URL (`.../mermaid@11.4.1/dist/...` -> `11.4.1`).
+ * @param {string} url
+ * @returns {string} '' when the URL names no version.
+ */
+export function mermaidVersion(url) {
+  const m = /mermaid@([^/?#]+)/i.exec(String(url || ''));
+  return m ? m[1] : '';
+}
+
+/**
+ * Inject the error panel styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+export function ensureMermaidErrorStyles(addStyle) {
+  addStyle(
+    'mhe-mermaid-error-styles',
+    `
+    .markdown-body .mhe-mermaid-error {
+      margin: 0 0 16px;
+      text-align: left;
+      border: 1px solid rgba(207, 34, 46, 0.45);
+      border-radius: 6px;
+      overflow: hidden;
+    }
+    .markdown-body .mhe-mermaid-error-head {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      font-size: 13px;
+      background: rgba(207, 34, 46, 0.1);
+    }
+    .markdown-body .mhe-mermaid-error-head strong { color: #cf222e; }
+    .markdown-body .mhe-mermaid-error-version { margin-left: auto; opacity: 0.7; }
+    .markdown-body .mhe-mermaid-error-retry {
+      font: inherit;
+      padding: 1px 8px;
+      color: inherit;
+      background: rgba(127, 127, 127, 0.15);
+      border: 1px solid rgba(127, 127, 127, 0.35);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .markdown-body .mhe-mermaid-error-retry:focus-visible { outline: 2px solid #0969da; outline-offset: 1px; }
+    .markdown-body pre.mhe-mermaid-error-message,
+    .markdown-body pre.mhe-mermaid-error-source { margin: 0; border-radius: 0; }
+    .markdown-body pre.mhe-mermaid-error-message {
+      white-space: pre-wrap;
+      border-bottom: 1px solid rgba(127, 127, 127, 0.25);
+    }
+    .markdown-body .mhe-mermaid-error-line { display: block; }
+    .markdown-body .mhe-mermaid-error-line::before {
+      content: attr(data-line);
+      display: inline-block;
+      min-width: 2.5em;
+      margin-right: 1em;
+      text-align: right;
+      opacity: 0.5;
+    }
+    .markdown-body .mhe-mermaid-error-line.is-error { background: rgba(207, 34, 46, 0.15); }
+    body.vscode-dark .markdown-body .mhe-mermaid-error-head strong,
+    body.vscode-high-contrast .markdown-body .mhe-mermaid-error-head strong { color: #ff7b72; }
+  `
+  );
+}
+
+/**
+ * Replace a diagram with its error panel.
+ * @param {HTMLElement} node
+ * @param {*} err
+ * @param {number} line Offending line of data-raw (0: none).
+ * @param {Object} options renderMermaid() options (Retry renders with them).
+ */
+function showError(node, err, line, options) {
+  const raw = node.dataset.raw || '';
+  const panel = document.createElement('div');
+  panel.className = 'mhe-mermaid-error';
+  panel.setAttribute('role', 'alert');
+
+  const head = document.createElement('div');
+  head.className = 'mhe-mermaid-error-head';
+  const title = document.createElement('strong');
+  title.textContent = line ? `Mermaid diagram error (line ${line})` : 'Mermaid diagram error';
+  head.appendChild(title);
+  const version = document.createElement('span');
+  version.className = 'mhe-mermaid-error-version';
+  const v = mermaidVersion(options.mermaidUrl);
+  version.textContent = v ? `Mermaid ${v}` : 'Mermaid';
+  if (options.mermaidUrl) version.title = options.mermaidUrl;
+  head.appendChild(version);
+  const retry = document.createElement('button');
+  retry.type = 'button';
+  retry.className = 'mhe-mermaid-error-retry';
+  retry.textContent = 'Retry';
+  retry.setAttribute('aria-label', 'Render the diagram again');
+  retry.addEventListener('click', async () => {
+    retry.disabled = true;
+    await renderMermaid([node], Object.assign({}, options, { retry: true }));
+    if (typeof options.onRendered === 'function') options.onRendered();
+    // Still failing: keep keyboard users on the new panel
+    const again = node.querySelector('.mhe-mermaid-error-retry');
+    try { if (again) again.focus(); } catch (_) {}
+  });
+  head.appendChild(retry);
+  panel.appendChild(head);
+
+  const message = document.createElement('pre');
+  message.className = 'mhe-mermaid-error-message';
+  message.textContent = errorMessage(err);
+  panel.appendChild(message);
+
+  const source = document.createElement('pre');
+  source.className = 'mhe-mermaid-error-source';
+  const code = document.createElement('code');
+  raw.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').forEach((text, i) => {
+    const span = document.createElement('span');
+    span.className = 'mhe-mermaid-error-line';
+    span.dataset.line = String(i + 1);
+    if (i + 1 === line) {
+      span.classList.add('is-error');
+      span.setAttribute('aria-current', 'true');
+    }
+    span.textContent = text || ' ';
+    code.appendChild(span);
+  });
+  source.appendChild(code);
+  panel.appendChild(source);
+
+  node.replaceChildren(panel);
+  node.setAttribute('data-processed', 'true');
+  node.setAttribute('data-mhe-mermaid-error', '');
+}
+
+/**
+ * Render div.mermaid nodes; already rendered ones are skipped.
+ * @param {Iterable<HTMLElement>} nodes
+ * @param {{ dark?: boolean|(() => boolean), securityLevel?: string, mermaidUrl?: string, retry?: boolean,
+ *   onRendered?: () => void }} [options]
+ *   dark: dark theme, or a function deciding it at render time (Retry after a theme change);
+ *   mermaidUrl: runtime URL shown as the version in error panels; retry: render failed nodes again;
+ *   onRendered: called after a Retry (e.g. to dispatch mhe:diagrams-rendered).
+ * @returns {Promise<{ rendered: number, errors: Array<{ node: HTMLElement, error: *, line: number }> }>}
+ */
+export async function renderMermaid(nodes, options = {}) {
+  const result = { rendered: 0, errors: [] };
+  const mermaid = window.mermaid;
+  if (!mermaid) return result;
+  const { securityLevel = 'loose', retry = false } = options;
+  const dark = typeof options.dark === 'function' ? options.dark() : !!options.dark;
+  mermaid.initialize({
+    startOnLoad: false,
+    theme: dark ? 'dark' : 'default',
+    securityLevel,
+    suppressErrorRendering: true,
+  });
+  const list = Array.from(nodes || []);
+  if (typeof mermaid.run !== 'function') {
+    if (typeof mermaid.init === 'function') mermaid.init(undefined, list);
+    return result;
+  }
+  const pending = list.filter((node) => {
+    if (rendering.has(node)) return false;
+    if (node.hasAttribute('data-mhe-mermaid-error')) return retry;
+    return !(node.hasAttribute('data-processed') && node.querySelector('svg'));
+  });
+  for (const node of pending) {
+    rendering.add(node);
+    try {
+      // Back to the source: failed nodes show a panel, other renderers may have left a partial result
+      if (node.hasAttribute('data-processed')) {
+        node.textContent = node.dataset.raw || node.textContent;
+        node.removeAttribute('data-processed');
+      }
+      node.removeAttribute('data-mhe-mermaid-error');
+      await mermaid.run({ nodes: [node] });
+      if (!node.querySelector('svg')) throw new Error('Mermaid produced no SVG');
+      result.rendered++;
+    } catch (err) {
+      const line = mermaidErrorLine(err, node.dataset.raw || '');
+      showError(node, err, line, options);
+      result.errors.push({ node, error: err, line });
+    } finally {
+      rendering.delete(node);
+    }
+  }
+  return result;
+}
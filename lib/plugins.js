@@ -0,0 +1,243 @@
+/**
+ * Plugin registry and runner for the markdown pipeline.
+ *
+ * Responsibilities:
+ * - registerPlugin(plugin)/unregisterPlugin(name)/getPlugins(): page-wide registry of plugins.
+ * - registerBuiltinPlugins(plugins): register the renderer's own features (run before user plugins).
+ * - resolvePlugins({ disabled, extra }): plugins enabled for one render, in run order.
+ * - disabledPluginsFromFrontMatter(metadata): read `disable-plugins:` from the parsed front matter.
+ * - loadPluginModules(urls): import plugin modules (window.MHE_PLUGINS / boot data-plugins) and register them.
+ * - createPluginRun(plugins, ctx): run the hooks of one render.
+ *
+ * Plugin shape (every hook optional):
+ *   {
+ *     name: 'my-plugin',
+ *     setup(ctx),                 // once per render, may be async (e.g., load data; ctx.addDependency(url))
+ *     preprocess(md, ctx),        // per document (or per slide); returns the markdown to parse
+ *     markedExtensions,           // Marked extensions (array), or (ctx) => array
+ *     postprocess(container, ctx),// per document (or per slide) on the parsed DOM, before it is inserted
+ *     mounted(out, ctx),          // once per render after insertion (ToC and slides ready); may return a cleanup
+ *     allowlist,                  // sanitizer allowlist additions for markup the plugin's Marked extensions emit
+ *     failClosed,                 // true: if postprocess throws, the unit is reduced to its text (sanitize)
+ *   }
+ *
+ * Hook context: the render context built by markdown.js (mdUrl, markdown (without front matter), metadata (parsed
+ * front matter, lib/front-matter.js), frontMatter (its raw block), scope, idPrefix, slides, forceLight, sanitizer,
+ * rewriteLinks, out, moduleUrl, addStyle, loadCSS, loadModule (lib/loader.js), addDependency) plus:
+ * - docState: object private to the plugin for the whole render (shared by its hooks).
+ * - unit: { index, total } of the document or slide being processed (preprocess/postprocess only).
+ * - unitState: object private to the plugin for the current unit (preprocess -> postprocess hand-off).
+ *
+ * Notes:
+ * - This module has no dependencies; markdown.js loads it via config.moduleUrl() so the page shares one registry.
+ * - A failing hook is logged and skipped; the rest of the pipeline keeps running. A failing postprocess of a
+ *   failClosed plugin (the built-in sanitize) replaces the unit's content with its plain text instead, so markup
+ *   the plugin should have cleaned is never inserted.
+ */
+
+// name -> plugin, in registration order
+const builtins = new Map();
+const registry = new Map();
+// module URL -> import promise (each plugin module is loaded and registered once)
+const loadedModules = new Map();
+
+/**
+ * Check the minimal plugin shape.
+ * @param {Object} plugin
+ * @returns {void}
+ */
+function assertPlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('registerPlugin requires a plugin object with a name');
+  }
+}
+
+/**
+ * Register (or replace, by name) a plugin for every subsequent render.
+ * @param {{ name: string }} plugin
+ * @returns {void}
+ */
+export function registerPlugin(plugin) {
+  assertPlugin(plugin);
+  registry.delete(plugin.name);
+  registry.set(plugin.name, plugin);
+}
+
+/**
+ * Remove a plugin registered with registerPlugin().
+ * @param {string} name
+ * @returns {boolean} Whether a plugin was removed.
+ */
+export function unregisterPlugin(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Register built-in plugins once; they run before user plugins.
+ * @param {Array<{ name: string }>} plugins
+ * @returns {void}
+ */
+export function registerBuiltinPlugins(plugins) {
+  (plugins || []).forEach((p) => {
+    assertPlugin(p);
+    if (!builtins.has(p.name)) builtins.set(p.name, p);
+  });
+}
+
+/**
+ * List registered plugins (built-ins first).
+ * @returns {Array<{ name: string }>}
+ */
+export function getPlugins() {
+  // A user plugin with a built-in's name replaces it
+  const list = Array.from(builtins.values()).filter((p) => !registry.has(p.name));
+  return list.concat(Array.from(registry.values()));
+}
+
+/**
+ * Plugins enabled for one render.
+ * @param {{ disabled?: Iterable<string>, extra?: Array<{ name: string }> }} [options]
+ *   disabled: plugin names to skip for this document.
+ *   extra: plugins used for this render only (after the registered ones).
+ * @returns {Array<{ name: string }>}
+ */
+export function resolvePlugins({ disabled, extra } = {}) {
+  const off = new Set(Array.from(disabled || []).map((n) => String(n).trim()).filter(Boolean));
+  const list = getPlugins();
+  (extra || []).forEach((p) => {
+    assertPlugin(p);
+    const at = list.findIndex((q) => q.name === p.name);
+    if (at >= 0) list.splice(at, 1);
+    list.push(p);
+  });
+  return list.filter((p) => !off.has(p.name));
+}
+
+/**
+ * Read plugin names disabled by the document's front matter:
+ *   disable-plugins: [mermaid, citations]   or   disable-plugins: mermaid, citations
+ * @param {Object} metadata Parsed front matter (lib/front-matter.js).
+ * @returns {string[]}
+ */
+export function disabledPluginsFromFrontMatter(metadata) {
+  const data = metadata || {};
+  const key = Object.keys(data).find((k) => /^disable-?plugins$/i.test(k));
+  if (!key || data[key] === null) return [];
+  return [].concat(data[key])
+    .reduce((names, v) => names.concat(String(v).split(',')), [])
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Import plugin modules and register what they export: the default export or a named `plugin`/`plugins`
+ * export, each a plugin object or an array of them. Relative URLs resolve against the page.
+ * @param {string|string[]|null|undefined} urls Array or comma-separated list of module URLs.
+ * @returns {Promise<void>} Resolves when every module is registered (failures are logged).
+ */
+export async function loadPluginModules(urls) {
+  const list = (Array.isArray(urls) ? urls : String(urls || '').split(','))
+    .map((u) => String(u).trim())
+    .filter(Boolean);
+  await Promise.all(list.map((u) => {
+    const href = new URL(u, document.baseURI).href;
+    if (!loadedModules.has(href)) {
+      loadedModules.set(href, import(href).then((mod) => {
+        const exported = mod.default || mod.plugins || mod.plugin;
+        [].concat(exported || []).forEach((p) => registerPlugin(p));
+      }).catch((e) => {
+        console.error(`plugins: Failed to load plugin module ${href}`, e);
+      }));
+    }
+    return loadedModules.get(href);
+  }));
+}
+
+/**
+ * Create the hook runner of one render.
+ * @param {Array<Object>} plugins Plugins from resolvePlugins().
+ * @param {Object} ctx Render context (see module notes).
+ * @returns {{
+ *   setup: () => Promise<void>,
+ *   markedExtensions: () => Array<Object>,
+ *   createUnit: (index: number, total: number) => Object,
+ *   preprocess: (md: string, unit: Object) => string,
+ *   postprocess: (container: HTMLElement, unit: Object) => void,
+ *   mounted: (out: HTMLElement) => Array<() => void>
+ * }}
+ */
+export function createPluginRun(plugins, ctx) {
+  const docStates = new Map(plugins.map((p) => [p, {}]));
+  const ctxFor = (p, unit) => Object.assign({}, ctx, {
+    docState: docStates.get(p),
+    unit: unit ? { index: unit.index, total: unit.total } : null,
+    unitState: unit ? unit.states.get(p) : null,
+  });
+  const report = (p, hook, err) => console.error(`plugins: ${p.name}.${hook} failed`, err);
+
+  return {
+    async setup() {
+      for (const p of plugins) {
+        if (typeof p.setup !== 'function') continue;
+        try {
+          await p.setup(ctxFor(p, null));
+        } catch (e) {
+          report(p, 'setup', e);
+        }
+      }
+    },
+    markedExtensions() {
+      const all = [];
+      plugins.forEach((p) => {
+        try {
+          const ext = typeof p.markedExtensions === 'function' ? p.markedExtensions(ctxFor(p, null)) : p.markedExtensions;
+          if (Array.isArray(ext)) all.push(...ext);
+          else if (ext) all.push(ext);
+        } catch (e) {
+          report(p, 'markedExtensions', e);
+        }
+      });
+      return all;
+    },
+    createUnit(index, total) {
+      return { index, total, states: new Map(plugins.map((p) => [p, {}])) };
+    },
+    preprocess(md, unit) {
+      let text = md;
+      plugins.forEach((p) => {
+        if (typeof p.preprocess !== 'function') return;
+        try {
+          const next = p.preprocess(text, ctxFor(p, unit));
+          if (typeof next === 'string') text = next;
+        } catch (e) {
+          report(p, 'preprocess', e);
+        }
+      });
+      return text;
+    },
+    postprocess(container, unit) {
+      plugins.forEach((p) => {
+        if (typeof p.postprocess !== 'function') return;
+        try {
+          p.postprocess(container, ctxFor(p, unit));
+        } catch (e) {
+          report(p, 'postprocess', e);
+          if (p.failClosed) container.textContent = container.textContent;
+        }
+      });
+    },
+    mounted(out) {
+      const cleanups = [];
+      plugins.forEach((p) => {
+        if (typeof p.mounted !== 'function') return;
+        try {
+          const fn = p.mounted(out, ctxFor(p, null));
+          if (typeof fn === 'function') cleanups.push(fn);
+        } catch (e) {
+          report(p, 'mounted', e);
+        }
+      });
+      return cleanups;
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Client-side router for relative markdown links.
+ *
+ * Responsibilities:
+ * - initMarkdownRouter(options): intercept clicks on links to markdown files (relative .md links inside
+ *   the rendered document, and links marked with data-md-url such as the site navigation), fetch the target
+ *   and render it in place via the History API instead of navigating to the raw markdown file.
+ * - Keep back/forward working (popstate) and honor `#heading` deep links after each render.
+ * - Optionally prefetch link targets on hover so navigation renders without waiting for the network.
+ *
+ * Notes:
+ * - The router is renderer-agnostic: the caller provides render(mdUrl, mdText) (boot.js wraps renderMarkdown()).
+ * - Page URLs are produced and parsed by the caller-provided pageHref()/pageFromLocation() helpers (lib/site.js),
+ *   so the address bar always reflects a reloadable page (?md=path/to/page.md#heading).
+ * - Relative links are resolved against the current markdown URL, not the HTML page.
+ */
+
+const MD_EXT_RX = /\.(md|markdown)$/i;
+
+/**
+ * Initialize in-place navigation between markdown documents.
+ *
+ * @param {{
+ *   out: HTMLElement,
+ *   mdUrl: string,
+ *   render: (mdUrl: string, mdText: string) => Promise<void>,
+ *   pageHref: (mdUrl: string) => string,
+ *   pageFromLocation: () => string,
+ *   prefetch?: boolean,
+ *   loadText?: (mdUrl: string) => (string|Promise<string>|null)
+ * }} options
+ *   out: container holding the rendered markdown (relative .md links inside it are intercepted).
+ *   mdUrl: markdown URL currently rendered.
+ *   render: renders the given markdown text for mdUrl into out.
+ *   pageHref: builds the page URL for a markdown URL.
+ *   pageFromLocation: reads the markdown URL from the current page URL ('' when absent).
+ *   prefetch: fetch link targets on hover (default false).
+ *   loadText: optional loader consulted before fetching; return null to fetch normally
+ *     (e.g., boot.js serves an inline document for its base URL).
+ * @returns {{ navigate: (mdUrl: string, opts?: { hash?: string, push?: boolean }) => Promise<void>, scrollToHash: () => void }}
+ */
+export function initMarkdownRouter({ out, mdUrl, render, pageHref, pageFromLocation, prefetch = false, loadText }) {
+  let currentUrl = stripHash(mdUrl);
+  let token = 0;
+  const cache = new Map();
+
+  // Remember the rendered page so popstate can restore it even after hash-only replaceState calls
+  try { history.replaceState(Object.assign({}, history.state || {}, { mhe: { mdUrl: currentUrl } }), ''); } catch (_) {}
+
+  const fetchText = (url) => {
+    if (cache.has(url)) return cache.get(url);
+    const provided = loadText ? loadText(url) : null;
+    const p = (provided !== null && provided !== undefined)
+      ? Promise.resolve(provided)
+      : fetch(url).then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+        return res.text();
+      });
+    cache.set(url, p);
+    // Drop failed prefetches so a later click retries
+    p.catch(() => { if (cache.get(url) === p) cache.delete(url); });
+    return p;
+  };
+
+  // Resolve the markdown target of a link, or '' when the link should be left to the browser
+  const targetFor = (a) => {
+    try {
+      if (!a || a.hasAttribute('download')) return '';
+      const t = (a.getAttribute('target') || '').toLowerCase();
+      if (t && t !== '_self') return '';
+      if (a.dataset && a.dataset.mdUrl) return new URL(a.dataset.mdUrl, document.baseURI).href;
+      if (!out || !out.contains(a)) return '';
+      const href = a.getAttribute('href') || '';
+      if (!href || href.startsWith('#')) return '';
+      const u = new URL(href, currentUrl);
+      if (u.origin !== location.origin) return '';
+      if (!MD_EXT_RX.test(u.pathname)) return '';
+      return u.href;
+    } catch (_) {
+      return '';
+    }
+  };
+
+  const scrollToHash = () => {
+    const id = decodeHash(location.hash);
+    if (!id || /^slide-\d+$/i.test(id)) return;
+    const el = document.getElementById(id);
+    if (el) {
+      try { el.scrollIntoView({ block: 'start' }); } catch (_) {}
+    }
+  };
+
+  /**
+   * Render a markdown URL in place and update history.
+   * @param {string} url
+   * @param {{ hash?: string, push?: boolean }} [opts]
+   */
+  const navigate = async (url, { hash = '', push = true } = {}) => {
+    const target = stripHash(url);
+    const my = ++token;
+    let text;
+    try {
+      text = await fetchText(target);
+    } catch (err) {
+      console.error('router: Failed to fetch markdown, falling back to a full page load', err);
+      location.assign(pageHref(target) + hash);
+      return;
+    }
+    // A newer navigation started while fetching; let it win
+    if (my !== token) return;
+    cache.delete(target);
+
+    if (push) {
+      try { history.pushState({ mhe: { mdUrl: target } }, '', pageHref(target) + hash); } catch (_) {}
+    }
+    currentUrl = target;
+
+    try {
+      await render(target, text);
+    } catch (err) {
+      console.error('router: Render failed', err);
+    }
+    if (my !== token) return;
+
+    if (hash) scrollToHash();
+    else if (push) {
+      try { window.scrollTo(0, 0); } catch (_) {}
+    }
+  };
+
+  const onClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const a = e.target && e.target.closest && e.target.closest('a[href]');
+    const target = targetFor(a);
+    if (!target) return;
+    e.preventDefault();
+    let hash = '';
+    try { hash = new URL(target).hash; } catch (_) {}
+    if (stripHash(target) === currentUrl) {
+      // Same document: behave like an in-page anchor
+      if (hash) {
+        try { history.pushState(history.state, '', pageHref(currentUrl) + hash); } catch (_) {}
+        scrollToHash();
+      } else {
+        try { window.scrollTo(0, 0); } catch (_) {}
+      }
+      return;
+    }
+    navigate(target, { hash, push: true });
+  };
+
+  const onPopState = (e) => {
+    const fromState = e.state && e.state.mhe && e.state.mhe.mdUrl;
+    const target = stripHash(fromState || pageFromLocation() || mdUrl);
+    if (target === currentUrl) {
+      // Hash-only history entry within the same document
+      scrollToHash();
+      return;
+    }
+    navigate(target, { hash: location.hash, push: false });
+  };
+
+  const onHover = (e) => {
+    const a = e.target && e.target.closest && e.target.closest('a[href]');
+    const target = targetFor(a);
+    if (!target || stripHash(target) === currentUrl) return;
+    fetchText(stripHash(target)).catch(() => {});
+  };
+
+  document.addEventListener('click', onClick);
+  window.addEventListener('popstate', onPopState);
+  if (prefetch) {
+    document.addEventListener('mouseover', onHover, { passive: true });
+    document.addEventListener('focusin', onHover);
+  }
+
+  return { navigate, scrollToHash };
+}
+
+/**
+ * Remove the fragment from a URL.
+ * @param {string} url
+ * @returns {string}
+ */
+function stripHash(url) {
+  try {
+    const u = new URL(url, document.baseURI);
+    u.hash = '';
+    return u.href;
+  } catch (_) {
+    return String(url || '').replace(/#.*$/, '');
+  }
+}
+
+/**
+ * Decode a location hash into an element id.
+ * @param {string} hash
+ * @returns {string}
+ */
+function decodeHash(hash) {
+  const raw = String(hash || '').replace(/^#/, '');
+  try {
+    return decodeURIComponent(raw);
+  } catch (_) {
+    return raw;
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * HTML sanitizer for rendered markdown.
+ *
+ * Responsibilities:
+ * - createSanitizer(mode, overrides): build the sanitizer of one render from the mode ('off' | 'on' | 'strict')
+ *   and per-site allowlist overrides; exposes sanitizeNode(root), sanitizeHtml(html) and the Mermaid security level.
+ * - DEFAULT_ALLOWLIST: the documented default allowlist (GitHub-like subset of HTML).
+ *
+ * Policy (mode 'on', the default):
+ * - Elements in DROP_TAGS are removed with their content (script, style, iframe, object, embed, form controls, ...).
+ * - Other elements outside the allowlist are unwrapped: the tag goes, its text and children stay.
+ * - Attributes outside the allowlist are removed; event handlers (on*) and `style` never pass by default.
+ * - URL attributes (href, src, cite) keep relative URLs, fragments and allowlisted protocols only.
+ * - id/name values that could clobber document properties or the MHE_* globals are removed.
+ * - Task list checkboxes are kept but always disabled (the opt-in task-lists plugin of lib/task-lists.js enables
+ *   them after sanitizing).
+ * Mode 'strict' additionally: keeps only `language-*` classes and the renderer's own markers (STRICT_CLASSES),
+ * refuses data: URLs, marks links rel="noopener noreferrer nofollow" without target, and switches Mermaid
+ * to securityLevel 'strict'.
+ * Mode 'off' only removes <script> elements (legacy behavior) and keeps Mermaid 'loose'.
+ *
+ * Overrides (window.MHE_SANITIZE_ALLOW, boot data-sanitize-allow as JSON, or the renderMarkdown sanitize option):
+ *   { tags: ['iframe'], attributes: { iframe: ['src', 'allow'], '*': ['style'] }, protocols: ['ftp'], classes: ['note'] }
+ * (classes extends the strict-mode class allowlist.) Enabled plugins contribute their `allowlist` the same way.
+ * Allowing a tag from DROP_TAGS lifts the drop; its URL attributes are still protocol-checked.
+ *
+ * Notes:
+ * - Renderer-agnostic: operates on DOM nodes (or HTML strings parsed into an inert <template>).
+ */
+
+/**
+ * Default allowlist: tag -> allowed attributes ('*' applies to every allowed tag).
+ * aria-* attributes are allowed on every tag.
+ */
+export const DEFAULT_ALLOWLIST = Object.freeze({
+  tags: Object.freeze([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small', 'span', 'strike',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time',
+    'tr', 'tt', 'u', 'ul', 'var', 'wbr',
+  ]),
+  attributes: Object.freeze({
+    '*': Object.freeze(['id', 'class', 'title', 'lang', 'dir', 'align', 'role']),
+    a: Object.freeze(['href', 'name', 'target', 'rel']),
+    img: Object.freeze(['src', 'alt', 'width', 'height', 'loading']),
+    input: Object.freeze(['type', 'checked', 'disabled']),
+    ol: Object.freeze(['start', 'type', 'reversed']),
+    li: Object.freeze(['value']),
+    td: Object.freeze(['colspan', 'rowspan']),
+    th: Object.freeze(['colspan', 'rowspan', 'scope']),
+    col: Object.freeze(['span']),
+    colgroup: Object.freeze(['span']),
+    details: Object.freeze(['open']),
+    blockquote: Object.freeze(['cite']),
+    q: Object.freeze(['cite']),
+    del: Object.freeze(['cite', 'datetime']),
+    ins: Object.freeze(['cite', 'datetime']),
+    time: Object.freeze(['datetime']),
+  }),
+  protocols: Object.freeze(['http', 'https', 'mailto', 'tel']),
+});
+
+// Removed together with their content (unless explicitly allowed by an override)
+const DROP_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'noembed',
+  'template', 'textarea', 'select', 'option', 'button', 'form', 'base', 'link', 'meta', 'title', 'head',
+  'svg', 'math', 'xmp', 'plaintext', 'noframes',
+];
+// Classes kept in strict mode besides language-*: markers emitted by the renderer's own markdown preprocessing
+const STRICT_CLASSES = ['citation', 'footnote', 'task-list-item', 'contains-task-list'];
+const URL_ATTRS = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background'];
+const DATA_IMAGE_RX = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Normalize the sanitize mode from an option/global value.
+ * @param {*} v false/'off'/'0'/'false', 'strict', or anything else (including undefined) for 'on'.
+ * @returns {'off'|'on'|'strict'}
+ */
+function modeOf(v) {
+  if (v === false) return 'off';
+  const s = String(v === undefined || v === null ? '' : v).trim().toLowerCase();
+  if (s === 'off' || s === 'false' || s === '0' || s === 'no') return 'off';
+  if (s === 'strict') return 'strict';
+  return 'on';
+}
+
+/**
+ * Parse allowlist overrides (object or JSON string).
+ * @param {*} v
+ * @returns {{ tags?: string[], attributes?: Record<string, string[]>, protocols?: string[] }}
+ */
+function overridesOf(v) {
+  if (!v) return {};
+  if (typeof v === 'string') {
+    try {
+      return JSON.parse(v) || {};
+    } catch (e) {
+      console.error('sanitize: Invalid allowlist overrides (expected JSON)', e);
+      return {};
+    }
+  }
+  return typeof v === 'object' ? v : {};
+}
+
+/**
+ * Build the sanitizer of one render.
+ *
+ * @param {*} mode 'off' | 'on' | 'strict' (or false/true); an object is treated as { strict, ...overrides }.
+ * @param {...*} overrideList Allowlist overrides merged in order (objects or JSON strings); an object mode is
+ *   merged last.
+ * @returns {{
+ *   mode: 'off'|'on'|'strict',
+ *   mermaidSecurityLevel: 'strict'|'loose',
+ *   sanitizeNode: (root: Element|DocumentFragment) => void,
+ *   sanitizeHtml: (html: string) => string,
+ *   urlAllowed: (tag: string, name: string, value: string) => boolean,
+ *   idAllowed: (value: string) => boolean
+ * }}
+ * urlAllowed applies the URL check to markup plugins produce after sanitizing (Graphviz links); idAllowed
+ * refuses ids naming our window globals (heading ids). Element ids clobber window, not document, and never
+ * shadow its own properties, so ids such as `title` or `links` pass. Both check in every mode, 'off' included.
+ */
+export function createSanitizer(mode, ...overrideList) {
+  let resolvedMode;
+  const overrides = overrideList.map(overridesOf);
+  if (mode && typeof mode === 'object') {
+    resolvedMode = mode.strict ? 'strict' : 'on';
+    overrides.push(mode);
+  } else {
+    resolvedMode = modeOf(mode);
+  }
+  const strict = resolvedMode === 'strict';
+
+  const tags = new Set(DEFAULT_ALLOWLIST.tags);
+  const attrs = new Map(Object.entries(DEFAULT_ALLOWLIST.attributes).map(([t, list]) => [t, new Set(list)]));
+  const protocols = new Set(DEFAULT_ALLOWLIST.protocols);
+  const drop = new Set(DROP_TAGS);
+  const strictClasses = new Set(STRICT_CLASSES);
+  overrides.forEach((o) => {
+    (o.classes || []).forEach((c) => strictClasses.add(String(c)));
+    (o.tags || []).forEach((t) => {
+      const tag = String(t).toLowerCase();
+      tags.add(tag);
+      drop.delete(tag);
+    });
+    Object.entries(o.attributes || {}).forEach(([t, list]) => {
+      const tag = String(t).toLowerCase();
+      if (!attrs.has(tag)) attrs.set(tag, new Set());
+      (list || []).forEach((a) => attrs.get(tag).add(String(a).toLowerCase()));
+    });
+    (o.protocols || []).forEach((p) => protocols.add(String(p).toLowerCase().replace(/:$/, '')));
+  });
+
+  const attrAllowed = (tag, name) => {
+    if (/^on/.test(name)) return false;
+    if (/^aria-[\w-]+$/.test(name)) return true;
+    return (attrs.get('*') && attrs.get('*').has(name)) || (attrs.get(tag) && attrs.get(tag).has(name));
+  };
+
+  const urlAllowed = (tag, name, value) => {
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const v = String(value || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!v || v.startsWith('#') || v.startsWith('/') || v.startsWith('?') || v.startsWith('.')) return true;
+    const m = v.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!m) return true; // relative URL
+    const scheme = m[1].toLowerCase();
+    if (scheme === 'data') return !strict && tag === 'img' && name === 'src' && DATA_IMAGE_RX.test(String(value).trim());
+    return protocols.has(scheme);
+  };
+
+  // Names of our window globals; an element id or name equal to one shadows it while it is unset
+  const ownGlobal = (value) => /^(mhe_|__)/i.test(String(value || ''));
+
+  // id/name values resolving to document properties (DOM clobbering) or our window globals
+  const clobbers = (value) => {
+    const v = String(value || '');
+    if (ownGlobal(v)) return true;
+    try {
+      return v in document;
+    } catch (_) {
+      return false;
+    }
+  };
+
+  const cleanElement = (el) => {
+    const tag = el.tagName.toLowerCase();
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      let keep = attrAllowed(tag, name);
+      if (keep && URL_ATTRS.includes(name)) keep = urlAllowed(tag, name, attr.value);
+      if (keep && (name === 'id' || name === 'name')) keep = !clobbers(attr.value);
+      if (keep && name === 'class' && strict) {
+        const classes = attr.value.split(/\s+/).filter((c) => /^language-[\w+#-]+$/.test(c) || strictClasses.has(c));
+        if (classes.length) {
+          el.setAttribute('class', classes.join(' '));
+          return;
+        }
+        keep = false;
+      }
+      if (!keep) el.removeAttribute(attr.name);
+    });
+    if (tag === 'input') {
+      // Only task list checkboxes, never editable
+      if ((el.getAttribute('type') || '').toLowerCase() !== 'checkbox') return false;
+      el.setAttribute('disabled', '');
+    }
+    if (tag === 'a') {
+      if (strict) {
+        el.removeAttribute('target');
+        el.setAttribute('rel', 'noopener noreferrer nofollow');
+      } else if (el.getAttribute('target')) {
+        el.setAttribute('rel', 'noopener noreferrer');
+      }
+    }
+    return true;
+  };
+
+  const sanitizeNode = (root) => {
+    if (!root) return;
+    if (resolvedMode === 'off') {
+      root.querySelectorAll('script').forEach((s) => s.remove());
+      return;
+    }
+    // Depth-first over a static copy of each child list, so removals do not disturb the iteration
+    const walk = (parent) => {
+      Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === 8) { // comment
+          node.remove();
+          return;
+        }
+        if (node.nodeType !== 1) return;
+        const tag = node.tagName.toLowerCase();
+        if (drop.has(tag)) {
+          node.remove();
+          return;
+        }
+        if (!tags.has(tag)) {
+          // Unwrap: sanitize the children, then move them in place of the element
+          walk(node);
+          node.replaceWith(...Array.from(node.childNodes));
+          return;
+        }
+        if (!cleanElement(node)) {
+          node.remove();
+          return;
+        }
+        walk(node);
+      });
+    };
+    walk(root);
+  };
+
+  const sanitizeHtml = (html) => {
+    const tpl = document.createElement('template');
+    tpl.innerHTML = String(html || '');
+    sanitizeNode(tpl.content);
+    return tpl.innerHTML;
+  };
+
+  return {
+    mode: resolvedMode,
+    mermaidSecurityLevel: strict ? 'strict' : 'loose',
+    sanitizeNode,
+    sanitizeHtml,
+    urlAllowed,
+    idAllowed: (value) => !ownGlobal(value),
+  };
+}
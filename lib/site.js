@@ -0,0 +1,372 @@
+/**
+ * Multi-page documentation site helpers.
+ *
+ * Responsibilities:
+ * - loadSiteManifest(siteUrl): fetch a manifest and parse it into a navigation tree.
+ *   Accepts an mdBook/GitBook-like SUMMARY.md (nested link lists, part headings) or any
+ *   markdown file whose YAML front matter declares a `nav:` list (MkDocs-like).
+ * - flattenSite(site): ordered list of pages used for previous/next links.
+ * - pageHref(mdUrl): page URL (?md=...) that boot.js maps back to a markdown file.
+ * - ensureSiteStyles(addStyle): inject minimal CSS for site navigation and page links.
+ * - initSiteNav(site, mdUrl): render the site navigation above the sidebar ToC.
+ * - appendPageNav(out, site, mdUrl): append previous/next page links to a rendered document.
+ * - pageFromLocation(): read the markdown URL selected by the page URL (?md=...).
+ * - sitePageAllowed(site, mdUrl): whether a page selected by the page URL belongs to the site.
+ *
+ * Notes:
+ * - Manifest paths are resolved against the manifest URL, so SUMMARY.md can live next to the pages.
+ * - Navigation and previous/next links carry data-md-url so lib/router.js can render them in place.
+ * - Navigation nodes have the shape { title: string, url: string, children: Node[] };
+ *   part headings (## Part) become nodes without url that group the following entries.
+ */
+
+const SITE_NAV_ID = 'generated-site-nav';
+const PAGE_PARAM = 'md';
+
+/**
+ * Resolve a manifest path against the manifest URL; returns '' for external or empty links.
+ * @param {string} path
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function resolvePage(path, baseUrl) {
+  const p = String(path || '').trim().replace(/^<|>$/g, '');
+  if (!p) return '';
+  try {
+    const u = new URL(p, baseUrl);
+    u.hash = '';
+    return u.href;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Parse an mdBook/GitBook-like SUMMARY.md into a navigation tree.
+ * - `# Summary` title is ignored; other headings start a new part (group without url).
+ * - `- [Title](path.md)` list items nest by indentation.
+ * - Unbulleted `[Title](path.md)` lines (prefix/suffix chapters) are top-level entries.
+ * @param {string} text
+ * @param {string} baseUrl URL of the manifest, used to resolve relative paths.
+ * @returns {Array<{title: string, url: string, children: Array}>}
+ */
+export function parseSummary(text, baseUrl) {
+  const root = { children: [] };
+  let part = root;
+  // Stack of { indent, node } for nested list items under the current part
+  let stack = [];
+
+  // Skip fenced code and HTML comments
+  const body = String(text || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/```[\s\S]*?```/g, '');
+
+  body.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const title = heading[1].trim();
+      if (/^(summary|table of contents)$/i.test(title)) return;
+      part = { title, url: '', children: [] };
+      root.children.push(part);
+      stack = [];
+      return;
+    }
+
+    const item = line.match(/^(\s*)[-*+]\s+(?:\[([^\]]+)\]\(([^)]*)\)|(.+?))\s*$/);
+    if (item) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      const node = {
+        title: (item[2] || item[4] || '').trim(),
+        url: item[3] !== undefined ? resolvePage(item[3], baseUrl) : '',
+        children: [],
+      };
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      const parent = stack.length ? stack[stack.length - 1].node : part;
+      parent.children.push(node);
+      stack.push({ indent, node });
+      return;
+    }
+
+    const prefix = line.match(/^\[([^\]]+)\]\(([^)]*)\)\s*$/);
+    if (prefix) {
+      part.children.push({ title: prefix[1].trim(), url: resolvePage(prefix[2], baseUrl), children: [] });
+      stack = [];
+    }
+  });
+
+  return root.children;
+}
+
+/**
+ * Parse a MkDocs-like `nav:` list from YAML front matter.
+ * Supports `- path.md`, `- Title: path.md` and nested `- Section:` lists.
+ * This is a tolerant extractor for the nav block only, not a full YAML parser.
+ * @param {string} text Markdown with front matter.
+ * @param {string} baseUrl
+ * @returns {Array<{title: string, url: string, children: Array}>|null} null when no nav is declared.
+ */
+export function parseFrontMatterNav(text, baseUrl) {
+  const fmMatch = String(text || '').match(/^---\s*\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/);
+  if (!fmMatch) return null;
+  const lines = fmMatch[1].split(/\r?\n/);
+  const start = lines.findIndex((l) => /^nav\s*:\s*$/.test(l));
+  if (start < 0) return null;
+
+  const unquote = (s) => String(s || '').trim().replace(/^['"]|['"]$/g, '');
+  const root = { children: [] };
+  const stack = [{ indent: -1, node: root }];
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    // The nav block ends at the next top-level key
+    if (/^\S/.test(line)) break;
+    const m = line.match(/^(\s*)-\s+(.*)$/);
+    if (!m) continue;
+    const indent = m[1].length;
+    const rest = m[2];
+    const kv = rest.match(/^((?:"[^"]*"|'[^']*'|[^:])+):\s*(.*)$/);
+    const node = kv
+      ? { title: unquote(kv[1]), url: kv[2].trim() ? resolvePage(unquote(kv[2]), baseUrl) : '', children: [] }
+      : { title: '', url: resolvePage(unquote(rest), baseUrl), children: [] };
+    if (!node.title) {
+      node.title = decodeURIComponent((node.url.split('/').pop() || '').replace(/\.md$/i, ''));
+    }
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ indent, node });
+  }
+
+  return root.children;
+}
+
+/**
+ * Fetch and parse a site manifest.
+ * Front matter `nav:` takes precedence; otherwise the body is parsed as SUMMARY.md.
+ * @param {string} siteUrl
+ * @returns {Promise<{ url: string, nav: Array<{title: string, url: string, children: Array}> }>}
+ */
+export async function loadSiteManifest(siteUrl) {
+  const url = new URL(siteUrl, document.baseURI).href;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+  const text = await res.text();
+  const nav = parseFrontMatterNav(text, url) || parseSummary(text, url);
+  return { url, nav };
+}
+
+/**
+ * Flatten the navigation tree into reading order, keeping only entries with a page url.
+ * @param {{ nav: Array }} site
+ * @returns {Array<{title: string, url: string}>}
+ */
+export function flattenSite(site) {
+  const pages = [];
+  const seen = new Set();
+  const walk = (nodes) => {
+    (nodes || []).forEach((n) => {
+      if (n.url && !seen.has(n.url)) {
+        seen.add(n.url);
+        pages.push({ title: n.title, url: n.url });
+      }
+      walk(n.children);
+    });
+  };
+  walk(site && site.nav);
+  return pages;
+}
+
+/**
+ * Build the page URL that renders the given markdown file (current page + ?md=relative/path.md).
+ * @param {string} mdUrl Absolute markdown URL.
+ * @returns {string}
+ */
+export function pageHref(mdUrl) {
+  try {
+    const page = new URL(document.location.href);
+    page.hash = '';
+    const target = new URL(mdUrl, document.baseURI);
+    const dir = new URL('.', page).href;
+    const value = target.href.startsWith(dir) ? target.href.slice(dir.length) : target.href;
+    page.searchParams.set(PAGE_PARAM, value);
+    return page.href;
+  } catch (_) {
+    return mdUrl;
+  }
+}
+
+/**
+ * Read the markdown URL selected by the page URL (?md=...), resolved against the document.
+ * @returns {string} Absolute URL or '' when the parameter is absent.
+ */
+export function pageFromLocation() {
+  try {
+    const v = new URL(document.location.href).searchParams.get(PAGE_PARAM);
+    return v ? new URL(v, document.baseURI).href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Whether a markdown URL taken from the page URL (?md=...) belongs to the site: a page of the manifest, or a
+ * same-origin document under the manifest's directory (pages reached through links, e.g. after a reload).
+ * @param {{ url: string, nav: Array }} site
+ * @param {string} mdUrl
+ * @returns {boolean}
+ */
+export function sitePageAllowed(site, mdUrl) {
+  const page = normalizePage(mdUrl);
+  if (flattenSite(site).some((p) => normalizePage(p.url) === page)) return true;
+  try {
+    const u = new URL(page);
+    return u.origin === document.location.origin && u.href.startsWith(new URL('.', site.url).href);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Inject minimal styles for the site navigation and previous/next links.
+ * @param {(id:string, css:string)=>void} addStyle
+ * @returns {void}
+ */
+export function ensureSiteStyles(addStyle) {
+  try {
+    addStyle(
+      'mhe-site-styles',
+      `
+      .md-site-nav { padding-bottom: 8px; margin-bottom: 8px; border-bottom: 1px solid rgba(128,128,128,0.25); }
+      .md-site-nav ul { margin: 2px 0 4px 0; padding-left: 1rem; list-style: none; }
+      .md-site-nav > ul { padding-left: 0; }
+      .md-site-nav a { text-decoration: none; }
+      .md-site-nav a:hover { text-decoration: underline; }
+      .md-site-nav a.active { font-weight: 800; }
+      .md-site-nav .md-site-part { display: block; margin-top: 8px; font-size: 0.85em; font-weight: 700; text-transform: uppercase; opacity: 0.7; }
+      .markdown-body .mhe-page-nav { display: flex; justify-content: space-between; gap: 16px; margin-top: 32px; padding-top: 16px; border-top: 1px solid rgba(128,128,128,0.25); }
+      .markdown-body .mhe-page-nav a { display: block; max-width: 48%; padding: 8px 12px; border: 1px solid rgba(128,128,128,0.3); border-radius: 6px; text-decoration: none; }
+      .markdown-body .mhe-page-nav a:hover { border-color: rgba(128,128,128,0.7); }
+      .markdown-body .mhe-page-nav .mhe-page-next { margin-left: auto; text-align: right; }
+      .markdown-body .mhe-page-nav small { display: block; opacity: 0.7; }
+    `
+    );
+  } catch (_) {}
+}
+
+/**
+ * Render navigation nodes as nested lists, marking the current page.
+ * @param {Array} nodes
+ * @param {string} currentUrl
+ * @returns {HTMLElement} ul element
+ */
+function renderSiteNodes(nodes, currentUrl) {
+  const ul = document.createElement('ul');
+  nodes.forEach((n) => {
+    const li = document.createElement('li');
+    if (n.url) {
+      const a = document.createElement('a');
+      a.href = pageHref(n.url);
+      a.dataset.mdUrl = n.url;
+      a.textContent = n.title;
+      if (n.url === currentUrl) {
+        a.classList.add('active');
+        a.setAttribute('aria-current', 'page');
+      }
+      li.appendChild(a);
+    } else {
+      const span = document.createElement('span');
+      span.className = 'md-site-part';
+      span.textContent = n.title;
+      li.appendChild(span);
+    }
+    if (n.children && n.children.length) {
+      li.appendChild(renderSiteNodes(n.children, currentUrl));
+    }
+    ul.appendChild(li);
+  });
+  return ul;
+}
+
+/**
+ * Normalize a markdown URL for comparisons with manifest entries.
+ * @param {string} mdUrl
+ * @returns {string}
+ */
+function normalizePage(mdUrl) {
+  try {
+    const u = new URL(mdUrl, document.baseURI);
+    u.hash = '';
+    return u.href;
+  } catch (_) {
+    return String(mdUrl || '');
+  }
+}
+
+/**
+ * Render the site navigation into the sidebar (created if missing), above the generated ToC.
+ * Safe to call multiple times; it re-renders the navigation content.
+ * @param {{ nav: Array }} site
+ * @param {string} mdUrl Markdown URL of the current page.
+ * @returns {void}
+ */
+export function initSiteNav(site, mdUrl) {
+  if (!site || !Array.isArray(site.nav) || !site.nav.length) return;
+
+  let aside = document.querySelector('aside.md-sidebar-toc:not([data-mhe-toc-scope])');
+  if (!aside) {
+    aside = document.createElement('aside');
+    aside.className = 'md-sidebar-toc';
+    document.body.appendChild(aside);
+  }
+  let nav = document.getElementById(SITE_NAV_ID);
+  if (!nav) {
+    nav = document.createElement('nav');
+    nav.className = 'md-site-nav';
+    nav.id = SITE_NAV_ID;
+    nav.setAttribute('aria-label', 'Site');
+  }
+  // Keep site navigation first, above the document ToC
+  if (aside.firstChild !== nav) aside.insertBefore(nav, aside.firstChild);
+
+  nav.innerHTML = '';
+  nav.appendChild(renderSiteNodes(site.nav, normalizePage(mdUrl)));
+}
+
+/**
+ * Append previous/next page links to the bottom of a rendered document.
+ * @param {HTMLElement} out Rendered markdown container.
+ * @param {{ nav: Array }} site
+ * @param {string} mdUrl Markdown URL of the current page.
+ * @returns {void}
+ */
+export function appendPageNav(out, site, mdUrl) {
+  if (!out) return;
+  const pages = flattenSite(site);
+  const current = normalizePage(mdUrl);
+  const i = pages.findIndex((p) => p.url === current);
+  if (i < 0) return;
+  const prev = i > 0 ? pages[i - 1] : null;
+  const next = i < pages.length - 1 ? pages[i + 1] : null;
+  if (!prev && !next) return;
+
+  const nav = document.createElement('nav');
+  nav.className = 'mhe-page-nav';
+  nav.setAttribute('aria-label', 'Pages');
+
+  const link = (page, rel, label) => {
+    const a = document.createElement('a');
+    a.className = `mhe-page-${rel}`;
+    a.rel = rel;
+    a.href = pageHref(page.url);
+    a.dataset.mdUrl = page.url;
+    const small = document.createElement('small');
+    small.textContent = label;
+    a.appendChild(small);
+    a.appendChild(document.createTextNode(page.title));
+    return a;
+  };
+
+  if (prev) nav.appendChild(link(prev, 'prev', '← Previous'));
+  if (next) nav.appendChild(link(next, 'next', 'Next →'));
+  out.appendChild(nav);
+}
@@ -2,72 +2,46 @@
  * Slide deck helpers (Marp-like).
  *
  * Features:
- * - detectSlidesEnabled(mdText): Enable slides only when front matter contains marp/slides/mheSlides set true.
- * - splitMarkdownSlides(mdText): Split markdown into slides on '---' separators outside code fences.
- *   Front matter is returned separately and not rendered within slides.
+ * - detectSlidesEnabled(metadata): Enable slides only when front matter (parsed by lib/front-matter.js) sets
+ *   marp/slides/mheSlides to true.
+ * - splitMarkdownSlides(content): Split markdown (front matter already removed) into slides on '---' separators
+ *   outside code fences.
  * - ensureSlideStyles(addStyle): Inject minimal CSS for slide deck rendering.
- * - initSlideDeck(root): Initialize navigation (keyboard arrows, click to advance) and hash deep-linking.
+ * - initSlideDeck(root, { scope }): Initialize navigation (keyboard arrows, click to advance) and hash deep-linking.
+ *   Returns a destroy function that removes the deck's listeners and observers; the active slide is announced
+ *   with a bubbling `mhe:slide-change` event ({ index, total, slide }) on the deck element.
  *
  * Notes:
  * - This helper is renderer-agnostic: it does not depend on Marked directly. The caller should render
  *   each slide's markdown to HTML and wrap in <section class="mhe-slide">.
+ * - Several decks can live on one page: each deck owns the hash #<scope>-slide-N (#slide-N without a scope),
+ *   and keyboard navigation drives the deck that was last clicked or focused (the first deck by default).
  */
 
-/**
- * Parse YAML front matter block if present, return { frontMatter, content, flags }
- * flags: { marp?: boolean, slides?: boolean, mheSlides?: boolean }
- * This is a tolerant extractor, not a full YAML parser.
- * @param {string} md
- */
-function extractFrontMatter(md) {
-  const fmMatch = md.match(/^---\s*\n([\s\S]*?)\n---\s*\n?/);
-  if (!fmMatch) return { frontMatter: '', content: md, flags: {} };
-  const fm = fmMatch[1];
-  const content = md.slice(fmMatch[0].length);
-  const flags = {};
-  try {
-    const lines = fm.split('\n');
-    for (const l of lines) {
-      const m = l.match(/^\s*([A-Za-z0-9_-]+)\s*:\s*(.+)\s*$/);
-      if (!m) continue;
-      const k = m[1].toLowerCase();
-      let v = m[2].trim();
-      v = v.replace(/^['"]|['"]$/g, '');
-      const truthy = /^(1|true|yes|on)$/i.test(v);
-      if (k === 'marp' || k === 'slides' || k === 'mheslides') {
-        flags[k === 'mheslides' ? 'mheSlides' : k] = truthy;
-      }
-    }
-  } catch (_) {}
-  return { frontMatter: fmMatch[0], content, flags };
-}
+// Deck that receives keyboard navigation when several decks are on the page
+let activeDeck = null;
 
 /**
- * Determine whether slides should be enabled for a given markdown text.
+ * Determine whether slides should be enabled for a document.
  * - Enabled ONLY when front matter flags marp/slides/mheSlides are true.
  *   This avoids accidental activation when a document contains a horizontal rule ('---')
  *   that is not intended as a slide boundary, preventing cross-slide separation of
  *   footnote definitions and other content.
- * @param {string} md
+ * @param {Object} metadata Parsed front matter (lib/front-matter.js).
  * @returns {boolean}
  */
-export function detectSlidesEnabled(md) {
-  try {
-    const { flags } = extractFrontMatter(md);
-    return !!(flags.marp || flags.slides || flags.mheSlides);
-  } catch (_) {
-    return false;
-  }
+export function detectSlidesEnabled(metadata) {
+  const data = metadata || {};
+  return ['marp', 'slides', 'mheSlides', 'mheslides'].some((k) => /^(1|true|yes|on)$/i.test(String(data[k]).trim()));
 }
 
 /**
- * Split markdown into slides on lines that are exactly '---' (outside code fences),
- * preserving YAML front matter by keeping it attached to the first slide.
- * @param {string} md
- * @returns {{ slides: string[], frontMatter: string }}
+ * Split markdown into slides on lines that are exactly '---' (outside code fences).
+ * @param {string} md Document content without its front matter (lib/front-matter.js splitFrontMatter()).
+ * @returns {{ slides: string[] }}
  */
 export function splitMarkdownSlides(md) {
-  const { frontMatter, content } = extractFrontMatter(md);
+  const content = String(md || '');
 
   // Shield code fences
   const blocks = [];
@@ -87,9 +61,7 @@ export function splitMarkdownSlides(md) {
 
   const slides = rawParts.map(restore);
 
-  // Do not attach front matter to slides; frontMatter is returned separately to avoid rendering metadata.
-
-  return { slides, frontMatter };
+  return { slides };
 }
 
 /**
@@ -135,6 +107,7 @@ export function ensureSlideStyles(addStyle) {
       .mhe-slides .mhe-slide.two-col .mhe-col pre,
       .mhe-slides .mhe-slide.two-col .mhe-col table,
       .mhe-slides .mhe-slide.two-col .mhe-col .mermaid,
+      .mhe-slides .mhe-slide.two-col .mhe-col .mhe-graphviz,
       .mhe-slides .mhe-slide.two-col .mhe-col figure,
       .mhe-slides .mhe-slide.two-col .mhe-col img {
         break-inside: avoid;
@@ -160,42 +133,68 @@ export function ensureSlideStyles(addStyle) {
 /**
  * Initialize slide deck interactions: keyboard and click navigation, hash deep-linking.
  * @param {HTMLElement} root Element with class 'mhe-slides' containing section.mhe-slide*
+ * @param {{ scope?: string, mermaidSecurityLevel?: string, renderMermaid?: Function }} [options]
+ *   scope: hash prefix isolating this deck from other decks on the page.
+ *   mermaidSecurityLevel: Mermaid securityLevel for diagrams rendered by the deck (default 'loose';
+ *     markdown.js passes 'strict' in strict sanitize mode).
+ *   renderMermaid: (nodes) => Promise rendering the active slide's diagrams (markdown.js passes
+ *     lib/mermaid-render.js, which shows failed diagrams as error panels); without it the deck calls mermaid.run().
+ * @returns {() => void} Removes listeners and observers (no-op when there is no deck).
  */
-export function initSlideDeck(root) {
-  if (!root) return;
+export function initSlideDeck(root, { scope = '', mermaidSecurityLevel = 'loose', renderMermaid = null } = {}) {
+  if (!root) return () => {};
 
   const slides = Array.from(root.querySelectorAll('.mhe-slide'));
 
-  if (!slides.length) return;
+  if (!slides.length) return () => {};
 
-  const getIndexFromHash = () => {
-    const m = String(location.hash || '').match(/slide-(\d+)/i);
-    const n = m ? parseInt(m[1], 10) : 1;
-    return isFinite(n) && n >= 1 && n <= slides.length ? n - 1 : 0;
+  const hashPrefix = scope ? `#${scope}-slide-` : '#slide-';
+  const hashRx = new RegExp('^' + hashPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(\\d+)$', 'i');
+  // Index of the slide named by the current hash, or -1 when the hash belongs to something else
+  const indexFromHash = () => {
+    const m = String(location.hash || '').match(hashRx);
+    const n = m ? parseInt(m[1], 10) : NaN;
+    return isFinite(n) && n >= 1 && n <= slides.length ? n - 1 : -1;
   };
+  const getIndexFromHash = () => Math.max(0, indexFromHash());
 
   let idx = getIndexFromHash();
+  // Only the first deck on the page claims the location hash on load
+  const ownsHash = !activeDeck || !document.body.contains(activeDeck) || indexFromHash() >= 0;
+  if (!activeDeck || !document.body.contains(activeDeck)) activeDeck = root;
 
-  const setActive = (i, pushState = false) => {
+  let announced = -1;
+  const setActive = (i, pushState = false, updateHash = true) => {
     idx = Math.max(0, Math.min(slides.length - 1, i));
     slides.forEach((s, j) => {
       if (j === idx) s.classList.add('is-active');
       else s.classList.remove('is-active');
     });
-    const newHash = `#slide-${idx + 1}`;
+    const newHash = `${hashPrefix}${idx + 1}`;
     try {
-      if (pushState) {
-        history.replaceState(null, '', newHash);
+      if (!updateHash) {
+        // leave the location alone
+      } else if (pushState) {
+        history.replaceState(history.state, '', newHash);
       } else {
         // For initial set, avoid adding history entry
-        if (location.hash !== newHash) history.replaceState(null, '', newHash);
+        if (location.hash !== newHash) history.replaceState(history.state, '', newHash);
       }
     } catch (_) {}
-    // Request active-slide Mermaid render (handled by markdown.js)
-    try { window.dispatchEvent(new CustomEvent('mhe:render-active-mermaid')); } catch (_) {}
+    // Request active-slide Mermaid render (handled by markdown.js for the container holding this deck)
+    try { window.dispatchEvent(new CustomEvent('mhe:render-active-mermaid', { detail: { root } })); } catch (_) {}
+    if (announced !== idx) {
+      announced = idx;
+      try {
+        root.dispatchEvent(new CustomEvent('mhe:slide-change', {
+          bubbles: true,
+          detail: { index: idx, total: slides.length, slide: slides[idx] },
+        }));
+      } catch (_) {}
+    }
   };
 
-  setActive(idx, false);
+  setActive(idx, false, ownsHash);
 
   // Auto two-column evaluation utilities
   // Width threshold for enabling two-column layout (px).
@@ -231,28 +230,10 @@ export function initSlideDeck(root) {
       const nodes = Array.from(s.querySelectorAll('.mermaid'));
       if (!nodes.length) return;
 
-      // Reset nodes to their raw source if previously rendered or error state
-      nodes.forEach((node) => {
-        try {
-          const hasSVG = !!node.querySelector('svg');
-          const hasError =
-            !!node.querySelector('.error') ||
-            /Syntax error/i.test(node.textContent || '');
-          if (!hasError) return; // keep already-rendered SVGs intact
-          const raw =
-            (node.dataset && node.dataset.raw)
-              ? node.dataset.raw
-              : (node.textContent || '');
-          if (raw && raw.trim()) {
-            node.innerHTML = '';
-            node.textContent = raw;
-          }
-        } catch (_) {}
-      });
-
-      // Determine which nodes still need rendering (no SVG yet)
+      // Determine which nodes still need rendering (no SVG yet). Failed diagrams carry
+      // data-mhe-mermaid-error and keep their error panel until its Retry button is used.
       const freshNodes = nodes.filter((n) => {
-        try { return !n.querySelector('svg'); } catch (_) { return true; }
+        try { return !n.querySelector('svg') && !n.hasAttribute('data-mhe-mermaid-error'); } catch (_) { return true; }
       });
       if (!freshNodes.length) return;
 
@@ -260,10 +241,17 @@ export function initSlideDeck(root) {
       requestAnimationFrame(() => {
         requestAnimationFrame(() => {
           try {
+            const after = () => {
+              try { window.dispatchEvent(new CustomEvent('mhe:diagrams-rendered', { detail: { root } })); } catch (_) {}
+            };
+            if (typeof renderMermaid === 'function') {
+              Promise.resolve(renderMermaid(freshNodes)).then(after, after);
+              return;
+            }
             // Initialize Mermaid with current theme; safe to call multiple times
             const forceLight = (typeof window !== 'undefined') && !!window.MHE_FORCE_LIGHT_THEME;
             const isDark = !forceLight && (document.body.classList.contains('vscode-dark') || document.body.classList.contains('vscode-high-contrast'));
-            try { mermaid.initialize({ startOnLoad: false, theme: isDark ? 'dark' : 'default', securityLevel: 'loose' }); } catch (_) {}
+            try { mermaid.initialize({ startOnLoad: false, theme: isDark ? 'dark' : 'default', securityLevel: mermaidSecurityLevel }); } catch (_) {}
 
             let p = null;
             if (typeof mermaid.run === 'function') {
@@ -271,9 +259,6 @@ export function initSlideDeck(root) {
             } else if (typeof mermaid.init === 'function') {
               mermaid.init(undefined, freshNodes);
             }
-            const after = () => {
-              try { window.dispatchEvent(new CustomEvent('mhe:diagrams-rendered')); } catch (_) {}
-            };
             if (p && typeof p.then === 'function') {
               p.then(after).catch(after);
             } else {
@@ -376,7 +361,7 @@ export function initSlideDeck(root) {
           return isHeading && !hasBodyContent;
         })();
 
-        const largeVisualSel = '.mermaid, img, figure, pre, table, video, svg';
+        const largeVisualSel = '.mermaid, .mhe-graphviz, img, figure, pre, table, video, svg';
         const rightHasLargeVisual = !!right.querySelector(largeVisualSel);
 
         // If one column is almost empty, or left has only a heading while right holds a large visual,
@@ -411,7 +396,7 @@ export function initSlideDeck(root) {
       return;
     }
 
-    // Measure on original flow to correctly detect non-text objects (mermaid/images)
+    // Measure on original flow to correctly detect non-text objects (mermaid/graphviz/images)
     ensureOriginalSnapshot();
 
     // Compare content height against viewport to avoid page scrolling
@@ -420,7 +405,7 @@ export function initSlideDeck(root) {
     const contentHeight = s.scrollHeight;
 
     // Avoid two-col when a large unbreakable block would dominate or clip
-    const significantSel = 'pre, table, .mermaid, figure, img, video, svg';
+    const significantSel = 'pre, table, .mermaid, .mhe-graphviz, figure, img, video, svg';
     const blocks = Array.from(s.querySelectorAll(significantSel));
     const hasVeryLarge = blocks.some((el) => {
       try { return el.scrollHeight > available * 0.6; } catch (_) { return false; }
@@ -469,8 +454,10 @@ export function initSlideDeck(root) {
   evaluateActiveTwoCol();
 
   const onKey = (e) => {
-    if (e.defaultPrevented) return;
+    if (e.defaultPrevented || activeDeck !== root) return;
     const k = e.key;
+    // Space activates focused controls (e.g., code toolbar buttons) instead of advancing
+    if (k === ' ' && e.target && e.target.closest && e.target.closest('button,input,textarea,select,summary')) return;
     if (k === 'ArrowRight' || k === 'PageDown' || k === ' ') {
       setActive(idx + 1, true);
       observeActiveSlide();
@@ -504,25 +491,30 @@ export function initSlideDeck(root) {
   };
 
   const onHashChange = () => {
-    setActive(getIndexFromHash(), false);
+    // Hashes of headings or other decks do not move this deck
+    const i = indexFromHash();
+    if (i < 0 || i === idx) return;
+    setActive(i, false);
     observeActiveSlide();
     evaluateActiveTwoCol();
   };
 
   // Add a subtle nav hint
+  let hint = null;
   try {
-    const hint = document.createElement('div');
+    hint = document.createElement('div');
     hint.className = 'mhe-slide-nav-hint';
     hint.textContent = '← → to navigate';
     root.appendChild(hint);
   } catch (_) {}
 
-  document.addEventListener('keydown', onKey);
-  root.addEventListener('click', onClick);
-  window.addEventListener('hashchange', onHashChange);
-  window.addEventListener('resize', () => { evaluateActiveTwoCol(); });
+  const onResize = () => { evaluateActiveTwoCol(); };
+  const onActivate = () => { activeDeck = root; };
   // After Mermaid finishes rendering, refresh the original snapshots to preserve rendered diagrams
-  window.addEventListener('mhe:diagrams-rendered', () => {
+  const onDiagramsRendered = (e) => {
+    // Diagrams of another document on the page; not ours
+    const other = e && e.detail && e.detail.root;
+    if (other && !root.contains(other) && !other.contains(root)) return;
     try {
       slides.forEach((s) => {
         // Rebuild snapshot from the current DOM (flatten columns if present)
@@ -530,16 +522,39 @@ export function initSlideDeck(root) {
       });
     } catch (_) {}
     evaluateActiveTwoCol();
-  });
-  // (duplicate listener removed; snapshots and evaluation handled above)
-
-  // Cleanup if the deck is removed from DOM
-  const obs = new MutationObserver(() => {
-    if (!document.body.contains(root)) {
-      document.removeEventListener('keydown', onKey);
-      window.removeEventListener('hashchange', onHashChange);
-      try { obs.disconnect(); } catch (_) {}
-    }
+  };
+
+  document.addEventListener('keydown', onKey);
+  root.addEventListener('click', onClick);
+  root.addEventListener('pointerdown', onActivate);
+  root.addEventListener('focusin', onActivate);
+  window.addEventListener('hashchange', onHashChange);
+  window.addEventListener('resize', onResize);
+  window.addEventListener('mhe:diagrams-rendered', onDiagramsRendered);
+
+  let destroyed = false;
+  let obs = null;
+  const destroy = () => {
+    if (destroyed) return;
+    destroyed = true;
+    document.removeEventListener('keydown', onKey);
+    root.removeEventListener('click', onClick);
+    root.removeEventListener('pointerdown', onActivate);
+    root.removeEventListener('focusin', onActivate);
+    window.removeEventListener('hashchange', onHashChange);
+    window.removeEventListener('resize', onResize);
+    window.removeEventListener('mhe:diagrams-rendered', onDiagramsRendered);
+    try { if (twoColObserver) twoColObserver.disconnect(); } catch (_) {}
+    try { if (obs) obs.disconnect(); } catch (_) {}
+    try { if (hint) hint.remove(); } catch (_) {}
+    if (activeDeck === root) activeDeck = null;
+  };
+
+  // Cleanup if the deck is removed from DOM without an explicit destroy()
+  obs = new MutationObserver(() => {
+    if (!document.body.contains(root)) destroy();
   });
   try { obs.observe(document.body, { childList: true, subtree: true }); } catch (_) {}
+
+  return destroy;
 }
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Interactive task lists: clickable GFM checkboxes with persisted state and progress.
+ *
+ * Responsibilities:
+ * - createTaskListsPlugin(): the built-in 'task-lists' plugin of markdown.js (opt-in per document).
+ *   - postprocess: enables the task checkboxes (after the sanitizer disabled them), restores saved states and adds
+ *     a progress row above every task list; the first row also carries the Reset and Export actions.
+ *   - mounted: one delegated listener on the output element (toggles and actions); shows per-section progress
+ *     next to the headings in the sidebar ToC. Returns its cleanup.
+ * - applyTaskStates(md, states): markdown with the `[ ]`/`[x]` markers set from checkbox states (export).
+ *
+ * Front matter:
+ *   task-lists: interactive      (or true) makes the document's task lists clickable
+ *
+ * Notes:
+ * - State is stored in localStorage under `mhe-tasks:<markdown URL>`, one entry per item keyed by a hash of the
+ *   item's text (plus its occurrence for repeated texts), so edits elsewhere in the document keep the checks.
+ *   Only toggled items are stored: Reset returns to the states written in the markdown.
+ * - Export downloads the document (front matter included, @include directives expanded) with the current states.
+ */
+
+const STORAGE_PREFIX = 'mhe-tasks:';
+const TASK_MARKER_RX = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+)\[([ xX])\](?=[ \t]|$)/;
+const CHECKBOX_SELECTOR = 'li > input[type="checkbox"], li > p:first-child > input[type="checkbox"]';
+
+/**
+ * Short FNV-1a hash of a string.
+ * @param {string} s
+ * @returns {string}
+ */
+function hashText(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+/**
+ * Text of a task item without its nested lists.
+ * @param {HTMLElement} li
+ * @returns {string}
+ */
+function itemText(li) {
+  const copy = li.cloneNode(true);
+  copy.querySelectorAll('ul, ol').forEach((l) => l.remove());
+  return (copy.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read the saved states of a document.
+ * @param {string} key
+ * @returns {Record<string, boolean>}
+ */
+function loadStates(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Save the states of a document (removes the entry when empty).
+ * @param {string} key
+ * @param {Record<string, boolean>} states
+ * @returns {void}
+ */
+function saveStates(key, states) {
+  try {
+    if (Object.keys(states).length) localStorage.setItem(key, JSON.stringify(states));
+    else localStorage.removeItem(key);
+  } catch (_) {}
+}
+
+/**
+ * Set the task markers of markdown (in document order, fenced code skipped) from checkbox states.
+ * @param {string} md
+ * @param {boolean[]} states Checked state per task, in document order.
+ * @returns {string}
+ */
+export function applyTaskStates(md, states) {
+  let n = 0;
+  let inFence = null;
+  return String(md).split('\n').map((line) => {
+    const f = line.match(/^[ \t]*(?:>[ \t]*)*(`{3,}|~{3,})/);
+    if (f) {
+      if (!inFence) inFence = f[1];
+      else if (f[1][0] === inFence[0] && f[1].length >= inFence.length) inFence = null;
+      return line;
+    }
+    if (inFence) return line;
+    return line.replace(TASK_MARKER_RX, (m, head, mark) => {
+      const state = states[n++];
+      if (state === undefined) return m;
+      return `${head}[${state ? 'x' : ' '}]`;
+    });
+  }).join('\n');
+}
+
+/**
+ * Inject checklist styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+function ensureTaskStyles(addStyle) {
+  addStyle(
+    'mhe-task-list-styles',
+    `
+    .markdown-body .mhe-task-progress { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 0.875em; }
+    .markdown-body .mhe-task-progress progress { width: 160px; height: 8px; }
+    .markdown-body .mhe-task-count { opacity: 0.75; font-variant-numeric: tabular-nums; }
+    .markdown-body .mhe-task-btn {
+      font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+      padding: 2px 8px;
+      color: inherit;
+      background: rgba(127, 127, 127, 0.15);
+      border: 1px solid rgba(127, 127, 127, 0.35);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .markdown-body .mhe-task-btn:hover { background: rgba(127, 127, 127, 0.28); }
+    .markdown-body .mhe-task-btn:focus-visible { outline: 2px solid #0969da; outline-offset: 1px; }
+    .markdown-body input.mhe-task-checkbox { cursor: pointer; }
+    .md-sidebar-toc .mhe-toc-task-progress { margin-left: 6px; font-size: 0.8em; opacity: 0.7; font-variant-numeric: tabular-nums; }
+    .md-sidebar-toc .mhe-toc-task-progress.is-complete { color: #1a7f37; opacity: 1; }
+    @media print { .markdown-body .mhe-task-progress button { display: none; } }
+  `
+  );
+}
+
+/**
+ * Create an action button of the first progress row.
+ * @param {string} action reset | export
+ * @param {string} label
+ * @param {string} title
+ * @returns {HTMLButtonElement}
+ */
+function createButton(action, label, title) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'mhe-task-btn';
+  btn.setAttribute('data-mhe-task-action', action);
+  btn.title = title;
+  btn.textContent = label;
+  return btn;
+}
+
+/**
+ * Built-in markdown.js plugin: interactive task lists.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createTaskListsPlugin() {
+  return {
+    name: 'task-lists',
+    setup(ctx) {
+      const flag = ctx.metadata['task-lists'] !== undefined ? ctx.metadata['task-lists'] : ctx.metadata.taskLists;
+      ctx.docState.enabled = flag === true || /^(1|true|yes|on|interactive)$/i.test(String(flag).trim());
+      if (!ctx.docState.enabled) return;
+      let url = ctx.mdUrl;
+      try { url = new URL(ctx.mdUrl, document.baseURI).href; } catch (_) {}
+      ctx.docState.storageKey = STORAGE_PREFIX + url;
+      ctx.docState.saved = loadStates(ctx.docState.storageKey);
+      ctx.docState.seen = new Map();
+      ctx.docState.lists = 0;
+      try { ensureTaskStyles(ctx.addStyle); } catch (_) {}
+    },
+    postprocess(container, ctx) {
+      const state = ctx.docState;
+      if (!state.enabled) return;
+      container.querySelectorAll(CHECKBOX_SELECTOR).forEach((box) => {
+        const li = box.closest('li');
+        const text = itemText(li);
+        const count = (state.seen.get(text) || 0) + 1;
+        state.seen.set(text, count);
+        const key = count > 1 ? `${hashText(text)}-${count}` : hashText(text);
+        box.removeAttribute('disabled');
+        box.classList.add('mhe-task-checkbox');
+        box.setAttribute('data-mhe-task-key', key);
+        box.setAttribute('data-mhe-task-default', box.checked ? 'true' : 'false');
+        box.setAttribute('aria-label', text);
+        if (Object.prototype.hasOwnProperty.call(state.saved, key)) box.checked = !!state.saved[key];
+        li.classList.add('mhe-task-item');
+        li.classList.toggle('is-done', box.checked);
+      });
+
+      // One progress row per outermost task list
+      container.querySelectorAll('ul, ol').forEach((list) => {
+        if (!list.querySelector(':scope > li.mhe-task-item')) return;
+        if (list.parentElement && list.parentElement.closest('li.mhe-task-item')) return;
+        const row = document.createElement('div');
+        row.className = 'mhe-task-progress';
+        const bar = document.createElement('progress');
+        const count = document.createElement('span');
+        count.className = 'mhe-task-count';
+        count.setAttribute('aria-live', 'polite');
+        row.appendChild(bar);
+        row.appendChild(count);
+        if (state.lists++ === 0) {
+          row.appendChild(createButton('reset', 'Reset', 'Reset the checklist to the states written in the document'));
+          row.appendChild(createButton('export', 'Export', 'Download the markdown with the checked boxes'));
+        }
+        list.parentNode.insertBefore(row, list);
+      });
+    },
+    mounted(out, ctx) {
+      const state = ctx.docState;
+      if (!state.enabled) return undefined;
+      const boxes = () => Array.from(out.querySelectorAll('input.mhe-task-checkbox'));
+
+      const update = () => {
+        out.querySelectorAll('.mhe-task-progress').forEach((row) => {
+          const list = row.nextElementSibling;
+          const items = list ? Array.from(list.querySelectorAll('input.mhe-task-checkbox')) : [];
+          const done = items.filter((b) => b.checked).length;
+          const bar = row.querySelector('progress');
+          bar.max = items.length || 1;
+          bar.value = done;
+          row.querySelector('.mhe-task-count').textContent = `${done}/${items.length}`;
+        });
+        // Per-section progress in the sidebar ToC: a task counts for every heading it is nested under
+        const sections = new Map();
+        const open = [];
+        out.querySelectorAll('h1, h2, h3, h4, h5, h6, input.mhe-task-checkbox').forEach((el) => {
+          if (el.tagName === 'INPUT') {
+            open.forEach((h) => {
+              const s = sections.get(h);
+              s.total++;
+              if (el.checked) s.done++;
+            });
+            return;
+          }
+          const level = Number(el.tagName.charAt(1));
+          while (open.length && Number(open[open.length - 1].tagName.charAt(1)) >= level) open.pop();
+          open.push(el);
+          sections.set(el, { done: 0, total: 0 });
+        });
+        // This document's sidebar only (lib/toc.js marks scoped ones with data-mhe-toc-scope)
+        const scope = ctx.scope || '';
+        const aside = document.querySelector(scope
+          ? `aside.md-sidebar-toc[data-mhe-toc-scope="${scope.replace(/["\\]/g, '\\$&')}"]`
+          : 'aside.md-sidebar-toc:not([data-mhe-toc-scope])');
+        if (!aside) return;
+        sections.forEach(({ done, total }, h) => {
+          if (!h.id || !total) return;
+          aside.querySelectorAll('a[href^="#"]').forEach((a) => {
+            if (a.getAttribute('href') !== `#${h.id}`) return;
+            let badge = a.nextElementSibling;
+            if (!badge || !badge.classList.contains('mhe-toc-task-progress')) {
+              badge = document.createElement('span');
+              badge.className = 'mhe-toc-task-progress';
+              a.after(badge);
+            }
+            badge.textContent = `${done}/${total}`;
+            badge.classList.toggle('is-complete', done === total);
+          });
+        });
+      };
+
+      const onChange = (e) => {
+        const box = e.target;
+        if (!box || !box.classList || !box.classList.contains('mhe-task-checkbox') || !out.contains(box)) return;
+        const key = box.getAttribute('data-mhe-task-key');
+        const saved = loadStates(state.storageKey);
+        if (String(box.checked) === box.getAttribute('data-mhe-task-default')) delete saved[key];
+        else saved[key] = box.checked;
+        saveStates(state.storageKey, saved);
+        box.closest('li').classList.toggle('is-done', box.checked);
+        update();
+      };
+
+      const onClick = (e) => {
+        const btn = e.target && e.target.closest ? e.target.closest('[data-mhe-task-action]') : null;
+        if (!btn || !out.contains(btn)) return;
+        const action = btn.getAttribute('data-mhe-task-action');
+        if (action === 'reset') {
+          saveStates(state.storageKey, {});
+          boxes().forEach((b) => {
+            b.checked = b.getAttribute('data-mhe-task-default') === 'true';
+            b.closest('li').classList.toggle('is-done', b.checked);
+          });
+          update();
+        } else if (action === 'export') {
+          const md = applyTaskStates(`${ctx.frontMatter || ''}${ctx.markdown}`, boxes().map((b) => b.checked));
+          let name = 'checklist.md';
+          try {
+            const last = new URL(ctx.mdUrl, document.baseURI).pathname.split('/').pop();
+            if (last && /\.(md|markdown)$/i.test(last)) name = decodeURIComponent(last);
+          } catch (_) {}
+          const href = URL.createObjectURL(new Blob([md], { type: 'text/markdown;charset=utf-8' }));
+          const a = document.createElement('a');
+          a.href = href;
+          a.download = name;
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          setTimeout(() => URL.revokeObjectURL(href), 0);
+        }
+      };
+
+      update();
+      out.addEventListener('change', onChange);
+      out.addEventListener('click', onClick);
+      return () => {
+        out.removeEventListener('change', onChange);
+        out.removeEventListener('click', onClick);
+      };
+    },
+  };
+}
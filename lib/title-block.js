@@ -0,0 +1,216 @@
+/**
+ * Title block (cover) rendered from front matter metadata.
+ *
+ * Responsibilities:
+ * - createTitleBlockPlugin({ enabled }): the built-in 'title-block' plugin of markdown.js.
+ *   - preprocess: puts a placeholder (and the abstract's markdown between markers) at the start of the document,
+ *     so the abstract is parsed and post-processed like the rest of the document (math, footnotes, ...).
+ *   - postprocess: replaces the placeholder with header.mhe-title-block.
+ * - titleBlockEnabled(metadata, enabled): whether a document gets a title block (markdown.js adds a title slide
+ *   in slides mode when it does).
+ * - formatDocumentDate(value, lang): the front matter date formatted for the document language.
+ *
+ * Front matter:
+ *   title: Quarterly report            (required)
+ *   subtitle: Q3 2024
+ *   author:                            a name, a list of names, or people with affiliation(s), email
+ *     - name: Ada Lovelace
+ *       affiliation: Analytical Engines Ltd.
+ *   date: 2024-10-01                   YYYY-MM-DD (or a full ISO date/time, or `today`); other text as is
+ *   abstract: |                        markdown
+ *     Summary of the *results*.
+ *   abstract-title: Summary            (default "Abstract")
+ *   lang: de                           date format language (default: <html lang>, then the browser's)
+ *   title-block: true                  show the title block; defaults to the page setting (window.MHE_TITLE_BLOCK,
+ *                                      boot data-title-block), which defaults to false
+ *
+ * Notes:
+ * - Colors and spacing live in lib/github-theme.js with the other theme overrides.
+ * - All metadata is inserted as text; only the abstract is markdown.
+ */
+
+const TITLE_PLACEHOLDER = '%%MHE_TITLE_BLOCK%%';
+const ABSTRACT_OPEN = '%%MHE_ABSTRACT_OPEN%%';
+const ABSTRACT_CLOSE = '%%MHE_ABSTRACT_CLOSE%%';
+
+/**
+ * Truthiness of a flag value (boolean, or 1/true/yes/on).
+ * @param {*} v
+ * @returns {boolean}
+ */
+function isTruthy(v) {
+  return v === true || /^(1|true|yes|on)$/i.test(String(v).trim());
+}
+
+/**
+ * Non-empty text of a scalar metadata value.
+ * @param {*} v
+ * @returns {string}
+ */
+function text(v) {
+  return v === undefined || v === null || typeof v === 'object' ? '' : String(v).trim();
+}
+
+/**
+ * Whether a document gets a title block: it needs a `title`; front matter `title-block` overrides the page default.
+ * @param {Object} metadata Parsed front matter (lib/front-matter.js).
+ * @param {*} [enabled] Page default (boolean or 1/true/yes/on).
+ * @returns {boolean}
+ */
+export function titleBlockEnabled(metadata, enabled) {
+  const data = metadata || {};
+  if (!text(data.title)) return false;
+  const own = data['title-block'] !== undefined ? data['title-block'] : data.titleBlock;
+  return own !== undefined && own !== null ? isTruthy(own) : isTruthy(enabled);
+}
+
+/**
+ * Format the front matter date for a language.
+ * @param {*} value `YYYY-MM-DD`, an ISO date/time, `today`, or any other text (returned as is).
+ * @param {string} [lang] BCP 47 language tag (default: the browser's).
+ * @returns {{ text: string, iso: string }} iso is '' when the value is not a date.
+ */
+export function formatDocumentDate(value, lang) {
+  const raw = text(value);
+  let date = null;
+  const day = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (/^today$/i.test(raw)) date = new Date();
+  // A calendar date is local (new Date('2024-10-01') would be UTC midnight, the day before in the Americas)
+  else if (day) date = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+  else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(raw)) date = new Date(raw.replace(' ', 'T'));
+  if (!date || isNaN(date.getTime())) return { text: raw, iso: '' };
+  const pad = (n) => String(n).padStart(2, '0');
+  const iso = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const options = { year: 'numeric', month: 'long', day: 'numeric' };
+  let formatted = iso;
+  try {
+    formatted = new Intl.DateTimeFormat(lang || undefined, options).format(date);
+  } catch (_) {
+    // Invalid language tag: fall back to the browser's language
+    try { formatted = new Intl.DateTimeFormat(undefined, options).format(date); } catch (_) {}
+  }
+  return { text: formatted, iso };
+}
+
+/**
+ * Normalize `author`/`authors` into people.
+ * @param {*} value
+ * @returns {Array<{ name: string, affiliations: string[], email: string }>}
+ */
+function authorsOf(value) {
+  return [].concat(value === undefined || value === null ? [] : value)
+    .map((a) => {
+      if (!a || typeof a !== 'object') return { name: text(a), affiliations: [], email: '' };
+      const aff = a.affiliations !== undefined ? a.affiliations : a.affiliation;
+      return {
+        name: text(a.name),
+        affiliations: [].concat(aff === undefined || aff === null ? [] : aff)
+          .map((x) => (x && typeof x === 'object' ? text(x.name) : text(x)))
+          .filter(Boolean),
+        email: text(a.email),
+      };
+    })
+    .filter((a) => a.name);
+}
+
+/**
+ * Build the title block header (the abstract section is filled in by the caller).
+ * @param {Object} data Parsed front matter.
+ * @param {string} lang
+ * @returns {HTMLElement}
+ */
+function createTitleBlock(data, lang) {
+  const el = (tag, className, content) => {
+    const node = document.createElement(tag);
+    node.className = className;
+    if (content) node.textContent = content;
+    return node;
+  };
+  const header = el('header', 'mhe-title-block');
+  header.appendChild(el('h1', 'mhe-title', text(data.title)));
+  if (text(data.subtitle)) header.appendChild(el('p', 'mhe-subtitle', text(data.subtitle)));
+
+  const authors = authorsOf(data.author !== undefined ? data.author : data.authors);
+  if (authors.length) {
+    const list = el('div', 'mhe-authors');
+    authors.forEach((a) => {
+      const person = el('div', 'mhe-author');
+      person.appendChild(el('span', 'mhe-author-name', a.name));
+      a.affiliations.forEach((aff) => person.appendChild(el('span', 'mhe-author-affiliation', aff)));
+      if (a.email) {
+        const mail = el('a', 'mhe-author-email', a.email);
+        mail.href = `mailto:${a.email}`;
+        person.appendChild(mail);
+      }
+      list.appendChild(person);
+    });
+    header.appendChild(list);
+  }
+
+  const date = formatDocumentDate(data.date, lang);
+  if (date.text) {
+    const p = el('p', 'mhe-date');
+    const time = el(date.iso ? 'time' : 'span', '', date.text);
+    if (date.iso) time.setAttribute('datetime', date.iso);
+    p.appendChild(time);
+    header.appendChild(p);
+  }
+  return header;
+}
+
+/**
+ * Built-in markdown.js plugin: title block from front matter.
+ * @param {{ enabled?: * }} [options] enabled: page default (window.MHE_TITLE_BLOCK), overridden by front matter.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createTitleBlockPlugin({ enabled } = {}) {
+  return {
+    name: 'title-block',
+    setup(ctx) {
+      ctx.docState.enabled = titleBlockEnabled(ctx.metadata, enabled);
+    },
+    preprocess(md, ctx) {
+      if (!ctx.docState.enabled || ctx.unit.index !== 0) return md;
+      const abstract = typeof ctx.metadata.abstract === 'string' ? ctx.metadata.abstract.trim() : '';
+      const parts = [TITLE_PLACEHOLDER];
+      if (abstract) parts.push(ABSTRACT_OPEN, abstract, ABSTRACT_CLOSE);
+      return `${parts.join('\n\n')}\n\n${md}`;
+    },
+    postprocess(container, ctx) {
+      if (!ctx.docState.enabled || ctx.unit.index !== 0) return;
+      const paragraphs = Array.from(container.querySelectorAll('p'));
+      const marker = (value) => paragraphs.find((p) => p.textContent.trim() === value);
+      const placeholder = marker(TITLE_PLACEHOLDER);
+      if (!placeholder) return;
+      const data = ctx.metadata;
+      let lang = text(data.lang) || text(data.language);
+      if (!lang) {
+        try { lang = document.documentElement.lang || ''; } catch (_) {}
+      }
+      const header = createTitleBlock(data, lang);
+
+      const open = marker(ABSTRACT_OPEN);
+      const close = marker(ABSTRACT_CLOSE);
+      if (open) {
+        const section = document.createElement('section');
+        section.className = 'mhe-abstract';
+        const title = document.createElement('p');
+        title.className = 'mhe-abstract-title';
+        title.textContent = text(data['abstract-title']) || text(data.abstractTitle) || 'Abstract';
+        section.appendChild(title);
+        let node = open.nextSibling;
+        while (node && node !== close) {
+          const next = node.nextSibling;
+          section.appendChild(node);
+          node = next;
+        }
+        header.appendChild(section);
+        open.remove();
+        if (close) close.remove();
+      }
+      placeholder.replaceWith(header);
+      // In slides mode the block is alone on the title slide markdown.js adds
+      if (ctx.slides) container.classList.add('mhe-title-slide');
+    },
+  };
+}
@@ -3,14 +3,22 @@
  *
  * Responsibilities:
  * - ensureTocStyles({ moduleUrl, loadCSS }): load local ToC CSS (lib/toc.css) once.
- * - initSidebarToc(container): build a collapsible sidebar ToC from headings within a given container,
+ * - initSidebarToc(container, { scope }): build a collapsible sidebar ToC from headings within a given container,
  *   ensure stable ids, and highlight the current section based on scroll position.
+ * - slugify(text)/createSlugger(): GitHub-compatible, Unicode-aware heading slugs (duplicates get -1, -2, ...).
+ * - createHeadingAnchorsPlugin(): the built-in 'anchors' plugin of markdown.js (heading ids, {#custom-id},
+ *   hover "¶" permalinks).
+ * - captureTocState(scope)/restoreTocState(state, scope): keep expanded/collapsed groups across re-renders (watch mode).
+ * - destroySidebarToc(scope): remove a ToC and its listeners when the document is unmounted.
  *
  * Notes:
  * - This module replaces the legacy IIFE; it is renderer-agnostic and expects the caller
  *   to provide the root markdown container element where headings are located.
  * - The sidebar is appended to document.body (outside the markdown container).
  * - ToC visibility is toggled via a body attribute (html-show-sidebar-toc) persisted in localStorage.
+ * - Scoped ToCs (several documents on one page) get their own sidebar, toggle button and persisted state:
+ *   ids are suffixed with -<scope>, visibility uses the aside's is-open class instead of the body attribute,
+ *   and heading ids are prefixed with <scope>- so anchors do not collide between documents.
  */
 
 const LEVELS = { H1: 1, H2: 2, H3: 3, H4: 4, H5: 5, H6: 6 };
@@ -19,6 +27,62 @@ const TOC_NAV_ID = 'generated-toc';
 const TOC_BTN_ID = 'sidebar-toc-btn';
 const STORAGE_KEY = 'html-show-sidebar-toc';
 
+// Cleanup for listeners bound by the previous initSidebarToc() call, per scope (re-render safety)
+const teardowns = new Map();
+
+/**
+ * Resolve element ids and the storage key for a ToC scope ('' is the page-level default).
+ * @param {string} scope
+ * @returns {{ navId: string, btnId: string, storageKey: string }}
+ */
+function scopeIds(scope) {
+  const suffix = scope ? `-${scope}` : '';
+  return {
+    navId: TOC_NAV_ID + suffix,
+    btnId: TOC_BTN_ID + suffix,
+    storageKey: scope ? `${STORAGE_KEY}:${scope}` : STORAGE_KEY,
+  };
+}
+
+/**
+ * Find the sidebar element of a scope.
+ * @param {string} scope
+ * @returns {HTMLElement|null}
+ */
+function findAside(scope) {
+  const sel = scope
+    ? `aside.md-sidebar-toc[data-mhe-toc-scope="${scope.replace(/["\\]/g, '\\$&')}"]`
+    : 'aside.md-sidebar-toc:not([data-mhe-toc-scope])';
+  return document.querySelector(sel);
+}
+
+/**
+ * Whether the sidebar of a scope is shown.
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function isShown(scope) {
+  if (!scope) return document.body.hasAttribute(BODY_ATTR);
+  const aside = findAside(scope);
+  return !!(aside && aside.classList.contains('is-open'));
+}
+
+/**
+ * Show or hide the sidebar of a scope.
+ * @param {string} scope
+ * @param {boolean} show
+ * @returns {void}
+ */
+function setShown(scope, show) {
+  if (!scope) {
+    if (show) document.body.setAttribute(BODY_ATTR, '');
+    else document.body.removeAttribute(BODY_ATTR);
+    return;
+  }
+  const aside = findAside(scope);
+  if (aside) aside.classList.toggle('is-open', !!show);
+}
+
 /**
  * Load sidebar ToC CSS from local file using provided resolver/loader.
  * @param {{ moduleUrl: (p:string)=>string, loadCSS: (href:string)=>void }} deps
@@ -34,23 +98,163 @@ export function ensureTocStyles({ moduleUrl, loadCSS }) {
 }
 
 /**
- * Ensure every heading has a stable id (slug from text or a random fallback).
+ * GitHub-compatible slug of a heading text: lowercase, Unicode letters/digits/marks kept, punctuation and
+ * symbols (including emoji) removed, spaces turned into hyphens.
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Create a slugger that keeps ids unique within one document (GitHub style: slug, slug-1, slug-2, ...).
+ * @param {{ allowed?: (id: string) => boolean }} [options]
+ *   allowed: ids that may be used; a refused slug moves into GitHub's namespace for user ids
+ *   (`mhe_x` -> `user-content-mhe_x`).
+ * @returns {{ slug: (text: string) => string, reserve: (id: string) => void }}
+ */
+export function createSlugger({ allowed = () => true } = {}) {
+  const seen = new Map();
+  const reserve = (id) => {
+    if (!seen.has(id)) seen.set(id, 0);
+  };
+  const slug = (text) => {
+    let base = slugify(text) || 'section';
+    if (!allowed(base)) base = `user-content-${base}`;
+    let id = base;
+    if (seen.has(base)) {
+      let n = seen.get(base);
+      do {
+        n += 1;
+        id = `${base}-${n}`;
+      } while (seen.has(id));
+      seen.set(base, n);
+    }
+    seen.set(id, 0);
+    return id;
+  };
+  return { slug, reserve };
+}
+
+/**
+ * Visible heading text: without the permalink anchor of the 'anchors' plugin or KaTeX's hidden MathML copy.
+ * @param {HTMLElement} h
+ * @returns {string}
+ */
+function headingText(h) {
+  if (!h.querySelector('.mhe-heading-anchor, .katex-mathml')) return (h.textContent || '').trim();
+  const copy = h.cloneNode(true);
+  copy.querySelectorAll('.mhe-heading-anchor, .katex-mathml').forEach((el) => el.remove());
+  return (copy.textContent || '').trim();
+}
+
+/**
+ * Ensure every heading has a stable id (GitHub-style slug, unique within the container).
+ * Headings that already have an id (explicit {#id} or the 'anchors' plugin) keep it.
  * @param {HTMLElement[]} headings
+ * @param {string} [idPrefix=''] Prefix for generated ids (scoped documents).
+ * @param {(id: string) => boolean} [idAllowed] Whether a generated id (prefix included) may be used.
  * @returns {HTMLElement[]}
  */
-function ensureIds(headings) {
+function ensureIds(headings, idPrefix = '', idAllowed = () => true) {
+  const slugger = createSlugger({ allowed: (id) => idAllowed(idPrefix + id) });
   headings.forEach((h) => {
-    const text = (h.textContent || '').trim();
-    if (!h.id) {
-      const id = text.toLowerCase()
-        .replace(/\s+/g, '-')
-        .replace(/[^\w\-]+/g, '');
-      h.id = id || `section-${Math.random().toString(36).slice(2)}`;
-    }
+    if (h.id) slugger.reserve(idPrefix && h.id.startsWith(idPrefix) ? h.id.slice(idPrefix.length) : h.id);
+  });
+  headings.forEach((h) => {
+    if (!h.id) h.id = idPrefix + slugger.slug(headingText(h));
   });
   return headings;
 }
 
+/**
+ * Inject permalink anchor styles.
+ * @param {(id: string, css: string) => void} addStyle
+ * @returns {void}
+ */
+function ensureAnchorStyles(addStyle) {
+  addStyle(
+    'mhe-heading-anchor-styles',
+    `
+    .markdown-body .mhe-heading-anchor {
+      margin-left: 0.3em;
+      font-weight: 400;
+      text-decoration: none;
+      opacity: 0;
+      transition: opacity 120ms ease;
+    }
+    .markdown-body :is(h1, h2, h3, h4, h5, h6):hover > .mhe-heading-anchor,
+    .markdown-body .mhe-heading-anchor:focus-visible { opacity: 0.6; }
+    .markdown-body .mhe-heading-anchor:hover { opacity: 1; }
+    @media print { .markdown-body .mhe-heading-anchor { display: none; } }
+  `
+  );
+}
+
+/**
+ * Built-in markdown.js plugin 'anchors': heading ids and hover permalinks.
+ * - Ids are GitHub-compatible slugs, unique across the whole document (slides included) and prefixed with
+ *   ctx.idPrefix; `## Title {#custom-id}` sets the id explicitly.
+ * - Ids are set after sanitizing, so they go through ctx.sanitizer.idAllowed (ids naming our window globals,
+ *   `mhe_*` and `__*`, are refused): a refused explicit id falls back to the slug, a refused slug is namespaced
+ *   (`user-content-mhe_x`).
+ * - Each heading gets a "¶" link; clicking it copies the permalink (page URL + #id) and jumps to the heading.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createHeadingAnchorsPlugin() {
+  return {
+    name: 'anchors',
+    setup(ctx) {
+      const idAllowed = ctx.sanitizer && ctx.sanitizer.idAllowed;
+      ctx.docState.idAllowed = (id) => !idAllowed || idAllowed(ctx.idPrefix + id);
+      ctx.docState.slugger = createSlugger({ allowed: ctx.docState.idAllowed });
+      try { ensureAnchorStyles(ctx.addStyle); } catch (_) {}
+    },
+    postprocess(container, ctx) {
+      const slugger = ctx.docState.slugger;
+      const headings = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+      // Explicit ids first, so generated slugs never take them
+      const explicit = new Map();
+      headings.forEach((h) => {
+        const last = h.lastChild;
+        const m = last && last.nodeType === 3 ? last.nodeValue.match(/\s*\{#([^\s{}#]+)\}\s*$/) : null;
+        if (!m) return;
+        last.nodeValue = last.nodeValue.slice(0, m.index);
+        if (!ctx.docState.idAllowed(m[1])) return;
+        explicit.set(h, m[1]);
+        slugger.reserve(m[1]);
+      });
+      headings.forEach((h) => {
+        const id = explicit.has(h) ? explicit.get(h) : slugger.slug(headingText(h));
+        h.id = ctx.idPrefix + id;
+        const a = document.createElement('a');
+        a.className = 'mhe-heading-anchor';
+        a.href = `#${encodeURIComponent(h.id)}`;
+        a.setAttribute('aria-label', `Permalink: ${headingText(h)}`);
+        a.textContent = '¶';
+        h.appendChild(a);
+      });
+    },
+    mounted(out) {
+      const onClick = (e) => {
+        const a = e.target && e.target.closest ? e.target.closest('a.mhe-heading-anchor') : null;
+        if (!a || !out.contains(a)) return;
+        const url = new URL(a.getAttribute('href'), location.href).href;
+        try {
+          if (navigator.clipboard && window.isSecureContext) navigator.clipboard.writeText(url).catch(() => {});
+        } catch (_) {}
+      };
+      out.addEventListener('click', onClick);
+      return () => out.removeEventListener('click', onClick);
+    },
+  };
+}
+
 /**
  * Build a nested tree from headings based on their level.
  * @param {HTMLElement[]} headings
@@ -61,7 +265,7 @@ function buildTree(headings) {
   const stack = [root];
   headings.forEach((h) => {
     const level = LEVELS[h.tagName] || 6;
-    const node = { level, text: (h.textContent || '').trim(), id: h.id, children: [] };
+    const node = { level, text: headingText(h), id: h.id, children: [] };
     while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
     stack[stack.length - 1].children.push(node);
     stack.push(node);
@@ -102,16 +306,23 @@ function renderNodes(nodes) {
 
 /**
  * Create or reuse the sidebar toggle button.
+ * Scoped buttons stack below the existing ones so every document keeps a reachable toggle.
+ * @param {string} [scope='']
+ * @param {string} [label] Document label shown in the tooltip of scoped buttons.
  * @returns {HTMLElement} button-like div
  */
-function createToggleButton() {
-  let btn = document.getElementById(TOC_BTN_ID);
+function createToggleButton(scope = '', label = '') {
+  const { btnId } = scopeIds(scope);
+  let btn = document.getElementById(btnId);
   if (!btn) {
+    const stacked = document.querySelectorAll('.mhe-toc-btn').length;
     btn = document.createElement('div');
-    btn.id = TOC_BTN_ID;
-    btn.setAttribute('aria-label', 'Toggle Table of Contents');
-    btn.setAttribute('title', 'Tampilkan/Sembunyikan Daftar Isi');
+    btn.id = btnId;
+    btn.className = 'mhe-toc-btn';
+    btn.setAttribute('aria-label', label ? `Toggle Table of Contents: ${label}` : 'Toggle Table of Contents');
+    btn.setAttribute('title', label ? `Tampilkan/Sembunyikan Daftar Isi: ${label}` : 'Tampilkan/Sembunyikan Daftar Isi');
     btn.textContent = '☰';
+    if (stacked) btn.style.top = `${12 + stacked * 44}px`;
     document.body.appendChild(btn);
   }
   return btn;
@@ -119,21 +330,24 @@ function createToggleButton() {
 
 /**
  * Create or reuse the sidebar container and nav element.
+ * @param {string} [scope='']
  * @returns {HTMLElement} nav element
  */
-function createSidebar() {
-  let aside = document.querySelector('aside.md-sidebar-toc');
-  let nav = document.getElementById(TOC_NAV_ID);
+function createSidebar(scope = '') {
+  const { navId } = scopeIds(scope);
+  let aside = findAside(scope);
+  let nav = document.getElementById(navId);
 
   if (!aside) {
     aside = document.createElement('aside');
     aside.className = 'md-sidebar-toc';
+    if (scope) aside.setAttribute('data-mhe-toc-scope', scope);
     document.body.appendChild(aside);
   }
   if (!nav) {
     nav = document.createElement('nav');
     nav.className = 'md-toc';
-    nav.id = TOC_NAV_ID;
+    nav.id = navId;
     aside.appendChild(nav);
   }
   return nav;
@@ -141,37 +355,36 @@ function createSidebar() {
 
 /**
  * Restore persisted visibility state for the sidebar ToC.
+ * @param {string} [scope='']
  * @returns {void}
  */
-function restoreState() {
+function restoreState(scope = '') {
   try {
-    const show = localStorage.getItem(STORAGE_KEY) === 'true';
-    if (show) document.body.setAttribute(BODY_ATTR, '');
+    const show = localStorage.getItem(scopeIds(scope).storageKey) === 'true';
+    if (show) setShown(scope, true);
   } catch (_) {
     // localStorage might be unavailable; ignore
   }
 }
 
 /**
- * Wire toggle button to body attribute and persistence.
+ * Wire toggle button to the sidebar visibility and persistence.
  * @param {HTMLElement} btn
+ * @param {string} [scope='']
  * @returns {void}
  */
-function setupToggle(btn) {
+function setupToggle(btn, scope = '') {
+  // The button is reused across re-renders; bind only once
+  if (btn.__mheToggleBound) return;
+  btn.__mheToggleBound = true;
+  const { storageKey } = scopeIds(scope);
   btn.addEventListener('click', () => {
-    const isShown = document.body.hasAttribute(BODY_ATTR);
+    const shown = isShown(scope);
+    setShown(scope, !shown);
     try {
-      if (isShown) {
-        document.body.removeAttribute(BODY_ATTR);
-        localStorage.setItem(STORAGE_KEY, 'false');
-      } else {
-        document.body.setAttribute(BODY_ATTR, '');
-        localStorage.setItem(STORAGE_KEY, 'true');
-      }
+      localStorage.setItem(storageKey, shown ? 'false' : 'true');
     } catch (_) {
       // ignore storage errors
-      if (isShown) document.body.removeAttribute(BODY_ATTR);
-      else document.body.setAttribute(BODY_ATTR, '');
     }
   });
 }
@@ -180,6 +393,7 @@ function setupToggle(btn) {
  * Setup live highlight of current section in the ToC.
  * @param {HTMLElement[]} headings
  * @param {HTMLElement} tocEl
+ * @returns {() => void} Removes the listeners.
  */
 function setupHighlight(headings, tocEl) {
   let lastActiveId = null;
@@ -188,9 +402,11 @@ function setupHighlight(headings, tocEl) {
     if (lastActiveId === id) return;
     // Clear previous actives
     tocEl.querySelectorAll('a.active').forEach((a) => a.classList.remove('active'));
-    // Set new active
+    // Set new active; ids may hold any character, so compare the attribute instead of building a selector
     if (id) {
-      tocEl.querySelectorAll('a[href="#' + id + '"]').forEach((a) => a.classList.add('active'));
+      tocEl.querySelectorAll('a[href^="#"]').forEach((a) => {
+        if (a.getAttribute('href') === `#${id}`) a.classList.add('active');
+      });
     }
     lastActiveId = id;
   }
@@ -232,57 +448,74 @@ function setupHighlight(headings, tocEl) {
   // Initialize and bind listeners (throttled via rAF)
   computeActive();
   let ticking = false;
-  window.addEventListener(
-    'scroll',
-    () => {
-      if (!ticking) {
-        window.requestAnimationFrame(() => {
-          computeActive();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    },
-    { passive: true }
-  );
+  const onScroll = () => {
+    if (!ticking) {
+      window.requestAnimationFrame(() => {
+        computeActive();
+        ticking = false;
+      });
+      ticking = true;
+    }
+  };
+  window.addEventListener('scroll', onScroll, { passive: true });
 
   window.addEventListener('resize', computeActive);
 
   // Update active link on hash changes (e.g., deep-linking or navigation)
-  window.addEventListener('hashchange', () => {
-    const id = String(location.hash || '').replace(/^#/, '');
+  // (location.hash is percent-encoded; heading ids are Unicode)
+  const onHashChange = () => {
+    let id = String(location.hash || '').replace(/^#/, '');
+    try { id = decodeURIComponent(id); } catch (_) {}
     setActive(id);
-  });
+  };
+  window.addEventListener('hashchange', onHashChange);
+
+  return () => {
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', computeActive);
+    window.removeEventListener('hashchange', onHashChange);
+  };
 }
 
 /**
  * Initialize the sidebar ToC for headings inside the given container.
  * Excludes any heading with id "daftar-isi" or text "Daftar Isi".
- * Safe to call multiple times; it will re-render the ToC content.
+ * Safe to call multiple times; it will re-render the ToC content and replace the previous listeners.
  *
  * @param {HTMLElement} container Root element containing the rendered markdown (e.g., #outputId with 'markdown-body' class)
+ * @param {{ scope?: string, label?: string, idAllowed?: (id: string) => boolean }} [options]
+ *   scope: isolates this ToC from other documents on the page (default '' = page-level sidebar).
+ *   label: document label for the scoped toggle button tooltip.
+ *   idAllowed: check for the ids given to headings without one (markdown.js passes the sanitizer's).
  * @returns {void}
  */
-export function initSidebarToc(container) {
+export function initSidebarToc(container, { scope = '', label = '', idAllowed } = {}) {
   if (!container || !(container instanceof HTMLElement)) return;
 
-  restoreState();
+  if (teardowns.has(scope)) {
+    try { teardowns.get(scope)(); } catch (_) {}
+    teardowns.delete(scope);
+  }
+
+  const btn = createToggleButton(scope, label);
+  setupToggle(btn, scope);
 
-  const btn = createToggleButton();
-  setupToggle(btn);
+  const tocNav = createSidebar(scope);
 
-  const tocNav = createSidebar();
+  restoreState(scope);
 
   // Collect and ensure IDs from headings inside the provided container
   const allHeadings = ensureIds(
-    Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6')),
+    scope ? `${scope}-` : '',
+    idAllowed
   );
 
   // Exclude the inline "Daftar Isi" section from the sidebar ToC
   const headings = allHeadings.filter(
     (h) =>
       h.id !== 'daftar-isi' &&
-      (h.textContent || '').trim().toLowerCase() !== 'daftar isi'
+      headingText(h).toLowerCase() !== 'daftar isi'
   );
 
   const tree = buildTree(headings);
@@ -292,14 +525,14 @@ export function initSidebarToc(container) {
   tocNav.appendChild(renderNodes(tree));
 
   // Live highlight
-  setupHighlight(headings, tocNav);
+  const cleanups = [setupHighlight(headings, tocNav)];
 
   // Slides-aware ToC navigation: if a slide deck exists, activate the slide containing target heading
   try {
-    const deck = document.querySelector('.mhe-slides');
+    const deck = container.querySelector('.mhe-slides');
     if (deck) {
       const slides = Array.from(deck.querySelectorAll('.mhe-slide'));
-      tocNav.addEventListener('click', (e) => {
+      const onTocClick = (e) => {
         const a = e.target && e.target.closest('a[href^="#"]');
         if (!a) return;
         const hash = a.getAttribute('href') || '';
@@ -313,13 +546,75 @@ export function initSidebarToc(container) {
 
         // Intercept to switch slides and then scroll to the heading
         e.preventDefault();
-        try { location.hash = `#slide-${idx + 1}`; } catch (_) {}
+        try { location.hash = scope ? `#${scope}-slide-${idx + 1}` : `#slide-${idx + 1}`; } catch (_) {}
         // After initSlideDeck's hashchange handler activates the slide, scroll to the heading
         setTimeout(() => {
           try { target.scrollIntoView({ block: 'start', behavior: 'smooth' }); } catch (_) {}
         }, 60);
-      });
+      };
+      tocNav.addEventListener('click', onTocClick);
+      cleanups.push(() => tocNav.removeEventListener('click', onTocClick));
     }
   } catch (_) {}
 
-}
\ No newline at end of file
+  teardowns.set(scope, () => cleanups.forEach((fn) => fn()));
+
+}
+
+/**
+ * Remove the sidebar ToC of a scope: release its listeners and remove the sidebar and toggle button.
+ * Used when a rendered document is destroyed (markdown.js controller.destroy()).
+ * @param {string} [scope='']
+ * @returns {void}
+ */
+export function destroySidebarToc(scope = '') {
+  if (teardowns.has(scope)) {
+    try { teardowns.get(scope)(); } catch (_) {}
+    teardowns.delete(scope);
+  }
+  try {
+    const aside = findAside(scope);
+    if (aside) aside.remove();
+    const btn = document.getElementById(scopeIds(scope).btnId);
+    if (btn) btn.remove();
+    if (!scope) document.body.removeAttribute(BODY_ATTR);
+  } catch (_) {}
+}
+
+/**
+ * Capture which ToC groups are expanded, keyed by their link target.
+ * @param {string} [scope='']
+ * @returns {Record<string, boolean>} Map of '#id' -> open flag.
+ */
+export function captureTocState(scope = '') {
+  const state = {};
+  try {
+    const nav = document.getElementById(scopeIds(scope).navId);
+    if (!nav) return state;
+    nav.querySelectorAll('details').forEach((d) => {
+      const a = d.querySelector(':scope > summary > a');
+      if (a) state[a.getAttribute('href') || ''] = d.open;
+    });
+  } catch (_) {}
+  return state;
+}
+
+/**
+ * Restore expanded/collapsed ToC groups captured by captureTocState().
+ * Groups that did not exist before keep their default state.
+ * @param {Record<string, boolean>} state
+ * @param {string} [scope='']
+ * @returns {void}
+ */
+export function restoreTocState(state, scope = '') {
+  if (!state) return;
+  try {
+    const nav = document.getElementById(scopeIds(scope).navId);
+    if (!nav) return;
+    nav.querySelectorAll('details').forEach((d) => {
+      const a = d.querySelector(':scope > summary > a');
+      const key = a ? (a.getAttribute('href') || '') : '';
+      if (key in state) d.open = !!state[key];
+    });
+  } catch (_) {}
+}
@@ -0,0 +1,170 @@
+/**
+ * Resolve relative URLs of the rendered document against the markdown file's URL.
+ *
+ * Responsibilities:
+ * - createUrlsPlugin(): the built-in 'urls' plugin of markdown.js; postprocess rewrites relative src/href/srcset/
+ *   poster attributes (images, links, video/audio sources) to absolute URLs based on ctx.mdUrl, so documents
+ *   in other directories than the HTML page keep working.
+ * - resolveRelativeUrl(value, baseUrl): absolute URL for a relative reference, or null to keep the value.
+ * - rebaseMarkdownUrls(md, fromUrl, toUrl): rewrite relative link/image targets in markdown source written for
+ *   fromUrl so they resolve identically from toUrl (markdown.js passes it to lib/include.js, so included files
+ *   keep resolving against their own location).
+ * - rewriteMarkdownLink(url, rule): apply the optional *.md link rewrite.
+ *
+ * Link rewrite rule (ctx.rewriteLinks; renderMarkdown option rewriteLinks, window.MHE_REWRITE_LINKS,
+ * boot data-rewrite-links):
+ * - 'html': relative links to `name.md`/`name.markdown` point to `name.html` (exported wrapper pages).
+ * - function (absoluteUrl) => string: custom mapping (JS options only).
+ * The rule applies to relative links only; with the router (lib/router.js) enabled, leave it unset so .md links
+ * keep rendering in place.
+ *
+ * Notes:
+ * - Fragments (#id), absolute URLs (any scheme, //host) and empty values are left untouched.
+ */
+
+const KEEP_RX = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const MD_LINK_RX = /\.(?:md|markdown)$/i;
+// Element -> attributes holding a single URL
+const URL_ATTRS = {
+  a: ['href'],
+  img: ['src'],
+  source: ['src'],
+  video: ['src', 'poster'],
+  audio: ['src'],
+  track: ['src'],
+  iframe: ['src'],
+};
+
+/**
+ * Resolve a relative URL reference against a base URL.
+ * @param {string} value Attribute value.
+ * @param {string} baseUrl Absolute URL of the markdown file.
+ * @returns {string|null} Absolute URL, or null when the value should stay as is.
+ */
+export function resolveRelativeUrl(value, baseUrl) {
+  const v = String(value || '').trim();
+  if (!v || KEEP_RX.test(v)) return null;
+  try {
+    return new URL(v, baseUrl).href;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Apply the *.md link rewrite rule.
+ * @param {string} url Absolute URL.
+ * @param {'html'|((url: string) => string)|null|undefined} rule
+ * @returns {string}
+ */
+export function rewriteMarkdownLink(url, rule) {
+  if (!rule) return url;
+  try {
+    const u = new URL(url);
+    if (!MD_LINK_RX.test(u.pathname)) return url;
+    if (typeof rule === 'function') return String(rule(u.href) || url);
+    if (String(rule).toLowerCase() === 'html') {
+      u.pathname = u.pathname.replace(MD_LINK_RX, '.html');
+      return u.href;
+    }
+  } catch (_) {}
+  return url;
+}
+
+/**
+ * Resolve every entry of a srcset attribute.
+ * @param {string} srcset
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function resolveSrcset(srcset, baseUrl) {
+  return String(srcset)
+    .split(',')
+    .map((entry) => {
+      const m = entry.trim().match(/^(\S+)(\s+.*)?$/);
+      if (!m) return entry.trim();
+      return (resolveRelativeUrl(m[1], baseUrl) || m[1]) + (m[2] || '');
+    })
+    .join(', ');
+}
+
+/**
+ * Express an absolute URL relative to a base URL when both share an origin (absolute otherwise).
+ * @param {string} url
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function relativeUrl(url, baseUrl) {
+  const u = new URL(url);
+  const b = new URL(baseUrl);
+  if (u.origin !== b.origin) return u.href;
+  const from = b.pathname.split('/').slice(0, -1);
+  const to = u.pathname.split('/');
+  let i = 0;
+  while (i < from.length && i < to.length - 1 && from[i] === to[i]) i++;
+  const path = '../'.repeat(from.length - i) + to.slice(i).join('/');
+  return (path || './') + u.search + u.hash;
+}
+
+/**
+ * Rewrite relative link and image targets of markdown written for fromUrl so they resolve identically from
+ * toUrl (inline links/images, reference definitions and src/href attributes of inline HTML); fenced code is
+ * left untouched.
+ * @param {string} md
+ * @param {string} fromUrl Absolute URL the markdown was written for (e.g., an included file).
+ * @param {string} toUrl Absolute URL the markdown is rendered as (e.g., the host document).
+ * @returns {string}
+ */
+export function rebaseMarkdownUrls(md, fromUrl, toUrl) {
+  const rebase = (v) => {
+    const r = resolveRelativeUrl(v, fromUrl);
+    if (!r) return v;
+    // Parentheses and spaces would end a markdown link destination
+    return relativeUrl(r, toUrl).replace(/[()\s]/g, (c) => encodeURIComponent(c));
+  };
+  let inFence = null;
+  return String(md).split('\n').map((line) => {
+    const f = line.match(/^[ \t]*(`{3,}|~{3,})/);
+    if (f) {
+      if (!inFence) inFence = f[1];
+      else if (f[1][0] === inFence[0] && f[1].length >= inFence.length) inFence = null;
+      return line;
+    }
+    if (inFence) return line;
+    return line
+      .replace(/(!?\[[^\]]*\]\(\s*)(<[^>]*>|[^\s)]+)/g, (m, head, target) => (
+        target.startsWith('<') ? `${head}<${rebase(target.slice(1, -1))}>` : head + rebase(target)
+      ))
+      .replace(/^(\s{0,3}\[[^\]]+\]:\s*)(\S+)/, (m, head, target) => head + rebase(target))
+      .replace(/(\s(?:src|href|poster)\s*=\s*)(["'])(.*?)\2/gi, (m, head, q, target) => head + q + rebase(target) + q);
+  }).join('\n');
+}
+
+/**
+ * Built-in markdown.js plugin: resolve relative URLs against the markdown file.
+ * @returns {Object} Plugin for lib/plugins.js
+ */
+export function createUrlsPlugin() {
+  return {
+    name: 'urls',
+    postprocess(container, ctx) {
+      let base;
+      try {
+        base = new URL(ctx.mdUrl, document.baseURI).href;
+      } catch (_) {
+        return;
+      }
+      Object.keys(URL_ATTRS).forEach((tag) => {
+        container.querySelectorAll(tag).forEach((el) => {
+          URL_ATTRS[tag].forEach((attr) => {
+            if (!el.hasAttribute(attr)) return;
+            const resolved = resolveRelativeUrl(el.getAttribute(attr), base);
+            if (!resolved) return;
+            el.setAttribute(attr, tag === 'a' ? rewriteMarkdownLink(resolved, ctx.rewriteLinks) : resolved);
+          });
+          if (el.hasAttribute('srcset')) el.setAttribute('srcset', resolveSrcset(el.getAttribute('srcset'), base));
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Live-reload watcher for markdown sources.
+ *
+ * Responsibilities:
+ * - startWatch(options): poll a set of URLs (markdown, bibliography, included files) and invoke onChange
+ *   when any of them changes.
+ *
+ * Change detection (per URL, in order of preference):
+ * - ETag or Last-Modified response headers from a HEAD request.
+ * - Content hash of a GET response when the server sends neither header (or rejects HEAD).
+ *
+ * Notes:
+ * - Polling uses loader.js quietFetch() (injected by the caller) so the global network spinner stays hidden.
+ * - Polls are sequential (setTimeout chain) and skipped while the page is hidden.
+ * - The first poll of a URL only records its state; it never reports a change.
+ */
+
+/**
+ * Small non-cryptographic string hash (FNV-1a, 32-bit).
+ * @param {string} text
+ * @returns {string}
+ */
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/**
+ * Start polling URLs for changes.
+ *
+ * @param {{
+ *   urls: () => string[],
+ *   onChange: (changed: string[]) => (void|Promise<void>),
+ *   fetchImpl?: (input: string, init?: RequestInit) => Promise<Response>,
+ *   interval?: number
+ * }} options
+ *   urls: returns the current dependency list (re-read on every poll, so it can change after navigation).
+ *   onChange: invoked with the changed URLs; the next poll waits until it settles.
+ *   fetchImpl: fetch implementation (default window.fetch); pass loader.js quietFetch to avoid the spinner.
+ *   interval: polling interval in ms (default 1000, minimum 250).
+ * @returns {() => void} Stops the watcher.
+ */
+export function startWatch({ urls, onChange, fetchImpl, interval = 1000 }) {
+  const doFetch = fetchImpl || ((input, init) => window.fetch(input, init));
+  const delay = Math.max(250, Number(interval) || 1000);
+  // url -> signature string ('etag:...', 'lm:...', 'hash:...')
+  const signatures = new Map();
+  let timer = null;
+  let stopped = false;
+
+  const signatureOf = async (url) => {
+    const init = { cache: 'no-store' };
+    try {
+      const head = await doFetch(url, Object.assign({ method: 'HEAD' }, init));
+      if (head.ok) {
+        const etag = head.headers.get('ETag');
+        if (etag) return `etag:${etag}`;
+        // Last-Modified has one-second resolution; include the length to catch quick successive saves
+        const lm = head.headers.get('Last-Modified');
+        if (lm) return `lm:${lm}|${head.headers.get('Content-Length') || ''}`;
+      }
+    } catch (_) {
+      // HEAD unsupported or network error; fall back to GET
+    }
+    const res = await doFetch(url, init);
+    if (!res.ok) return `status:${res.status}`;
+    return `hash:${hashText(await res.text())}`;
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+    const changed = [];
+    if (!document.hidden) {
+      const list = Array.from(new Set((urls() || []).filter(Boolean)));
+      for (const url of list) {
+        try {
+          const sig = await signatureOf(url);
+          const prev = signatures.get(url);
+          signatures.set(url, sig);
+          if (prev !== undefined && prev !== sig) changed.push(url);
+        } catch (_) {
+          // Network hiccup (e.g., dev server restarting); retry on the next poll
+        }
+      }
+      // Forget URLs that are no longer dependencies so they are re-baselined if they come back
+      Array.from(signatures.keys()).forEach((u) => { if (!list.includes(u)) signatures.delete(u); });
+    }
+    if (changed.length && !stopped) {
+      try {
+        await onChange(changed);
+      } catch (e) {
+        console.error('watch: Re-render failed', e);
+      }
+    }
+    if (!stopped) timer = setTimeout(poll, delay);
+  };
+
+  timer = setTimeout(poll, 0);
+
+  return () => {
+    stopped = true;
+    if (timer) {
+      try { clearTimeout(timer); } catch (_) {}
+      timer = null;
+    }
+  };
+}
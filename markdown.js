@@ -1,11 +1,43 @@
 /**
  * Core Markdown renderer module.
  * Responsibilities:
- * - Fetch markdown from a URL and parse via Marked (GFM enabled).
- * - Apply MPE-like citations and footnotes using lib/citations.js.
- * - Inject GitHub-like styles and table compatibility using lib/github-theme.js.
- * - Convert Mermaid fenced blocks and render diagrams (runtime from icon.js).
+ * - Fetch markdown from a URL (or take inline source via renderMarkdownString()) and parse via Marked (GFM enabled).
+ * - Read inline markdown from <script type="text/markdown"> or <template> elements (markdownFromElement()).
+ * - Expand @import/@include directives (lib/include.js) into the document before it is processed.
+ * - Parse the YAML front matter (lib/front-matter.js) into the document metadata (controller.metadata, plugin
+ *   ctx.metadata) and render the content after it.
+ * - Run the plugin pipeline (lib/plugins.js): preprocess markdown, Marked extensions, postprocess the parsed DOM.
+ *   Built-in plugins: sanitize (lib/sanitize.js), urls (relative links and images resolve against the markdown
+ *   file; lib/urls.js), title-block (title, authors, date and abstract from front matter; lib/title-block.js),
+ *   mermaid (fenced blocks to div.mermaid), graphviz (```dot/```graphviz blocks to SVG; lib/graphviz.js),
+ *   diagram-viewer (zoom, pan, fullscreen view and SVG/PNG download of rendered diagrams; lib/diagram-viewer.js),
+ *   highlight (syntax highlighting, line numbers and titles of fenced code; lib/highlight.js), code-toolbar
+ *   (copy, wrap and prompt stripping; lib/code-toolbar.js; copy and toast shared with the diagram viewer through
+ *   lib/clipboard.js),
+ *   alerts (GitHub alerts and admonitions; lib/alerts.js), math (LaTeX via KaTeX; lib/math.js), anchors (heading
+ *   ids and permalinks; lib/toc.js), task-lists (opt-in interactive checklists; lib/task-lists.js),
+ *   citations/footnotes (lib/citations.js), icons (`:prefix:name:` shortcodes from the Iconify packs of icon.js;
+ *   lib/icons.js), emoji (GitHub `:shortcode:` emoji; lib/emoji.js), light-tables (lib/github-theme.js).
+ *   Documents can disable any of them in front matter except sanitize, which only the page (window.MHE_SANITIZE)
+ *   or the render options control.
+ * - Inject GitHub-like styles using lib/github-theme.js.
+ * - Render Mermaid diagrams (runtime from icon.js; a diagram that fails shows its own error panel with the source,
+ *   lib/mermaid-render.js) and Graphviz DOT diagrams (lib/graphviz.js, WebAssembly loaded on first use).
+ * - Render site navigation and previous/next page links when a site manifest is provided (lib/site.js).
  * - Honor window.MHE_FORCE_LIGHT_THEME to force light theme rendering.
+ *
+ * Events (dispatched on the output element, bubbling; detail.controller is the document's controller):
+ * - mhe:before-parse  { mdUrl, mdText }  before the markdown is parsed; listeners may replace detail.mdText.
+ * - mhe:rendered      { mdUrl, dependencies, metadata }  after the document and its diagrams are rendered
+ *                     (metadata: the parsed front matter, lib/front-matter.js).
+ * - mhe:slide-change  { index, total, slide }  when the active slide changes (dispatched by lib/slides.js).
+ * - mhe:error         { stage: 'fetch'|'parse'|'diagrams', error }  when a pipeline stage fails.
+ *
+ * Notes:
+ * - renderMarkdown()/renderMarkdownString() return a controller ({ rerender, setSource, destroy }); rendering
+ *   into a container again replaces its previous controller and releases that render's listeners.
+ * - Several documents can be rendered into different containers on one page; per-document state lives in the
+ *   render call (no page-wide globals) and a scope keeps anchor ids, ToC and slide hashes from colliding.
  */
 
 // Resolve selected config URL (set by the page) or fall back to local config.js
@@ -17,46 +49,316 @@ const CONFIG_URL =
         (typeof window !== 'undefined' && window.MHE_MODULE_BASE ? window.MHE_MODULE_BASE : document.baseURI)
       ).href;
 
+// Diagram re-render callbacks of every rendered container, run when network activity settles
+const idleRenderers = new Map();
+
+// Built-in plugin: sanitize the parsed HTML first, before other plugins add trusted markup
+const sanitizePlugin = {
+  name: 'sanitize',
+  // Never insert unsanitized markup: a failure leaves the text only (lib/plugins.js)
+  failClosed: true,
+  postprocess(container, ctx) {
+    ctx.sanitizer.sanitizeNode(container);
+  },
+};
+
+// Plugins a document cannot disable from its own front matter
+const PROTECTED_PLUGINS = ['sanitize'];
+
+// Built-in plugin: convert fenced mermaid blocks to div.mermaid (rendered after insertion)
+const mermaidPlugin = {
+  name: 'mermaid',
+  postprocess(container) {
+    container.querySelectorAll('code.language-mermaid').forEach((codeEl) => {
+      const pre = codeEl.closest('pre');
+      const div = document.createElement('div');
+      div.className = 'mermaid';
+      div.textContent = codeEl.textContent;
+      try { div.dataset.raw = codeEl.textContent; } catch (_) {}
+      (pre || codeEl).replaceWith(div);
+    });
+  },
+};
+
 /**
- * Render Markdown URL into a container and process Mermaid diagrams.
- * Relies on global mermaid loaded/initialized elsewhere (icon.js).
- *
- * @param {{ mdUrl: string, outputId: string }} options
+ * Normalize a list option given as an array or a comma-separated string.
+ * @param {string|string[]|null|undefined} v
+ * @returns {string[]}
+ */
+function listOption(v) {
+  if (!v) return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map((s) => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * Register a plugin for every subsequent render (see lib/plugins.js for the plugin shape).
+ * @param {{ name: string }} plugin
  * @returns {Promise<void>}
  */
-export async function renderMarkdown({ mdUrl, outputId }) {
-  if (!mdUrl || !outputId) {
-    throw new Error("renderMarkdown requires mdUrl and outputId");
-  }
+export async function registerPlugin(plugin) {
+  const { moduleUrl } = await import(CONFIG_URL);
+  const plugins = await import(moduleUrl('lib/plugins.js'));
+  plugins.registerPlugin(plugin);
+}
 
+/**
+ * Remove a plugin registered with registerPlugin().
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export async function unregisterPlugin(name) {
+  const { moduleUrl } = await import(CONFIG_URL);
+  const plugins = await import(moduleUrl('lib/plugins.js'));
+  return plugins.unregisterPlugin(name);
+}
+
+/**
+ * Controller of a rendered document.
+ * @typedef {Object} MarkdownController
+ * @property {HTMLElement} output Container the document is rendered into.
+ * @property {string} mdUrl Markdown URL (or base URL of inline text) currently rendered.
+ * @property {string[]} dependencies URLs the last render read (markdown, included files and bibliography), for watchers.
+ * @property {Object} metadata Front matter of the last render, parsed by lib/front-matter.js ({} when none).
+ * @property {(opts?: { preserve?: boolean }) => Promise<MarkdownController>} rerender
+ *   Render the current source again; URL sources are fetched again. preserve defaults to true.
+ * @property {(source: string|{ mdUrl?: string, mdText?: string }, opts?: { preserve?: boolean }) => Promise<MarkdownController>} setSource
+ *   Render another source: a markdown string (kept for later re-renders, resolved against the current URL)
+ *   or { mdUrl, mdText? } (mdText optional, e.g. prefetched). preserve defaults to false.
+ * @property {() => void} destroy Remove the rendered content, its ToC and every listener/observer it added.
+ */
+
+/**
+ * Resolve the output container of a render call.
+ * @param {string} outputId
+ * @returns {HTMLElement}
+ */
+function outputElement(outputId) {
   const out = document.getElementById(outputId);
   if (!out) {
     throw new Error(`Output element #${outputId} not found`);
   }
+  return out;
+}
+
+/**
+ * Create the controller bound to a container (replacing the container's previous controller).
+ * @param {HTMLElement} out
+ * @param {{ mdUrl: string, mdText?: string, site?: Object, scope?: string, toc?: boolean, plugins?: Array, disablePlugins?: string[], sanitize?: *, rewriteLinks?: * }} options
+ * @param {boolean} inline The source is markdown text kept across re-renders (renderMarkdownString()).
+ * @returns {MarkdownController}
+ */
+function createController(out, { mdUrl, mdText, site, scope = '', toc = true, plugins, disablePlugins, sanitize, rewriteLinks }, inline) {
+  const state = { mdUrl, mdText, inline, dependencies: [], metadata: {}, token: 0, destroyed: false, unmount: null };
+  const absolute = (url) => {
+    try { return new URL(url, document.baseURI).href; } catch (_) { return url; }
+  };
+
+  const controller = {
+    output: out,
+    get mdUrl() { return state.mdUrl; },
+    get dependencies() {
+      // Inline text has nothing to fetch at its base URL
+      return state.inline ? state.dependencies.filter((u) => u !== absolute(state.mdUrl)) : state.dependencies.slice();
+    },
+    get metadata() { return state.metadata; },
+    async rerender({ preserve = true } = {}) {
+      if (state.destroyed) throw new Error("renderMarkdown: controller was destroyed");
+      // Release listeners of the previous render into this container (this or an older controller)
+      if (typeof out.__mheRelease === 'function') {
+        try { out.__mheRelease(); } catch (_) {}
+      }
+      out.__mheController = controller;
+      const cleanups = [];
+      out.__mheRelease = () => cleanups.splice(0).forEach((fn) => { try { fn(); } catch (_) {} });
+
+      const my = ++state.token;
+      const text = state.mdText;
+      // Prefetched text of a URL source is used once; later re-renders fetch the file again
+      if (!state.inline) state.mdText = undefined;
+      const emit = (type, detail) => {
+        try {
+          out.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: Object.assign({ controller }, detail) }));
+        } catch (_) {}
+      };
+      const res = await renderPipeline(out, { mdUrl: state.mdUrl, mdText: text, site, preserve, scope, toc, plugins, disablePlugins, sanitize, rewriteLinks }, {
+        cleanups,
+        emit,
+        isCurrent: () => my === state.token && !state.destroyed,
+        setUnmount: (fn) => { state.unmount = fn; },
+      });
+      if (my === state.token) {
+        state.dependencies = res.dependencies;
+        state.metadata = res.metadata;
+      }
+      return controller;
+    },
+    async setSource(source, { preserve = false } = {}) {
+      if (typeof source === 'string') {
+        state.mdText = source;
+        state.inline = true;
+      } else {
+        if (!source || (!source.mdUrl && typeof source.mdText !== 'string')) {
+          throw new Error("setSource requires markdown text or { mdUrl, mdText }");
+        }
+        if (source.mdUrl) state.mdUrl = source.mdUrl;
+        state.mdText = source.mdText;
+        state.inline = false;
+      }
+      return controller.rerender({ preserve });
+    },
+    destroy() {
+      if (state.destroyed) return;
+      state.destroyed = true;
+      // A newer controller owns the container; leave its content alone
+      if (out.__mheController !== controller) return;
+      if (typeof out.__mheRelease === 'function') {
+        try { out.__mheRelease(); } catch (_) {}
+      }
+      if (typeof state.unmount === 'function') {
+        try { state.unmount(); } catch (_) {}
+      }
+      idleRenderers.delete(out);
+      out.__mheRelease = null;
+      out.__mheController = null;
+      out.innerHTML = '';
+      out.classList.remove('markdown-body');
+    },
+  };
+  return controller;
+}
+
+/**
+ * Render Markdown URL into a container and process Mermaid diagrams.
+ * Relies on global mermaid loaded/initialized elsewhere (icon.js).
+ *
+ * Safe to call again for the same container (e.g., client-side navigation); the previous render is replaced
+ * and its controller stops owning the container.
+ *
+ * @param {{
+ *   mdUrl: string,
+ *   outputId: string,
+ *   mdText?: string,
+ *   site?: { url: string, nav: Array },
+ *   preserve?: boolean,
+ *   scope?: string,
+ *   toc?: boolean,
+ *   plugins?: Array<{ name: string }>,
+ *   disablePlugins?: string[]|string,
+ *   sanitize?: boolean|string|Object,
+ *   rewriteLinks?: 'html'|((url: string) => string)
+ * }} options
+ *   mdText: optional markdown already fetched for mdUrl (e.g., prefetched by lib/router.js); skips the fetch.
+ *   site: optional manifest from lib/site.js loadSiteManifest(); enables site navigation and previous/next links.
+ *   preserve: keep scroll offset, ToC expanded groups and already-rendered Mermaid diagrams whose source
+ *     did not change (used by watch mode when re-rendering the same document).
+ *   scope: isolates this document from others on the page: prefixes footnote/citation/heading ids with
+ *     "<scope>-", gives it its own sidebar ToC and uses #<scope>-slide-N for slides (default '' = page-level).
+ *   toc: render the sidebar Table of Contents (default true).
+ *   plugins: plugins used for this document only (in addition to registered ones; same name replaces).
+ *   disablePlugins: plugin names to skip for this document (e.g. ['mermaid']); documents can also list them in
+ *     front matter (`disable-plugins: [mermaid]`) and pages in window.MHE_DISABLE_PLUGINS.
+ *   sanitize: 'on' (default) | 'strict' | 'off', or { strict?, tags?, attributes?, protocols?, classes? } allowlist
+ *     overrides (see lib/sanitize.js); defaults to window.MHE_SANITIZE. 'strict' also renders Mermaid with
+ *     securityLevel 'strict'.
+ *   rewriteLinks: map relative links to *.md files, e.g. 'html' for name.html wrapper pages (see lib/urls.js);
+ *     defaults to window.MHE_REWRITE_LINKS. Relative images and links always resolve against mdUrl.
+ * @returns {Promise<MarkdownController>} Resolves after the first render; controller.dependencies lists the URLs
+ *   the render read (markdown, included files and bibliography), so callers can watch them for changes.
+ */
+export async function renderMarkdown({ mdUrl, outputId, mdText, site, preserve = false, scope = '', toc = true, plugins, disablePlugins, sanitize, rewriteLinks }) {
+  if (!mdUrl || !outputId) {
+    throw new Error("renderMarkdown requires mdUrl and outputId");
+  }
+  const controller = createController(outputElement(outputId), { mdUrl, mdText, site, scope, toc, plugins, disablePlugins, sanitize, rewriteLinks }, false);
+  return controller.rerender({ preserve });
+}
 
+/**
+ * Run the render pipeline once: fetch, parse, post-process, ToC/slides/site wiring and Mermaid.
+ * @param {HTMLElement} out
+ * @param {{
+ *   mdUrl: string,
+ *   mdText?: string,
+ *   site?: Object,
+ *   preserve: boolean,
+ *   scope: string,
+ *   toc: boolean,
+ *   plugins?: Array,
+ *   disablePlugins?: string[]|string,
+ *   sanitize?: *,
+ *   rewriteLinks?: *
+ * }} options
+ * @param {{
+ *   cleanups: Array<() => void>,
+ *   emit: (type: string, detail: Object) => void,
+ *   isCurrent: () => boolean,
+ *   setUnmount: (fn: () => void) => void
+ * }} ctl Listener cleanups of this render, event dispatch, staleness check and destroy-time teardown.
+ * @returns {Promise<{ mdUrl: string, dependencies: string[], metadata: Object }>}
+ */
+async function renderPipeline(out, { mdUrl, mdText: providedText, site, preserve, scope, toc, plugins, disablePlugins, sanitize, rewriteLinks }, ctl) {
+  const outputId = out.id;
   let mdText = "";
+  const dependencies = [new URL(mdUrl, document.baseURI).href];
+  const result = { mdUrl, dependencies, metadata: {} };
+  const idPrefix = scope ? `${scope}-` : '';
 
   // Import selected config and helper dynamically (minified-aware via moduleUrl)
-  const { MARKED_URL, moduleUrl, CDN_NPM_BASE } = await import(CONFIG_URL);
-  const { enableGlobalNetworkSpinner } = await import(moduleUrl('lib/loader.js'));
+  const {
+    MARKED_URL,
+    MERMAID_URL,
+    moduleUrl,
+    CDN_NPM_BASE,
+    // Defaults for page-selected configs predating these settings
+    HIGHLIGHT_URL = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/es/highlight.min.js`,
+    HIGHLIGHT_CSS_LIGHT = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/styles/github.min.css`,
+    HIGHLIGHT_CSS_DARK = `${CDN_NPM_BASE}/@highlightjs/cdn-assets@11/styles/github-dark.min.css`,
+    KATEX_URL = `${CDN_NPM_BASE}/katex@0.16/dist/katex.mjs`,
+    KATEX_CSS = `${CDN_NPM_BASE}/katex@0.16/dist/katex.min.css`,
+    FONT_AWESOME4_CSS = `${CDN_NPM_BASE}/font-awesome@4/css/font-awesome.min.css`,
+    GRAPHVIZ_URL = `${CDN_NPM_BASE}/@hpcc-js/wasm-graphviz@1/dist/index.js`,
+    EMOJI_DATA_URL = `${CDN_NPM_BASE}/gemoji@8/index.js`,
+    EMOJI_IMAGE_URL = 'https://cdn.jsdelivr.net/gh/jdecked/twemoji@15.1.0/assets/svg/{code}.svg',
+  } = await import(CONFIG_URL);
+  const { enableGlobalNetworkSpinner, loadModule } = await import(moduleUrl('lib/loader.js'));
   const { loadCSS } = await import(moduleUrl('lib/load-css.js'));
   const { addStyle } = await import(moduleUrl('lib/add-style.js'));
-  const { ensureGithubMarkdownStyles, enforceLightTables } = await import(moduleUrl('lib/github-theme.js'));
-  const { ensureCitationStyles, extractBibliographyFromFrontMatter, processFootnotesAndCitations, appendFootnotes, appendReferences } = await import(moduleUrl('lib/citations.js'));
+  const { ensureGithubMarkdownStyles, createLightTablesPlugin } = await import(moduleUrl('lib/github-theme.js'));
+  const { createCitationsPlugin } = await import(moduleUrl('lib/citations.js'));
+  const { createHighlightPlugin } = await import(moduleUrl('lib/highlight.js'));
+  const clipboard = await import(moduleUrl('lib/clipboard.js'));
+  const { createCodeToolbarPlugin } = await import(moduleUrl('lib/code-toolbar.js'));
+  const { createMathPlugin } = await import(moduleUrl('lib/math.js'));
+  const { createAlertsPlugin } = await import(moduleUrl('lib/alerts.js'));
+  const { createGraphvizPlugin, renderGraphviz } = await import(moduleUrl('lib/graphviz.js'));
+  const { createDiagramViewerPlugin } = await import(moduleUrl('lib/diagram-viewer.js'));
+  const { renderMermaid, ensureMermaidErrorStyles } = await import(moduleUrl('lib/mermaid-render.js'));
+  const { createIconShortcodesPlugin } = await import(moduleUrl('lib/icons.js'));
+  const { createEmojiPlugin } = await import(moduleUrl('lib/emoji.js'));
+  const { createSanitizer } = await import(moduleUrl('lib/sanitize.js'));
+  const { expandIncludes } = await import(moduleUrl('lib/include.js'));
+  const { createUrlsPlugin, rebaseMarkdownUrls } = await import(moduleUrl('lib/urls.js'));
+  const { splitFrontMatter } = await import(moduleUrl('lib/front-matter.js'));
+  const { createTitleBlockPlugin, titleBlockEnabled } = await import(moduleUrl('lib/title-block.js'));
+  const { createTaskListsPlugin } = await import(moduleUrl('lib/task-lists.js'));
+  const { registerBuiltinPlugins, resolvePlugins, disabledPluginsFromFrontMatter, createPluginRun, loadPluginModules } = await import(moduleUrl('lib/plugins.js'));
   const { detectSlidesEnabled, splitMarkdownSlides, ensureSlideStyles, initSlideDeck } = await import(moduleUrl('lib/slides.js'));
-  const { ensureTocStyles, initSidebarToc } = await import(moduleUrl('lib/toc.js'));
+  const { ensureTocStyles, initSidebarToc, captureTocState, restoreTocState, destroySidebarToc, createHeadingAnchorsPlugin } = await import(moduleUrl('lib/toc.js'));
+  const siteHelpers = site ? await import(moduleUrl('lib/site.js')) : null;
   // Force light theme when MHE_FORCE_LIGHT_THEME is truthy on window
   const FORCE_LIGHT = (typeof window !== 'undefined') && !!window.MHE_FORCE_LIGHT_THEME;
 
-  // Enable global network spinner and re-render diagrams when network becomes idle
+  // Enable global network spinner and re-render diagrams of every rendered container when network becomes idle
+  // (this container registers its renderers once they are declared, below)
+  idleRenderers.delete(out);
   enableGlobalNetworkSpinner(outputId, "Loading...", async () => {
-    try {
-      const container = document.getElementById(outputId);
-      const nodes = container ? container.querySelectorAll('.mermaid') : [];
-      if (nodes.length && window.mermaid && window.__iconPacksReady) {
-        await renderDiagrams();
+    for (const [el, onIdle] of Array.from(idleRenderers)) {
+      if (!el.isConnected) {
+        idleRenderers.delete(el);
+        continue;
       }
-    } catch (_) {}
+      await onIdle();
+    }
   });
 
   // parseBibTexMinimal moved to lib/citations.js
@@ -65,189 +367,259 @@ export async function renderMarkdown({ mdUrl, outputId }) {
   try {
     ensureGithubMarkdownStyles({ CDN_NPM_BASE, FORCE_LIGHT, loadCSS, addStyle });
   } catch (_) {}
-  // Styles: MPE-like citation and footnote CSS
+  try { ensureMermaidErrorStyles(addStyle); } catch (_) {}
   try {
-    ensureCitationStyles();
-  } catch (_) {}
-  try {
-    const res = await fetch(mdUrl);
-    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
-    mdText = await res.text();
-    // Expose original markdown for downstream helpers (e.g., footnote fallbacks)
-    try { window.__mheOriginalMarkdown = mdText; } catch (_) {}
+    if (typeof providedText === 'string') {
+      mdText = providedText;
+    } else {
+      const res = await fetch(mdUrl);
+      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+      mdText = await res.text();
+    }
   } catch (err) {
     console.error("Failed to fetch markdown", err);
+    if (!ctl.isCurrent()) return result;
     out.textContent = "Error loading markdown.";
-    return;
+    ctl.emit('mhe:error', { stage: 'fetch', error: err, mdUrl });
+    return result;
   }
+  // A newer render (or destroy) took over while fetching
+  if (!ctl.isCurrent()) return result;
 
-  // Preprocess footnotes and citations (MPE-like lightweight support)
-  let mdProcessed = mdText;
-  let citations = [];
-  let bibliography = {};
-  let footnoteDefs = {};
-  let footnoteOrder = [];
- 
-  // Extract YAML front matter bibliography path (single file)
+  // Let host apps inspect or replace the source before parsing
+  const beforeParse = { mdUrl, mdText };
+  ctl.emit('mhe:before-parse', beforeParse);
+  if (typeof beforeParse.mdText === 'string') mdText = beforeParse.mdText;
+
+  // Transclusion: @import/@include directives, resolved against the including file (lib/include.js)
+  const addDependency = (url) => { if (url && !dependencies.includes(url)) dependencies.push(url); };
+  if (/@(?:import|include)\s/.test(mdText)) {
+    try {
+      mdText = await expandIncludes(mdText, dependencies[0], { onDependency: addDependency, rebaseUrls: rebaseMarkdownUrls });
+    } catch (e) {
+      console.error('Failed to expand includes', e);
+    }
+    if (!ctl.isCurrent()) return result;
+  }
+
+  // Front matter (lib/front-matter.js): metadata for plugins, slides and the host page; only the content is rendered
+  let content = mdText;
+  let frontMatter = '';
   try {
-    bibliography = await extractBibliographyFromFrontMatter(mdText, mdUrl);
-  } catch (_) {}
- 
-  // Decide rendering mode: slides (Marp-like) or single document
-  out.classList.add('markdown-body');
-  out.innerHTML = '';
- 
+    ({ frontMatter, data: result.metadata, content } = splitFrontMatter(mdText));
+  } catch (e) {
+    console.error('Failed to parse front matter', e);
+  }
+  const metadata = result.metadata;
+
   let slidesEnabled = false;
   try {
-    slidesEnabled = detectSlidesEnabled(mdText);
+    slidesEnabled = detectSlidesEnabled(metadata);
   } catch (_) {}
+
+  // Plugins: built-ins (sanitizer, relative URLs, title block, Mermaid and Graphviz blocks, diagram viewer, code
+  // highlighting and toolbar, alerts, math, heading anchors, task lists, footnotes/citations, inline icons, emoji,
+  // light tables) plus registered ones, minus those disabled by the render options, window.MHE_DISABLE_PLUGINS or
+  // the document's front matter
+  await loadPluginModules(typeof window !== 'undefined' ? window.MHE_PLUGINS : null);
+  const titleBlockDefault = typeof window !== 'undefined' ? window.MHE_TITLE_BLOCK : undefined;
+  const emojiDefault = typeof window !== 'undefined' ? window.MHE_EMOJI : undefined;
+  registerBuiltinPlugins([
+    sanitizePlugin,
+    createUrlsPlugin(),
+    // Early: the abstract it inserts goes through the other plugins' preprocess
+    createTitleBlockPlugin({ enabled: titleBlockDefault }),
+    mermaidPlugin,
+    createGraphvizPlugin(),
+    createDiagramViewerPlugin(clipboard),
+    createHighlightPlugin({ highlightUrl: HIGHLIGHT_URL, cssLight: HIGHLIGHT_CSS_LIGHT, cssDark: HIGHLIGHT_CSS_DARK }),
+    createCodeToolbarPlugin(clipboard),
+    createAlertsPlugin({ iconCss: FONT_AWESOME4_CSS }),
+    // Before citations: math is shielded from footnote/citation processing
+    createMathPlugin({ katexUrl: KATEX_URL, katexCss: KATEX_CSS }),
+    // After math: heading slugs use the typeset text
+    createHeadingAnchorsPlugin(),
+    createTaskListsPlugin(),
+    createCitationsPlugin(),
+    // After citations: footnote texts get their icons too
+    createIconShortcodesPlugin(),
+    createEmojiPlugin({ dataUrl: EMOJI_DATA_URL, imageUrl: EMOJI_IMAGE_URL, mode: emojiDefault }),
+    createLightTablesPlugin(),
+  ]);
+  const disabled = [].concat(
+    listOption(disablePlugins),
+    listOption(typeof window !== 'undefined' ? window.MHE_DISABLE_PLUGINS : null),
+    disabledPluginsFromFrontMatter(metadata).filter((n) => !PROTECTED_PLUGINS.includes(n))
+  );
+  const enabledPlugins = resolvePlugins({ disabled, extra: plugins });
+
+  // Sanitizer: render option wins over the page setting; page-wide allowlist overrides apply to both, and
+  // enabled plugins may allow the markup their Marked extensions emit
+  const sanitizer = createSanitizer(
+    sanitize !== undefined ? sanitize : (typeof window !== 'undefined' ? window.MHE_SANITIZE : undefined),
+    typeof window !== 'undefined' ? window.MHE_SANITIZE_ALLOW : null,
+    ...enabledPlugins.map((p) => p.allowlist).filter(Boolean)
+  );
+
+  const run = createPluginRun(enabledPlugins, {
+    mdUrl,
+    markdown: content,
+    metadata,
+    frontMatter,
+    scope,
+    idPrefix,
+    slides: slidesEnabled,
+    forceLight: FORCE_LIGHT,
+    sanitizer,
+    rewriteLinks: rewriteLinks !== undefined ? rewriteLinks : (typeof window !== 'undefined' ? window.MHE_REWRITE_LINKS : undefined),
+    out,
+    moduleUrl,
+    addStyle,
+    loadCSS,
+    loadModule,
+    addDependency,
+  });
+  await run.setup();
+  if (!ctl.isCurrent()) return result;
+
+  // Preserve view state across re-renders of the same document (watch mode)
+  const preserved = { scrollY: 0, toc: null, diagrams: new Map() };
+  if (preserve) {
+    try { preserved.scrollY = window.scrollY || document.documentElement.scrollTop || 0; } catch (_) {}
+    try { preserved.toc = captureTocState(scope); } catch (_) {}
+    try {
+      out.querySelectorAll('.mermaid[data-processed]').forEach((node) => {
+        const svg = node.querySelector('svg');
+        if (svg && node.dataset.raw) preserved.diagrams.set(node.dataset.raw, node.innerHTML);
+      });
+    } catch (_) {}
+  }
+  // Reuse rendered SVG for diagrams whose source did not change; Mermaid skips nodes marked data-processed
+  const restoreDiagrams = () => {
+    if (!preserved.diagrams.size) return;
+    out.querySelectorAll('.mermaid').forEach((node) => {
+      const svgHtml = node.dataset.raw && preserved.diagrams.get(node.dataset.raw);
+      if (!svgHtml) return;
+      node.innerHTML = svgHtml;
+      node.setAttribute('data-processed', 'true');
+    });
+  };
+  const restoreView = () => {
+    if (!preserve) return;
+    try { restoreTocState(preserved.toc, scope); } catch (_) {}
+    try { window.scrollTo(0, preserved.scrollY); } catch (_) {}
+  };
  
+  // Sidebar Table of Contents (ToC), scoped so several documents keep separate sidebars
+  const initToc = () => {
+    if (!toc) return;
+    try { ensureTocStyles({ moduleUrl, loadCSS }); } catch (_) {}
+    try { initSidebarToc(out, { scope, label: scope, idAllowed: sanitizer.idAllowed }); } catch (_) {}
+    ctl.setUnmount(() => destroySidebarToc(scope));
+  };
+
+  // Site navigation (sidebar) and previous/next page links, when rendering as part of a site
+  const initSite = () => {
+    if (!siteHelpers) return;
+    try { siteHelpers.ensureSiteStyles(addStyle); } catch (_) {}
+    try { siteHelpers.initSiteNav(site, mdUrl); } catch (_) {}
+    try { siteHelpers.appendPageNav(out, site, mdUrl); } catch (_) {}
+  };
+
+  // Prepare one Marked instance per render so plugin extensions do not leak into other documents
+  let marked;
+  try {
+    const { Marked } = await import(MARKED_URL);
+    marked = new Marked({ gfm: true, breaks: true, headerIds: true, mangle: false });
+    run.markedExtensions().forEach((ext) => marked.use(ext));
+  } catch (err) {
+    console.error("Marked parse error", err);
+    out.textContent = "Error parsing markdown.";
+    ctl.emit('mhe:error', { stage: 'parse', error: err, mdUrl });
+    return result;
+  }
+
+  // Decide rendering mode: slides (Marp-like, one unit per slide) or single document (one unit)
+  out.classList.add('markdown-body');
+  out.innerHTML = '';
+
+  let deck = null;
+  let units = [content];
   if (slidesEnabled) {
-    // Slides mode
     try { ensureSlideStyles(addStyle); } catch (_) {}
-    const deck = document.createElement('div');
+    deck = document.createElement('div');
     deck.className = 'mhe-slides';
- 
-    const { slides } = splitMarkdownSlides(mdText);
-    // Build a global footnote definitions map so slides can resolve definitions even if they appear in a different slide
-    const globalProc = (() => {
-      try {
-        return processFootnotesAndCitations(mdText);
-      } catch (_) {
-        return { footnoteDefs: {} };
-      }
-    })();
-    const globalFootnoteDefs = (globalProc && globalProc.footnoteDefs) ? globalProc.footnoteDefs : {};
-    // Expose for downstream components and as a fallback for modules
-    try { window.__mheFootnoteDefs = globalFootnoteDefs; } catch (_) {}
-  
-    // Prepare Marked once for all slides
-    let marked;
-    try {
-      ({ marked } = await import(MARKED_URL));
-      marked.setOptions({ gfm: true, breaks: true, headerIds: true, mangle: false });
-    } catch (err) {
-      console.error("Marked parse error (slides mode)", err);
-      out.textContent = "Error parsing markdown.";
-      return;
-    }
- 
-    // Render each slide independently (numbers reset per slide)
-    for (const slideMd of slides) {
-      const section = document.createElement('section');
-      section.className = 'mhe-slide';
- 
-      let proc = { mdProcessed: slideMd, citations: [], footnoteOrder: [], footnoteDefs: {} };
-      try {
-        proc = processFootnotesAndCitations(slideMd);
-      } catch (_) {}
- 
-      let html = "";
-      try {
-        html = marked.parse(proc.mdProcessed);
-      } catch (e) {
-        console.error("Marked parse error for slide", e);
-      }
- 
-      section.innerHTML = html;
- 
-      // Sanitize: remove any script tags embedded in slide HTML
-      section.querySelectorAll('script').forEach((s) => s.remove());
- 
-      // Convert fenced mermaid blocks to div.mermaid within this slide
-      section.querySelectorAll('code.language-mermaid').forEach((codeEl) => {
-        const pre = codeEl.closest('pre');
-        const div = document.createElement('div');
-        div.className = 'mermaid';
-        div.textContent = codeEl.textContent;
-        try { div.dataset.raw = codeEl.textContent; } catch (_) {}
-        (pre || codeEl).replaceWith(div);
-      });
- 
-      // Append footnotes and references within this slide
-      try { appendFootnotes(section, proc.footnoteOrder, Object.assign({}, globalFootnoteDefs, proc.footnoteDefs)); } catch (_) {}
-      try { appendReferences(section, proc.citations, bibliography); } catch (_) {}
- 
-      deck.appendChild(section);
-    }
- 
-    out.appendChild(deck);
- 
-    // Enforce light tables if requested
-    if (FORCE_LIGHT) {
-      try { enforceLightTables(out); } catch (_) {}
+    ({ slides: units } = splitMarkdownSlides(content));
+    // The front matter title block gets a slide of its own
+    if (enabledPlugins.some((p) => p.name === 'title-block') && titleBlockEnabled(metadata, titleBlockDefault)) {
+      units.unshift('');
     }
- 
-    // Initialize slide navigation
-    try { initSlideDeck(deck); } catch (_) {}
-    // Initialize sidebar Table of Contents (ToC)
-    try { ensureTocStyles({ moduleUrl, loadCSS }); } catch (_) {}
-    try { initSidebarToc(out); } catch (_) {}
-  } else {
-    // Single-document mode (legacy flow)
-    // Process citations and footnotes skipping fenced code blocks
-    try {
-      const processed = processFootnotesAndCitations(mdText);
-      mdProcessed = processed.mdProcessed;
-      citations = processed.citations;
-      footnoteOrder = processed.footnoteOrder;
-      footnoteDefs = processed.footnoteDefs;
-      // Expose for downstream renderers and as a fallback for modules
-      try { window.__mheFootnoteDefs = footnoteDefs; } catch (_) {}
-    } catch (_) {}
- 
-    // Parse Markdown to HTML
+  }
+
+  // Render each unit independently (footnote/citation numbers reset per slide)
+  for (let i = 0; i < units.length; i++) {
+    const unit = run.createUnit(i, units.length);
+    const md = run.preprocess(units[i], unit);
+
     let html = "";
     try {
-      const { marked } = await import(MARKED_URL);
-      marked.setOptions({ gfm: true, breaks: true, headerIds: true, mangle: false });
-      html = marked.parse(mdProcessed);
+      html = marked.parse(md);
     } catch (err) {
-      console.error("Marked parse error", err);
-      out.textContent = "Error parsing markdown.";
-      return;
+      if (!deck) {
+        console.error("Marked parse error", err);
+        out.textContent = "Error parsing markdown.";
+        ctl.emit('mhe:error', { stage: 'parse', error: err, mdUrl });
+        return result;
+      }
+      console.error("Marked parse error for slide", err);
     }
- 
-    const container = document.createElement('div');
+
+    const container = document.createElement(deck ? 'section' : 'div');
+    if (deck) container.className = 'mhe-slide';
     container.innerHTML = html;
- 
-    // Sanitize: remove any script tags embedded in markdown HTML
-    container.querySelectorAll('script').forEach((s) => s.remove());
- 
-    // Convert fenced mermaid blocks to div.mermaid
-    container.querySelectorAll('code.language-mermaid').forEach((codeEl) => {
-      const pre = codeEl.closest('pre');
-      const div = document.createElement('div');
-      div.className = 'mermaid';
-      div.textContent = codeEl.textContent;
-      try { div.dataset.raw = codeEl.textContent; } catch (_) {}
-      (pre || codeEl).replaceWith(div);
+    run.postprocess(container, unit);
+
+    if (deck) deck.appendChild(container);
+    else out.append(...container.childNodes);
+  }
+
+  if (deck) out.appendChild(deck);
+  try { restoreDiagrams(); } catch (_) {}
+
+  // Theme shared by Mermaid and Graphviz diagrams
+  const isDarkTheme = () => !FORCE_LIGHT && (document.body.classList.contains('vscode-dark') || document.body.classList.contains('vscode-high-contrast'));
+  // Mermaid rendering with per-diagram error panels; Retry announces the result like a regular render
+  const notifyDiagramsRendered = () => {
+    try { window.dispatchEvent(new CustomEvent('mhe:diagrams-rendered', { detail: { root: out } })); } catch (_) {}
+  };
+  const renderMermaidNodes = async (nodes) => {
+    const { errors } = await renderMermaid(nodes, {
+      dark: isDarkTheme,
+      securityLevel: sanitizer.mermaidSecurityLevel,
+      mermaidUrl: MERMAID_URL,
+      onRendered: notifyDiagramsRendered,
     });
- 
-    // Inject into output
-    out.append(...container.childNodes);
- 
-    // When forcing light theme, hard-enforce light table styling with inline styles (highest priority)
-    if (FORCE_LIGHT) {
-      try {
-        enforceLightTables(out);
-      } catch (_) {}
-    }
- 
-    // Append footnotes section if any [^id] refs are present
-    try {
-      appendFootnotes(out, footnoteOrder, footnoteDefs);
-    } catch (_) {}
- 
-    // Append references section if citations are present
+    errors.forEach(({ error }) => {
+      console.error("Mermaid render error", error);
+      ctl.emit('mhe:error', { stage: 'diagrams', error, mdUrl });
+    });
+  };
+
+  // Initialize slide navigation
+  if (deck) {
     try {
-      appendReferences(out, citations, bibliography);
+      ctl.cleanups.push(initSlideDeck(deck, {
+        scope,
+        mermaidSecurityLevel: sanitizer.mermaidSecurityLevel,
+        renderMermaid: renderMermaidNodes,
+      }));
     } catch (_) {}
-
-    // Initialize sidebar Table of Contents (ToC) for single-document mode
-    try { ensureTocStyles({ moduleUrl, loadCSS }); } catch (_) {}
-    try { initSidebarToc(out); } catch (_) {}
   }
+  // Initialize sidebar Table of Contents (ToC)
+  initToc();
+  initSite();
+  ctl.cleanups.push(...run.mounted(out));
+  restoreView();
 
   // Wait for mermaid global provided by icon.js
   const waitForMermaid = (attempts = 50, interval = 100) => new Promise((resolve, reject) => {
@@ -261,50 +633,77 @@ export async function renderMarkdown({ mdUrl, outputId }) {
 
   // Wait for icon packs registration signal set by icon.js
 
-  // Helper to render diagrams with current Mermaid setup
+  // Only render diagrams in the active slide when slides mode is present; otherwise render all.
+  const diagramNodes = (selector) => {
+    const deck = out.querySelector('.mhe-slides');
+    if (deck) return out.querySelectorAll(`.mhe-slide.is-active ${selector}`);
+    return out.querySelectorAll(selector);
+  };
+
+  // Helper to render diagrams with current Mermaid setup; a failing diagram does not stop the others
   const renderDiagrams = async () => {
     try {
-      const isDark = !FORCE_LIGHT && (document.body.classList.contains('vscode-dark') || document.body.classList.contains('vscode-high-contrast'));
-      mermaid.initialize({ startOnLoad: false, theme: isDark ? 'dark' : 'default', securityLevel: 'loose' });
-      // Only render diagrams in the active slide when slides mode is present; otherwise render all.
-      const nodes = (() => {
-        const deck = out.querySelector('.mhe-slides');
-        if (deck) return out.querySelectorAll('.mhe-slide.is-active .mermaid');
-        return out.querySelectorAll('.mermaid');
-      })();
-      if (typeof mermaid.run === 'function') {
-        await mermaid.run({ nodes });
-      } else if (typeof mermaid.init === 'function') {
-        mermaid.init(undefined, nodes);
-      }
-      // Notify slides.js to re-evaluate two-column layout after diagrams render
-      try { window.dispatchEvent(new CustomEvent('mhe:diagrams-rendered')); } catch (_) {}
+      await renderMermaidNodes(diagramNodes('.mermaid'));
+      // Notify slides.js to re-evaluate two-column layout after diagrams render (detail.root: this container)
+      notifyDiagramsRendered();
     } catch (e) {
       console.error("Mermaid render error", e);
+      ctl.emit('mhe:error', { stage: 'diagrams', error: e, mdUrl });
     }
   };
 
-  try {
-    await waitForMermaid();
-
-    // Detect required Iconify packs lazily from markdown content
-    const detectRequiredPacks = (md) => {
-      const names = [];
-      if (/\blogos:/m.test(md)) names.push('logos');
-      if (/\bfa:/.test(md)) names.push('fa');
-      if (/\bfa7-solid:/.test(md)) names.push('fa7-solid');
-      if (/\bmdi:/.test(md)) names.push('mdi');
-      if (/\bmaterial-symbols:/.test(md)) names.push('material-symbols');
-      if (/\bfluent:/.test(md)) names.push('fluent');
-      return Array.from(new Set(names));
+  // Graphviz diagrams do not need the Mermaid runtime; the WebAssembly renderer loads on first use
+  const renderGraphvizDiagrams = async () => {
+    if (!ctl.isCurrent() || !out.querySelector('.mhe-graphviz')) return;
+    try {
+      const rendered = await renderGraphviz(diagramNodes('.mhe-graphviz'), {
+        graphvizUrl: GRAPHVIZ_URL,
+        loadModule,
+        dark: isDarkTheme(),
+        securityLevel: sanitizer.mermaidSecurityLevel,
+        sanitizer,
+      });
+      if (rendered) notifyDiagramsRendered();
+    } catch (e) {
+      console.error("Graphviz render error", e);
+      ctl.emit('mhe:error', { stage: 'diagrams', error: e, mdUrl });
+    }
+  };
+  // A newer render of this container registers its own
+  if (ctl.isCurrent()) {
+    idleRenderers.set(out, async () => {
+      if (out.querySelector('.mermaid') && window.mermaid && window.__iconPacksReady) await renderDiagrams();
+      await renderGraphvizDiagrams();
+    });
+  }
+  await renderGraphvizDiagrams();
+  if (ctl.isCurrent() && out.querySelector('.mhe-graphviz')) {
+    // Slide decks of other documents announce their own root; ignore those
+    const onRenderActiveGraphviz = (e) => {
+      const root = e && e.detail && e.detail.root;
+      if (root && !out.contains(root)) return;
+      renderGraphvizDiagrams();
     };
+    window.addEventListener('mhe:render-active-mermaid', onRenderActiveGraphviz);
+    ctl.cleanups.push(() => window.removeEventListener('mhe:render-active-mermaid', onRenderActiveGraphviz));
+  }
 
-    const neededPacks = detectRequiredPacks(mdText);
+  try {
+    await waitForMermaid();
 
-    // Register packs ONLY if needed; avoid loading external plugins
-    if (neededPacks.length) {
-      if (typeof window.__registerIconPacksFor === 'function') {
-        await window.__registerIconPacksFor(neededPacks);
+    // Register the Iconify packs the diagrams use (any known `prefix:name`, detected by icon.js) and the document's
+    // project packs (front matter `icon-packs`, relative to the markdown file); avoid loading external plugins
+    const diagramSources = Array.from(out.querySelectorAll('.mermaid'))
+      .map((node) => node.dataset.raw || node.textContent || '');
+    if (diagramSources.length) {
+      if (typeof window.__registerIconPacksIn === 'function') {
+        const docPacks = metadata['icon-packs'] || metadata.iconPacks;
+        const registered = await window.__registerIconPacksIn(diagramSources, {
+          packs: docPacks,
+          baseUrl: dependencies[0],
+        });
+        // Watch mode re-renders when a project pack file changes
+        ((registered && registered.files) || []).forEach(addDependency);
       } else {
         console.warn('Icon pack registration runtime not found; proceeding without external plugin.');
       }
@@ -312,11 +711,93 @@ export async function renderMarkdown({ mdUrl, outputId }) {
 
     // Initial render after packs/plugin are ready (or if no packs needed)
     await renderDiagrams();
-    // Listen for active slide changes to render only current slide's Mermaid
-    try {
-      window.addEventListener('mhe:render-active-mermaid', () => { renderDiagrams(); });
-    } catch (_) {}
+    // Listen for active slide changes to render only current slide's Mermaid.
+    // Released with the render (re-render or destroy) so handlers do not stack.
+    if (ctl.isCurrent()) {
+      // Slide decks of other documents announce their own root; ignore those
+      const onRenderActive = (e) => {
+        const root = e && e.detail && e.detail.root;
+        if (root && !out.contains(root)) return;
+        renderDiagrams();
+      };
+      window.addEventListener('mhe:render-active-mermaid', onRenderActive);
+      ctl.cleanups.push(() => window.removeEventListener('mhe:render-active-mermaid', onRenderActive));
+    }
   } catch (err) {
     console.error("Mermaid not ready to render yet", err);
   }
+  // Diagrams may have changed the layout; re-apply the preserved scroll offset
+  restoreView();
+
+  if (ctl.isCurrent()) ctl.emit('mhe:rendered', { mdUrl, dependencies: dependencies.slice(), metadata });
+  return result;
+}
+
+/**
+ * Render a markdown string (instead of a fetched URL) into a container.
+ * Runs the same pipeline as renderMarkdown(); relative references such as images, links, includes, the front
+ * matter bibliography and markdown links (with the router) resolve against baseUrl.
+ *
+ * @param {string} text Markdown source.
+ * @param {{
+ *   outputId: string,
+ *   baseUrl?: string,
+ *   site?: { url: string, nav: Array },
+ *   preserve?: boolean,
+ *   scope?: string,
+ *   toc?: boolean,
+ *   plugins?: Array<{ name: string }>,
+ *   disablePlugins?: string[]|string,
+ *   sanitize?: boolean|string|Object,
+ *   rewriteLinks?: 'html'|((url: string) => string)
+ * }} options
+ *   baseUrl: URL the source is considered to live at (default document.baseURI); relative links, images and
+ *     includes resolve against it.
+ *   scope, toc, plugins, disablePlugins, sanitize, rewriteLinks: as for renderMarkdown().
+ * @returns {Promise<MarkdownController>} controller.dependencies excludes baseUrl itself (nothing to fetch);
+ *   rerender() reuses the text.
+ */
+export async function renderMarkdownString(text, { outputId, baseUrl, site, preserve = false, scope = '', toc = true, plugins, disablePlugins, sanitize, rewriteLinks } = {}) {
+  if (typeof text !== 'string') {
+    throw new Error("renderMarkdownString requires markdown text");
+  }
+  if (!outputId) {
+    throw new Error("renderMarkdownString requires outputId");
+  }
+  const mdUrl = new URL(baseUrl || document.baseURI, document.baseURI).href;
+  const controller = createController(outputElement(outputId), { mdUrl, mdText: text, site, scope, toc, plugins, disablePlugins, sanitize, rewriteLinks }, true);
+  return controller.rerender({ preserve });
+}
+
+/**
+ * Read markdown embedded in the page.
+ * - <script type="text/markdown">: raw text content.
+ * - <template>: serialized content with HTML entities decoded.
+ * - Any other element: its text content.
+ * Common indentation is removed so the source can be indented along with the surrounding HTML.
+ *
+ * @param {Element|string} elOrSelector Element or CSS selector.
+ * @returns {string|null} Markdown text, or null when the element does not exist.
+ */
+export function markdownFromElement(elOrSelector) {
+  const el = typeof elOrSelector === 'string' ? document.querySelector(elOrSelector) : elOrSelector;
+  if (!el) return null;
+
+  let text = '';
+  if (el.tagName === 'TEMPLATE') {
+    // Serialize the inert template content, then decode entities (&lt; &amp; ...) back to source text
+    const ta = document.createElement('textarea');
+    ta.innerHTML = el.innerHTML;
+    text = ta.value;
+  } else {
+    text = el.textContent || '';
+  }
+
+  // Dedent by the smallest indentation of non-blank lines
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  while (lines.length && !lines[0].trim()) lines.shift();
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  const indents = lines.filter((l) => l.trim()).map((l) => l.match(/^[ \t]*/)[0].length);
+  const cut = indents.length ? Math.min(...indents) : 0;
+  return lines.map((l) => l.slice(cut)).join('\n') + '\n';
 }